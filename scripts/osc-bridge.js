@@ -0,0 +1,202 @@
+/**
+ * OSC bridge
+ * Relays OSC between the editor (WebSocket) and a local scsynth (UDP)
+ *
+ * Each binary WebSocket message is one OSC packet sent to the server, and
+ * every packet the server replies with goes back to the WebSocket it came
+ * from. Each browser connection gets its own UDP port, so replies never mix.
+ *
+ * Only pages served from this machine (localhost, 127.0.0.1, [::1]) may
+ * connect, since scsynth commands such as /b_write can write files anywhere
+ * and any open web page could otherwise reach the bridge. To use an editor
+ * served from elsewhere, allow its origin with --origin; give the option
+ * again, or a comma-separated list, for several. Clients that send no
+ * Origin are not browsers and could reach scsynth directly anyway.
+ *
+ * Usage: npm run osc-bridge -- [--port 57121] [--server 127.0.0.1:57110]
+ *   [--origin https://example.com]
+ */
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { createSocket } from 'node:dgram';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const options = parseArguments(process.argv.slice(2));
+const [serverHost, serverPort] = options.server.split(':');
+
+const httpServer = createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain' });
+  response.end('WebSocket connections only\n');
+});
+
+httpServer.on('upgrade', (request, socket) => {
+  const key = request.headers['sec-websocket-key'];
+  if (!key) {
+    socket.destroy();
+    return;
+  }
+
+  const origin = request.headers.origin;
+  if (!isAllowedOrigin(origin)) {
+    console.warn(`Refused connection from origin ${origin}`);
+    socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+
+  bridge(socket, request.socket.remoteAddress);
+});
+
+httpServer.listen(options.port, '127.0.0.1', () => {
+  console.log(`OSC bridge on ws://localhost:${options.port} -> udp://${options.server}`);
+});
+
+/**
+ * Whether a browser origin may connect: this machine or an allowed origin
+ */
+function isAllowedOrigin(origin) {
+  if (origin === undefined) return true;
+
+  if (options.origins.includes(origin)) return true;
+
+  try {
+    const { hostname } = new URL(origin);
+    return ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Relay one WebSocket connection to scsynth
+ */
+function bridge(socket, client) {
+  const udp = createSocket('udp4');
+  let pending = Buffer.alloc(0);
+
+  console.log(`${client} connected`);
+
+  udp.on('message', (packet) => socket.write(encodeFrame(0x2, packet)));
+  udp.on('error', (error) => console.error('UDP error:', error.message));
+
+  socket.on('data', (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+
+    let frame;
+    while ((frame = decodeFrame(pending))) {
+      pending = pending.subarray(frame.length);
+
+      switch (frame.opcode) {
+        case 0x2: // Binary: one OSC packet
+          udp.send(frame.payload, Number(serverPort), serverHost);
+          break;
+        case 0x8: // Close
+          socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+          break;
+        case 0x9: // Ping
+          socket.write(encodeFrame(0xa, frame.payload));
+          break;
+      }
+    }
+  });
+
+  socket.on('close', () => {
+    udp.close();
+    console.log(`${client} disconnected`);
+  });
+  socket.on('error', () => socket.destroy());
+}
+
+/**
+ * Read one complete frame from the start of a buffer, null if incomplete
+ * Browsers never fragment binary messages of this size, so continuation
+ * frames are not reassembled
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  offset += masked ? 4 : 0;
+
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+
+  return { opcode, payload, length: offset + length };
+}
+
+/**
+ * Build an unmasked server-to-client frame
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read --port, --server and --origin options
+ */
+function parseArguments(args) {
+  const parsed = { port: 57121, server: '127.0.0.1:57110', origins: [] };
+
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!['port', 'server', 'origin'].includes(name) || args[i + 1] === undefined) {
+      console.error(`Unknown option ${args[i]}`);
+      process.exit(1);
+    }
+
+    if (name === 'origin') {
+      // Origins have no trailing slash, as browsers send them
+      parsed.origins.push(...args[i + 1].split(',').map(origin => origin.trim().replace(/\/$/, '')));
+    } else {
+      parsed[name] = name === 'port' ? parseInt(args[i + 1]) : args[i + 1];
+    }
+  }
+
+  return parsed;
+}
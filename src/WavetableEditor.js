@@ -1,12 +1,27 @@
 import { Waveform } from './domain/Waveform.js';
 import { FrequencySpectrum } from './domain/FrequencySpectrum.js';
+import { Wavetable, TABLE_SIZES, MAX_FRAMES } from './domain/Wavetable.js';
+import { BandLimitedSet } from './domain/BandLimitedSet.js';
 import { WaveformTransform } from './domain/WaveformTransform.js';
 import { WaveformPresets } from './domain/WaveformPresets.js';
 import { WaveformExporter } from './domain/WaveformExporter.js';
-import { TimedomainCanvas } from './views/TimedomainCanvas.js';
+import { WaveformImporter } from './domain/WaveformImporter.js';
+import { WaveformRegion } from './domain/WaveformRegion.js';
+import { Symmetry, SYMMETRY_MODES, REPEAT_COUNTS } from './domain/Symmetry.js';
+import { TimedomainCanvas, DRAWING_TOOLS } from './views/TimedomainCanvas.js';
 import { FrequencyCanvas } from './views/FrequencyCanvas.js';
-import { AudioPreview } from './views/AudioPreview.js';
+import { TableEditor, TABLE_MODES } from './views/TableEditor.js';
+import { FrameList } from './views/FrameList.js';
+import { AudioPreview, INTERPOLATION_MODES } from './views/AudioPreview.js';
+import { PianoKeyboard, MIN_OCTAVE, MAX_OCTAVE } from './views/PianoKeyboard.js';
+import { OutputAnalyser } from './views/OutputAnalyser.js';
+import { MIDIInput } from './audio/MIDIInput.js';
+import { AUDIO_BACKENDS } from './audio/AudioBackend.js';
+import { SuperColliderBackend, DEFAULT_BRIDGE_URL } from './audio/SuperColliderBackend.js';
 import { ExportModal } from './utils/ExportModal.js';
+import { WAVExportModal } from './utils/WAVExportModal.js';
+import { WAVImportModal } from './utils/WAVImportModal.js';
+import { JSONImportModal } from './utils/JSONImportModal.js';
 import { ExportNotification } from './utils/ExportNotification.js';
 import { StorageManager } from './utils/StorageManager.js';
 import { HistoryManager } from './utils/HistoryManager.js';
@@ -19,16 +34,29 @@ export class WavetableEditor {
   constructor() {
     // Domain state
     this.sampleRate = 1024;
-    this.currentWaveform = WaveformPresets.sine(this.sampleRate);
-    this.currentSpectrum = null;
+    this.harmonicCount = Wavetable.harmonicCountFor(this.sampleRate);
+    this.wavetable = null;
     this.activeView = 'time';
 
     // View references
     this.timeCanvas = null;
     this.frequencyCanvas = null;
+    this.frameList = null;
     this.audioPreview = null;
+    this.scBackend = null;
+    this.audioBackend = null; // Engine playing the drone: audioPreview or scBackend
+    this.pianoKeyboard = null;
+    this.outputAnalyser = null;
+    this.midiInput = null;
+    this.midiLearn = null; // Mapping waiting for the next CC
     this.exportModal = null;
+    this.wavExportModal = null;
+    this.wavImportModal = null;
+    this.jsonImportModal = null;
     this.exportNotification = null;
+    this.clipboard = null; // {samples, text} last copied, shared by every frame
+    this.reference = null; // {waveform, spectrum, label} pinned for comparison
+    this.isComparing = false; // A/B: the preview plays the reference
     this.storageManager = null;
     this.historyManager = null;
     this.isRestoringHistory = false; // Flag to prevent history recording during undo/redo
@@ -36,46 +64,137 @@ export class WavetableEditor {
     // UI element references
     this.elements = {
       timeCanvas: document.getElementById('time-canvas'),
+      timeToolbar: document.getElementById('time-toolbar'),
+      toolButtons: document.querySelectorAll('.tool-button[data-tool]'),
+      brushRadius: document.getElementById('brush-radius'),
+      brushStrength: document.getElementById('brush-strength'),
+      snapX: document.getElementById('snap-x'),
+      snapY: document.getElementById('snap-y'),
+      pointCount: document.getElementById('point-count'),
+      segmentType: document.getElementById('segment-type'),
+      segmentApplyAll: document.getElementById('segment-apply-all'),
+      regionToolbar: document.getElementById('region-toolbar'),
+      regionButtons: document.querySelectorAll('[data-region]'),
+      regionGain: document.getElementById('region-gain'),
+      selectionRange: document.getElementById('selection-range'),
+      quantizeButtons: document.querySelectorAll('[data-quantize]'),
+      quantizeLevels: document.getElementById('quantize-levels'),
+      quantizeSteps: document.getElementById('quantize-steps'),
+      zoomControls: document.getElementById('zoom-controls'),
+      zoomHint: document.getElementById('zoom-hint'),
+      zoomIn: document.getElementById('zoom-in'),
+      zoomOut: document.getElementById('zoom-out'),
+      zoomFit: document.getElementById('zoom-fit'),
+      zoomRange: document.getElementById('zoom-range'),
+      symmetryMode: document.getElementById('symmetry-mode'),
+      symmetryRepeats: document.getElementById('symmetry-repeats'),
+      pinReference: document.getElementById('pin-reference'),
+      compareReference: document.getElementById('compare-reference'),
+      clearReference: document.getElementById('clear-reference'),
+      referenceLabel: document.getElementById('reference-label'),
       frequencyCanvas: document.getElementById('frequency-canvas'),
+      tableView: document.getElementById('table-view'),
+      tableGrid: document.getElementById('table-grid'),
+      tableMode: document.getElementById('table-mode'),
+      tableFillValue: document.getElementById('table-fill-value'),
+      tableFill: document.getElementById('table-fill'),
+      tableInterpolate: document.getElementById('table-interpolate'),
+      tableRange: document.getElementById('table-range'),
       viewSelect: document.getElementById('view-mode'),
+      tableSizeSelect: document.getElementById('table-size'),
       sampleCount: document.getElementById('sample-count'),
+      frameDisplay: document.getElementById('frame-display'),
       frequencyDisplay: document.getElementById('frequency-display'),
-      presetButtons: document.querySelectorAll('.preset-button'),
+      presetButtons: document.querySelectorAll('.preset-button[data-preset]'),
       playButton: document.getElementById('play-button'),
       stopButton: document.getElementById('stop-button'),
       exportSC: document.getElementById('export-sc'),
+      exportSCOctaves: document.getElementById('export-sc-octaves'),
       exportWAV: document.getElementById('export-wav'),
       exportJSON: document.getElementById('export-json'),
+      importWAV: document.getElementById('import-wav'),
+      importWAVFile: document.getElementById('import-wav-file'),
+      importJSON: document.getElementById('import-json'),
+      tableName: document.getElementById('table-name'),
       frequencySlider: document.getElementById('frequency-slider'),
       frequencyValue: document.getElementById('frequency-value'),
       volumeSlider: document.getElementById('volume-slider'),
+      interpolationSelect: document.getElementById('interpolation-select'),
+      audioBackendSelect: document.getElementById('audio-backend'),
+      bridgeControl: document.getElementById('bridge-control'),
+      bridgeURL: document.getElementById('bridge-url'),
+      bandLimitToggle: document.getElementById('band-limit-toggle'),
       volumeValue: document.getElementById('volume-value'),
       undoButton: document.getElementById('undo-button'),
-      redoButton: document.getElementById('redo-button')
+      redoButton: document.getElementById('redo-button'),
+      resetPhases: document.getElementById('reset-phases'),
+      randomizePhases: document.getElementById('randomize-phases'),
+      frameList: document.getElementById('frame-list'),
+      addFrame: document.getElementById('add-frame'),
+      duplicateFrame: document.getElementById('duplicate-frame'),
+      deleteFrame: document.getElementById('delete-frame'),
+      moveFrameUp: document.getElementById('move-frame-up'),
+      moveFrameDown: document.getElementById('move-frame-down'),
+      scopeCanvas: document.getElementById('scope-canvas'),
+      spectrumCanvas: document.getElementById('spectrum-canvas'),
+      pianoKeyboard: document.getElementById('piano-keyboard'),
+      octaveDown: document.getElementById('octave-down'),
+      octaveUp: document.getElementById('octave-up'),
+      octaveValue: document.getElementById('octave-value'),
+      velocitySlider: document.getElementById('velocity-slider'),
+      velocityValue: document.getElementById('velocity-value'),
+      envelopeSliders: document.querySelectorAll('.envelope-slider'),
+      midiEnable: document.getElementById('midi-enable'),
+      midiDevice: document.getElementById('midi-device'),
+      midiBendRange: document.getElementById('midi-bend-range'),
+      midiVolumeCC: document.getElementById('midi-volume-cc'),
+      midiFrameCC: document.getElementById('midi-frame-cc'),
+      midiLearnButtons: document.querySelectorAll('.midi-learn')
     };
 
     this.initialize();
   }
 
+  /**
+   * Waveform of the frame being edited
+   */
+  get currentWaveform() {
+    return this.wavetable.getSelectedFrame().waveform;
+  }
+
+  /**
+   * Spectrum of the frame being edited
+   */
+  get currentSpectrum() {
+    return this.wavetable.getSelectedFrame().spectrum;
+  }
+
   initialize() {
     this.storageManager = new StorageManager();
     this.historyManager = new HistoryManager(50);
+    const savedWavetableData = this.storageManager.loadWavetable();
     const savedWaveformData = this.storageManager.loadWaveform();
     const savedFrequency = this.storageManager.loadFrequency();
     const savedVolume = this.storageManager.loadVolume();
+    const savedInterpolation = this.storageManager.loadInterpolation();
     const savedView = this.storageManager.loadActiveView();
-    if (savedWaveformData) {
-      this.currentWaveform = new Waveform(savedWaveformData.sampleRate);
-      this.currentWaveform.samples.set(savedWaveformData.samples);
+    if (savedWavetableData) {
+      this.wavetable = this.createWavetableFromData(savedWavetableData);
+      console.log('Restored saved wavetable');
+    } else if (savedWaveformData) {
+      // Single waveform saved by earlier versions
+      const waveform = new Waveform(savedWaveformData.sampleRate);
+      waveform.samples.set(savedWaveformData.samples);
+      this.wavetable = Wavetable.fromWaveform(waveform);
       console.log('Restored saved waveform');
     } else {
-      this.currentWaveform = WaveformPresets.sine(this.sampleRate);
-  }
-    // Initialize frequency spectrum from current waveform
-    this.currentSpectrum = WaveformTransform.toFrequencyDomain(
-      this.currentWaveform,
-      64
-    );
+      this.wavetable = Wavetable.fromWaveform(
+        WaveformPresets.sine(this.sampleRate),
+        this.harmonicCount
+      );
+    }
+    this.sampleRate = this.wavetable.sampleRate;
+    this.harmonicCount = this.wavetable.harmonicCount;
 
     // Initialize time domain view
     this.timeCanvas = new TimedomainCanvas(
@@ -83,18 +202,113 @@ export class WavetableEditor {
       this.currentWaveform
     );
 
+    // Restore drawing tool
+    this.toolOptions = {
+      tool: 'pencil',
+      ...this.timeCanvas.brush,
+      snapX: 0,
+      snapY: 0,
+      ...this.storageManager.loadToolOptions()
+    };
+    if (!DRAWING_TOOLS.includes(this.toolOptions.tool)) {
+      this.toolOptions.tool = 'pencil';
+    }
+    this.timeCanvas.setTool(this.toolOptions.tool);
+    this.timeCanvas.setBrush({ radius: this.toolOptions.radius, strength: this.toolOptions.strength });
+    this.timeCanvas.setSnap({ x: this.toolOptions.snapX, y: this.toolOptions.snapY });
+
     // Initialize frequency domain view
     this.frequencyCanvas = new FrequencyCanvas(
       this.elements.frequencyCanvas,
       this.currentSpectrum
     );
 
+    // Initialize numeric table view
+    this.tableEditor = new TableEditor(
+      this.elements.tableGrid,
+      this.currentWaveform,
+      this.currentSpectrum
+    );
+    const savedTableMode = this.storageManager.loadTableMode();
+    this.tableEditor.setMode(TABLE_MODES.includes(savedTableMode) ? savedTableMode : 'samples');
+    this.elements.tableMode.value = this.tableEditor.mode;
+
+    // Restore symmetry mode
+    this.symmetryOptions = {
+      mode: 'none',
+      repeats: 2,
+      ...this.storageManager.loadSymmetryOptions()
+    };
+    if (!SYMMETRY_MODES.includes(this.symmetryOptions.mode)) {
+      this.symmetryOptions.mode = 'none';
+    }
+    if (!REPEAT_COUNTS.includes(this.symmetryOptions.repeats)) {
+      this.symmetryOptions.repeats = 2;
+    }
+    this.timeCanvas.setSymmetry(this.symmetryOptions);
+    this.frequencyCanvas.setSymmetry(this.symmetryOptions);
+    this.tableEditor.setSymmetry(this.symmetryOptions);
+
+    // Initialize frame list
+    this.frameList = new FrameList(
+      this.elements.frameList,
+      this.wavetable
+    );
+
     // Initialize audio preview
     this.audioPreview = new AudioPreview();
     this.audioPreview.setVolume(savedVolume);
+    if (INTERPOLATION_MODES.includes(savedInterpolation)) {
+      this.audioPreview.setInterpolation(savedInterpolation);
+    }
+    this.audioPreview.setBandLimited(this.storageManager.loadBandLimited());
+
+    // Initialize drone engine
+    this.audioOptions = {
+      backend: 'browser',
+      bridgeURL: DEFAULT_BRIDGE_URL,
+      ...this.storageManager.loadAudioOptions()
+    };
+    if (!AUDIO_BACKENDS.includes(this.audioOptions.backend)) {
+      this.audioOptions.backend = 'browser';
+    }
+    this.scBackend = new SuperColliderBackend(this.audioOptions.bridgeURL);
+    this.scBackend.setVolume(savedVolume);
+    this.audioBackend = this.audioOptions.backend === 'scsynth' ? this.scBackend : this.audioPreview;
+
+    // Initialize output analyser
+    this.outputAnalyser = new OutputAnalyser(
+      this.elements.scopeCanvas,
+      this.elements.spectrumCanvas,
+      this.audioPreview
+    );
+
+    // Initialize preview keyboard
+    this.keyboardOptions = {
+      octave: 4,
+      velocity: 0.8,
+      ...this.audioPreview.envelope,
+      ...this.storageManager.loadKeyboardOptions()
+    };
+    this.audioPreview.setEnvelope(this.keyboardOptions);
+    this.pianoKeyboard = new PianoKeyboard(this.elements.pianoKeyboard, this.keyboardOptions);
+
+    // Initialize MIDI input
+    this.midiOptions = {
+      deviceId: null,
+      deviceName: null,
+      bendRange: 2,
+      volumeCC: 7,
+      frameCC: 1,
+      ...this.storageManager.loadMIDIOptions()
+    };
+    this.midiInput = new MIDIInput();
 
     // Initialize export utilities
     this.exportModal = new ExportModal();
+    this.wavExportModal = new WAVExportModal();
+    this.wavImportModal = new WAVImportModal();
+    this.jsonImportModal = new JSONImportModal();
     this.exportNotification = new ExportNotification();
 
     // Restore UI state
@@ -102,7 +316,19 @@ export class WavetableEditor {
     this.elements.frequencyValue.textContent = `${savedFrequency} Hz`;
     this.elements.volumeSlider.value = Math.round(savedVolume * 1000);
     this.elements.volumeValue.textContent = `${Math.round(savedVolume * 1000)}%`;
+    this.elements.interpolationSelect.value = this.audioPreview.interpolation;
+    this.elements.bandLimitToggle.checked = this.audioPreview.bandLimited;
     this.elements.viewSelect.value = savedView;
+    this.elements.tableSizeSelect.value = this.sampleRate;
+    this.elements.tableName.value = this.wavetable.name;
+    this.updateToolDisplay();
+    this.updateSelectionDisplay();
+    this.updateSymmetryDisplay();
+    this.updateTableRangeDisplay();
+    this.updateReferenceDisplay();
+    this.updateAudioDisplay();
+    this.updateKeyboardDisplay();
+    this.updateMIDIDisplay();
 
     this.pushToHistory();
     // Bind events
@@ -112,6 +338,11 @@ export class WavetableEditor {
     // Update UI
     this.updateInfoDisplay();
 
+    // Reconnect the remembered MIDI input
+    if (this.midiOptions.deviceId && MIDIInput.isSupported()) {
+      this.enableMIDI();
+    }
+
     console.log('WavetableEditor initialized');
   }
 
@@ -121,16 +352,223 @@ export class WavetableEditor {
       this.switchView(e.target.value);
     });
 
+    // Table size
+    this.elements.tableSizeSelect.addEventListener('change', (e) => {
+      this.setTableSize(parseInt(e.target.value));
+    });
+
+    // Table name
+    this.elements.tableName.addEventListener('change', (e) => {
+      this.wavetable.name = e.target.value.trim() || 'Untitled';
+      e.target.value = this.wavetable.name;
+      this.pushToHistory();
+      this.storageManager.saveWavetable(this.wavetable);
+    });
+
     // Time domain canvas changes
+    this.elements.timeCanvas.addEventListener('waveforminput', (e) => {
+      this.onTimeDomainInput(e.detail.waveform);
+    });
+
     this.elements.timeCanvas.addEventListener('waveformchange', (e) => {
       this.onTimeDomainChange(e.detail.waveform);
     });
 
+    // Drawing tools
+    this.elements.toolButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.setToolOptions({ tool: button.dataset.tool });
+      });
+    });
+
+    this.elements.brushRadius.addEventListener('input', (e) => {
+      this.setToolOptions({ radius: parseInt(e.target.value) });
+    });
+
+    this.elements.brushStrength.addEventListener('input', (e) => {
+      this.setToolOptions({ strength: parseInt(e.target.value) / 100 });
+    });
+
+    this.elements.snapX.addEventListener('change', (e) => {
+      this.setToolOptions({ snapX: parseInt(e.target.value) });
+    });
+
+    this.elements.snapY.addEventListener('change', (e) => {
+      this.setToolOptions({ snapY: parseInt(e.target.value) });
+    });
+
+    // Control point options
+    this.elements.pointCount.addEventListener('change', (e) => {
+      this.timeCanvas.setPointCount(parseInt(e.target.value));
+    });
+
+    this.elements.segmentType.addEventListener('change', (e) => {
+      this.timeCanvas.setSegmentType(e.target.value);
+    });
+
+    this.elements.segmentApplyAll.addEventListener('click', () => {
+      this.timeCanvas.setSegmentType(this.elements.segmentType.value, true);
+    });
+
+    // Selection and region operations
+    this.elements.regionButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.runRegionCommand(button.dataset.region);
+      });
+    });
+
+    // Quantise, previewed while a button is hovered or focused, or its amount edited
+    this.elements.quantizeButtons.forEach(button => {
+      const kind = button.dataset.quantize;
+      const input = kind === 'levels' ? this.elements.quantizeLevels : this.elements.quantizeSteps;
+
+      button.addEventListener('click', () => this.applyQuantize(kind));
+      for (const target of [button, input]) {
+        target.addEventListener('mouseenter', () => this.previewQuantize(kind));
+        target.addEventListener('focus', () => this.previewQuantize(kind));
+        target.addEventListener('mouseleave', () => this.previewQuantize(null));
+        target.addEventListener('blur', () => this.previewQuantize(null));
+      }
+      input.addEventListener('input', () => this.previewQuantize(kind));
+    });
+
+    this.elements.timeCanvas.addEventListener('selectionchange', () => {
+      this.updateSelectionDisplay();
+    });
+
+    // Keyboard clipboard shortcuts while the canvas has focus
+    this.elements.timeCanvas.addEventListener('copy', (e) => {
+      e.preventDefault();
+      this.copyRegion(e.clipboardData);
+    });
+
+    this.elements.timeCanvas.addEventListener('cut', (e) => {
+      e.preventDefault();
+      this.runRegionCommand('cut', e.clipboardData);
+    });
+
+    this.elements.timeCanvas.addEventListener('paste', (e) => {
+      e.preventDefault();
+      this.pasteRegion(false, e.clipboardData.getData('text/plain'));
+    });
+
+    this.elements.timeCanvas.addEventListener('pointselect', (e) => {
+      if (e.detail.segment) {
+        this.elements.segmentType.value = e.detail.segment;
+      }
+    });
+
+    // Zoom and pan
+    this.elements.zoomIn.addEventListener('click', () => {
+      this.getActiveCanvas().zoomBy(2);
+    });
+
+    this.elements.zoomOut.addEventListener('click', () => {
+      this.getActiveCanvas().zoomBy(0.5);
+    });
+
+    this.elements.zoomFit.addEventListener('click', () => {
+      this.getActiveCanvas().fitView();
+    });
+
+    // Symmetry
+    this.elements.symmetryMode.addEventListener('change', (e) => {
+      this.setSymmetryOptions({ mode: e.target.value });
+    });
+
+    this.elements.symmetryRepeats.addEventListener('change', (e) => {
+      const repeats = parseInt(e.target.value);
+      if (REPEAT_COUNTS.includes(repeats)) {
+        this.setSymmetryOptions({ repeats });
+      }
+    });
+
+    // Reference
+    this.elements.pinReference.addEventListener('click', () => {
+      this.pinReference();
+    });
+
+    this.elements.compareReference.addEventListener('click', () => {
+      this.setComparing(!this.isComparing);
+    });
+
+    this.elements.clearReference.addEventListener('click', () => {
+      this.clearReference();
+    });
+
+    this.elements.timeCanvas.addEventListener('viewchange', () => this.updateZoomDisplay());
+    this.elements.frequencyCanvas.addEventListener('viewchange', () => this.updateZoomDisplay());
+
     // Frequency domain canvas changes
+    this.elements.frequencyCanvas.addEventListener('spectruminput', (e) => {
+      this.onFrequencyDomainInput(e.detail.spectrum);
+    });
+
     this.elements.frequencyCanvas.addEventListener('spectrumchange', (e) => {
       this.onFrequencyDomainChange(e.detail.spectrum);
     });
 
+    // Table view edits go through the same flow as the canvases
+    this.elements.tableGrid.addEventListener('waveformchange', (e) => {
+      this.onTimeDomainChange(e.detail.waveform);
+    });
+
+    this.elements.tableGrid.addEventListener('spectrumchange', (e) => {
+      this.onFrequencyDomainChange(e.detail.spectrum);
+    });
+
+    this.elements.tableGrid.addEventListener('rangechange', () => this.updateTableRangeDisplay());
+
+    this.elements.tableMode.addEventListener('change', (e) => {
+      this.tableEditor.setMode(e.target.value);
+      this.storageManager.saveTableMode(e.target.value);
+    });
+
+    this.elements.tableFill.addEventListener('click', () => {
+      if (!this.tableEditor.fillSelection(this.elements.tableFillValue.value)) {
+        this.exportNotification.show('Enter a number to fill the selected rows with');
+      }
+    });
+
+    this.elements.tableInterpolate.addEventListener('click', () => {
+      this.tableEditor.interpolateSelection();
+    });
+
+    // Phase buttons
+    this.elements.resetPhases.addEventListener('click', () => {
+      this.applyPhases('reset');
+    });
+
+    this.elements.randomizePhases.addEventListener('click', () => {
+      this.applyPhases('randomize');
+    });
+
+    // Frame selection
+    this.elements.frameList.addEventListener('frameselect', (e) => {
+      this.showFrame(e.detail.index);
+    });
+
+    // Frame buttons
+    this.elements.addFrame.addEventListener('click', () => {
+      this.addFrame();
+    });
+
+    this.elements.duplicateFrame.addEventListener('click', () => {
+      this.duplicateFrame();
+    });
+
+    this.elements.deleteFrame.addEventListener('click', () => {
+      this.deleteFrame();
+    });
+
+    this.elements.moveFrameUp.addEventListener('click', () => {
+      this.moveFrame(-1);
+    });
+
+    this.elements.moveFrameDown.addEventListener('click', () => {
+      this.moveFrame(1);
+    });
+
     // Preset buttons
     this.elements.presetButtons.forEach(button => {
       button.addEventListener('click', (e) => {
@@ -143,8 +581,8 @@ export class WavetableEditor {
     this.elements.frequencySlider.addEventListener('input', (e) => {
       const freq = parseInt(e.target.value);
       this.elements.frequencyValue.textContent = `${freq} Hz`;
-      if (this.audioPreview.getIsPlaying()) {
-        this.audioPreview.setFrequency(freq);
+      if (this.audioBackend.getIsPlaying()) {
+        this.audioBackend.setFrequency(freq);
       }
     });
 
@@ -157,10 +595,122 @@ export class WavetableEditor {
     this.elements.volumeSlider.addEventListener('input', (e) => {
       const volume = parseInt(e.target.value) / 1000;
       this.elements.volumeValue.textContent = `${e.target.value}%`;
-      this.audioPreview.setVolume(volume);
+      this.setVolume(volume);
       this.storageManager.saveVolume(volume);
     });
 
+    // Preview keyboard
+    this.elements.pianoKeyboard.addEventListener('noteon', (e) => {
+      this.playNote(e.detail.note, e.detail.velocity);
+    });
+
+    this.elements.pianoKeyboard.addEventListener('noteoff', (e) => {
+      this.releaseNote(e.detail.note);
+    });
+
+    this.elements.pianoKeyboard.addEventListener('keyboardchange', (e) => {
+      this.setKeyboardOptions(e.detail);
+    });
+
+    this.elements.octaveDown.addEventListener('click', () => {
+      this.pianoKeyboard.setOctave(this.pianoKeyboard.octave - 1);
+    });
+
+    this.elements.octaveUp.addEventListener('click', () => {
+      this.pianoKeyboard.setOctave(this.pianoKeyboard.octave + 1);
+    });
+
+    this.elements.velocitySlider.addEventListener('input', (e) => {
+      this.pianoKeyboard.setVelocity(parseInt(e.target.value) / 100);
+    });
+
+    this.elements.envelopeSliders.forEach(slider => {
+      slider.addEventListener('input', (e) => {
+        const stage = e.target.dataset.envelope;
+        const value = parseInt(e.target.value);
+
+        // Sustain is a level in percent, the other stages are times in ms
+        this.setKeyboardOptions({ [stage]: stage === 'sustain' ? value / 100 : value / 1000 });
+      });
+    });
+
+    // MIDI input
+    this.elements.midiEnable.addEventListener('click', () => {
+      this.enableMIDI();
+    });
+
+    this.elements.midiDevice.addEventListener('change', (e) => {
+      const option = e.target.selectedOptions[0];
+      const deviceId = e.target.value || null;
+      const deviceName = deviceId && deviceId !== 'all' ? option.textContent : null;
+
+      this.midiInput.selectDevice(deviceId, deviceName);
+      this.audioPreview.allNotesOff();
+      this.setMIDIOptions({ deviceId, deviceName });
+    });
+
+    this.elements.midiBendRange.addEventListener('change', (e) => {
+      this.setMIDIOptions({ bendRange: parseInt(e.target.value) });
+    });
+
+    [this.elements.midiVolumeCC, this.elements.midiFrameCC].forEach(input => {
+      input.addEventListener('change', () => {
+        this.setMIDIOptions({
+          volumeCC: this.parseController(this.elements.midiVolumeCC.value),
+          frameCC: this.parseController(this.elements.midiFrameCC.value)
+        });
+      });
+    });
+
+    this.elements.midiLearnButtons.forEach(button => {
+      button.addEventListener('click', (e) => {
+        const target = e.target.dataset.learn;
+        this.midiLearn = this.midiLearn === target ? null : target;
+        this.updateMIDIDisplay();
+      });
+    });
+
+    this.midiInput.addEventListener('noteon', (e) => {
+      this.playNote(e.detail.note, e.detail.velocity);
+      this.pianoKeyboard.setNoteActive(e.detail.note, true);
+    });
+
+    this.midiInput.addEventListener('noteoff', (e) => {
+      this.releaseNote(e.detail.note);
+      this.pianoKeyboard.setNoteActive(e.detail.note, false);
+    });
+
+    this.midiInput.addEventListener('pitchbend', (e) => {
+      this.audioPreview.setPitchBend(e.detail.bend * this.midiOptions.bendRange);
+    });
+
+    this.midiInput.addEventListener('controlchange', (e) => {
+      this.onMIDIControlChange(e.detail.controller, e.detail.value);
+    });
+
+    this.midiInput.addEventListener('deviceschange', () => {
+      this.updateMIDIDisplay();
+    });
+
+    // Interpolation
+    this.elements.interpolationSelect.addEventListener('change', (e) => {
+      this.audioPreview.setInterpolation(e.target.value);
+      this.storageManager.saveInterpolation(e.target.value);
+    });
+
+    this.elements.bandLimitToggle.addEventListener('change', (e) => {
+      this.audioPreview.setBandLimited(e.target.checked);
+      this.storageManager.saveBandLimited(e.target.checked);
+    });
+
+    this.elements.audioBackendSelect.addEventListener('change', (e) => {
+      this.setAudioOptions({ backend: e.target.value });
+    });
+
+    this.elements.bridgeURL.addEventListener('change', (e) => {
+      this.setAudioOptions({ bridgeURL: e.target.value.trim() || DEFAULT_BRIDGE_URL });
+    });
+
     // Audio controls
     this.elements.playButton.addEventListener('click', () => {
       this.playPreview();
@@ -175,6 +725,10 @@ export class WavetableEditor {
       this.exportWaveform('supercollider');
     });
 
+    this.elements.exportSCOctaves.addEventListener('click', () => {
+      this.exportWaveform('supercollider-octaves');
+    });
+
     this.elements.exportWAV.addEventListener('click', () => {
       this.exportWaveform('wav');
     });
@@ -183,6 +737,38 @@ export class WavetableEditor {
       this.exportWaveform('json');
     });
 
+    // Import buttons
+    this.elements.importWAV.addEventListener('click', () => {
+      this.elements.importWAVFile.click();
+    });
+
+    this.elements.importWAVFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = ''; // Allow importing the same file again
+      if (file) {
+        this.importWAV(file);
+      }
+    });
+
+    this.elements.importJSON.addEventListener('click', () => {
+      this.jsonImportModal.show((text) => this.importJSON(text));
+    });
+
+    // Files dropped anywhere on the page
+    document.addEventListener('dragover', (e) => {
+      if (e.dataTransfer.types.includes('Files')) {
+        e.preventDefault();
+      }
+    });
+
+    document.addEventListener('drop', (e) => {
+      const file = e.dataTransfer.files[0];
+      if (file) {
+        e.preventDefault();
+        this.importFile(file);
+      }
+    });
+
     // History buttons
     this.elements.undoButton.addEventListener('click', () => {
       this.undo();
@@ -211,6 +797,11 @@ export class WavetableEditor {
     window.addEventListener('historychange', (e) => {
       this.updateHistoryButtons(e.detail);
     });
+
+    // Saving stopped working, usually the storage quota
+    window.addEventListener('storageerror', () => {
+      this.exportNotification.show('Could not save to browser storage; export the wavetable to keep your work', 6000);
+    });
   }
 
   pushToHistory() {
@@ -219,14 +810,20 @@ export class WavetableEditor {
     }
 
     const state = {
-      waveform: {
-        sampleRate: this.currentWaveform.sampleRate,
-        samples: this.currentWaveform.samples
-      },
-      spectrum: {
-        harmonicCount: this.currentSpectrum.harmonicCount,
-        harmonics: this.currentSpectrum.harmonics
-      }
+      sampleRate: this.wavetable.sampleRate,
+      harmonicCount: this.wavetable.harmonicCount,
+      selectedIndex: this.wavetable.selectedIndex,
+      name: this.wavetable.name,
+      frames: this.wavetable.frames.map(frame => ({
+        waveform: {
+          sampleRate: frame.waveform.sampleRate,
+          samples: frame.waveform.samples
+        },
+        spectrum: {
+          harmonicCount: frame.spectrum.harmonicCount,
+          harmonics: frame.spectrum.harmonics
+        }
+      }))
     };
 
     this.historyManager.push(state);
@@ -256,29 +853,35 @@ export class WavetableEditor {
   restoreState(state) {
     this.isRestoringHistory = true;
 
-    // Restore waveform
-    this.currentWaveform = new Waveform(state.waveform.sampleRate);
-    this.currentWaveform.samples.set(state.waveform.samples);
+    // Restore frames
+    this.wavetable = new Wavetable(state.sampleRate, state.harmonicCount);
 
-    // Restore spectrum
-    this.currentSpectrum = new FrequencySpectrum(state.spectrum.harmonicCount);
-    this.currentSpectrum.harmonics = state.spectrum.harmonics.map(h => ({ ...h }));
+    for (const frame of state.frames) {
+      const waveform = new Waveform(frame.waveform.sampleRate);
+      waveform.samples.set(frame.waveform.samples);
 
-    // Update active view
-    if (this.activeView === 'time') {
-      this.timeCanvas.updateFromWaveform(this.currentWaveform);
-    } else {
-      this.frequencyCanvas.updateFromSpectrum(this.currentSpectrum);
+      const spectrum = new FrequencySpectrum(frame.spectrum.harmonicCount);
+      spectrum.harmonics = frame.spectrum.harmonics.map(h => ({ ...h }));
+
+      this.wavetable.addFrame(waveform, spectrum);
     }
 
+    this.wavetable.selectFrame(state.selectedIndex);
+    this.wavetable.name = state.name;
+    this.sampleRate = state.sampleRate;
+    this.harmonicCount = state.harmonicCount;
+    this.elements.tableSizeSelect.value = this.sampleRate;
+    this.elements.tableName.value = this.wavetable.name;
+
+    // Update active view and frame list
+    this.updateActiveView();
+    this.frameList.updateFromWavetable(this.wavetable);
+
     // Update audio if playing
-    if (this.audioPreview && this.audioPreview.getIsPlaying()) {
-      this.audioPreview.updateWaveform(this.currentWaveform);
-    }
+    this.updateAudio();
 
     // Save to localStorage
-    this.storageManager.saveWaveform(this.currentWaveform);
-    this.storageManager.saveSpectrum(this.currentSpectrum);
+    this.storageManager.saveWavetable(this.wavetable);
 
     // Update info display
     this.updateInfoDisplay();
@@ -304,8 +907,15 @@ export class WavetableEditor {
     this.activeView = viewType;
     this.storageManager.saveActiveView(viewType);
 
+    const isTable = viewType === 'table';
+    this.elements.tableView.classList.toggle('hidden', !isTable);
+    this.elements.zoomControls.classList.toggle('hidden', isTable);
+    this.elements.zoomHint.classList.toggle('hidden', isTable);
+
     if (viewType === 'time') {
       this.elements.timeCanvas.classList.remove('hidden');
+      this.elements.timeToolbar.classList.remove('hidden');
+      this.elements.regionToolbar.classList.remove('hidden');
       this.elements.frequencyCanvas.classList.add('hidden');
 
       // Force canvas setup and render
@@ -313,70 +923,155 @@ export class WavetableEditor {
       this.timeCanvas.updateFromWaveform(this.currentWaveform);
     } else if (viewType === 'frequency') {
       this.elements.timeCanvas.classList.add('hidden');
+      this.elements.timeToolbar.classList.add('hidden');
+      this.elements.regionToolbar.classList.add('hidden');
       this.elements.frequencyCanvas.classList.remove('hidden');
 
       // Force canvas setup and render
       this.frequencyCanvas.setupCanvas();
       this.frequencyCanvas.updateFromSpectrum(this.currentSpectrum);
+    } else if (isTable) {
+      this.elements.timeCanvas.classList.add('hidden');
+      this.elements.timeToolbar.classList.add('hidden');
+      this.elements.regionToolbar.classList.add('hidden');
+      this.elements.frequencyCanvas.classList.add('hidden');
+
+      // Rows are built for the window size, which is only known once shown
+      this.tableEditor.update(this.currentWaveform, this.currentSpectrum);
+      this.tableEditor.renderRows(true);
     }
+
+    this.updateZoomDisplay();
   }
 
-  onTimeDomainChange(waveform) {
-    // Update current waveform
-    this.currentWaveform = waveform.clone();
+  /**
+   * Canvas of the view being shown
+   */
+  getActiveCanvas() {
+    return this.activeView === 'frequency' ? this.frequencyCanvas : this.timeCanvas;
+  }
 
-    // Transform to frequency domain
-    this.currentSpectrum = WaveformTransform.toFrequencyDomain(
-      this.currentWaveform,
-      64
+  /**
+   * Show the visible range of the active view
+   */
+  updateZoomDisplay() {
+    const { start, end, total } = this.getActiveCanvas().viewport;
+    const first = Math.floor(start);
+    const last = Math.min(total, Math.ceil(end));
+
+    // Samples count from 0, harmonics from 1
+    this.elements.zoomRange.textContent = this.activeView === 'frequency'
+      ? `Harmonics ${first + 1}–${last} of ${total}`
+      : `Samples ${first}–${last - 1} of ${total}`;
+    this.elements.zoomFit.disabled = start === 0 && end >= total;
+  }
+
+  /**
+   * Live update while a stroke or drag is in progress
+   * History and storage are updated once it ends
+   */
+  onTimeDomainInput(waveform) {
+    const updated = waveform.clone();
+    this.wavetable.setFrame(
+      this.wavetable.selectedIndex,
+      updated,
+      WaveformTransform.toFrequencyDomain(updated, this.harmonicCount)
+    );
+
+    // Update audio if playing; the drag's final change sends the full table set
+    this.updateAudio(true);
+    this.frameList.renderFrame(this.wavetable.selectedIndex);
+  }
+
+  onTimeDomainChange(waveform) {
+    // Update current frame, transforming to frequency domain
+    const updated = waveform.clone();
+    this.wavetable.setFrame(
+      this.wavetable.selectedIndex,
+      updated,
+      WaveformTransform.toFrequencyDomain(updated, this.harmonicCount)
     );
 
     // Update frequency view if active
     if (this.activeView === 'frequency') {
       this.frequencyCanvas.updateFromSpectrum(this.currentSpectrum);
+    } else if (this.activeView === 'table') {
+      this.tableEditor.update(this.currentWaveform, this.currentSpectrum);
     }
 
     // Update audio if playing
-    if (this.audioPreview && this.audioPreview.getIsPlaying()) {
-      this.audioPreview.updateWaveform(this.currentWaveform);
-    }
+    this.updateAudio();
+    this.frameList.renderFrame(this.wavetable.selectedIndex);
     this.pushToHistory();
 
-    this.storageManager.saveWaveform(this.currentWaveform);
-    this.storageManager.saveSpectrum(this.currentSpectrum);
+    this.storageManager.saveWavetable(this.wavetable);
 
     // Update info display
     this.updateInfoDisplay();
   }
 
-  onFrequencyDomainChange(spectrum) {
-    // Update current spectrum
-    this.currentSpectrum = spectrum.clone();
+  /**
+   * Live update while a harmonic is being dragged
+   * History and storage are updated once the drag ends
+   */
+  onFrequencyDomainInput(spectrum) {
+    const updated = spectrum.clone();
+    this.wavetable.setFrame(
+      this.wavetable.selectedIndex,
+      WaveformTransform.toTimeDomain(updated, this.sampleRate),
+      updated
+    );
 
-    // Transform to time domain
-    this.currentWaveform = WaveformTransform.toTimeDomain(
-      this.currentSpectrum,
-      this.sampleRate
+    // Update audio if playing
+    this.updateAudio();
+    this.frameList.renderFrame(this.wavetable.selectedIndex);
+  }
+
+  onFrequencyDomainChange(spectrum) {
+    // Update current frame, transforming to time domain
+    const updated = spectrum.clone();
+    this.wavetable.setFrame(
+      this.wavetable.selectedIndex,
+      WaveformTransform.toTimeDomain(updated, this.sampleRate),
+      updated
     );
 
     // Update time view if not active
     if (this.activeView === 'time') {
       this.timeCanvas.updateFromWaveform(this.currentWaveform);
+    } else if (this.activeView === 'table') {
+      this.tableEditor.update(this.currentWaveform, this.currentSpectrum);
     }
 
     // Update audio if playing
-    if (this.audioPreview && this.audioPreview.getIsPlaying()) {
-      this.audioPreview.updateWaveform(this.currentWaveform);
-    }
+    this.updateAudio();
+    this.frameList.renderFrame(this.wavetable.selectedIndex);
     this.pushToHistory();
 
-    this.storageManager.saveWaveform(this.currentWaveform);
-    this.storageManager.saveSpectrum(this.currentSpectrum);
+    this.storageManager.saveWavetable(this.wavetable);
 
     // Update info display
     this.updateInfoDisplay();
   }
 
+  /**
+   * Zero or randomize all harmonic phases of the current frame
+   * @param {string} mode - 'reset' or 'randomize'
+   */
+  applyPhases(mode) {
+    const spectrum = this.currentSpectrum.clone();
+
+    if (mode === 'reset') {
+      spectrum.resetPhases();
+    } else {
+      spectrum.randomizePhases();
+    }
+    Symmetry.constrainSpectrum(spectrum, this.symmetryOptions);
+
+    this.frequencyCanvas.updateFromSpectrum(spectrum);
+    this.onFrequencyDomainChange(spectrum);
+  }
+
   loadPreset(presetName) {
     let waveform;
 
@@ -398,36 +1093,666 @@ export class WavetableEditor {
         return;
     }
 
-    // Update current waveform
-    this.currentWaveform = waveform;
+    // Replace current frame (spectrum is analysed by the wavetable)
+    this.wavetable.setFrame(this.wavetable.selectedIndex, waveform);
 
-    // Update spectrum
-    this.currentSpectrum = WaveformTransform.toFrequencyDomain(
-      this.currentWaveform,
-      64
+    // Update active view
+    this.updateActiveView();
+
+    // Update audio if playing
+    this.updateAudio();
+    this.frameList.renderFrame(this.wavetable.selectedIndex);
+    this.pushToHistory();
+
+    this.storageManager.saveWavetable(this.wavetable);
+
+    // Update info display
+    this.updateInfoDisplay();
+
+    console.log(`Loaded preset: ${presetName}`);
+  }
+
+  /**
+   * Select a frame for editing without recording an undo step or saving
+   * Selection alone changes no frame, and controllers sweep through frames
+   * far faster than history and storage should be written
+   * @param {number} index - Frame index
+   */
+  showFrame(index) {
+    this.wavetable.selectFrame(index);
+    this.updateActiveView();
+    this.frameList.updateFromWavetable(this.wavetable);
+    this.updateAudio();
+    this.updateInfoDisplay();
+  }
+
+  /**
+   * Insert a new sine frame after the selected one
+   */
+  addFrame() {
+    const index = this.wavetable.addFrame(
+      WaveformPresets.sine(this.sampleRate),
+      null,
+      this.wavetable.selectedIndex + 1
     );
+    this.wavetable.selectFrame(index);
+    this.onWavetableChange();
+  }
 
-    // Update active view
+  /**
+   * Insert a copy of the selected frame after it
+   */
+  duplicateFrame() {
+    const index = this.wavetable.duplicateFrame(this.wavetable.selectedIndex);
+    this.wavetable.selectFrame(index);
+    this.onWavetableChange();
+  }
+
+  /**
+   * Remove the selected frame
+   */
+  deleteFrame() {
+    if (this.wavetable.frameCount === 1) {
+      this.exportNotification.show('A wavetable needs at least one frame');
+      return;
+    }
+
+    this.wavetable.removeFrame(this.wavetable.selectedIndex);
+    this.onWavetableChange();
+  }
+
+  /**
+   * Move the selected frame up or down the table
+   * @param {number} offset - Number of positions to move (negative moves up)
+   */
+  moveFrame(offset) {
+    const fromIndex = this.wavetable.selectedIndex;
+    const toIndex = fromIndex + offset;
+
+    if (toIndex < 0 || toIndex >= this.wavetable.frameCount) {
+      return;
+    }
+
+    this.wavetable.moveFrame(fromIndex, toIndex);
+    this.onWavetableChange();
+  }
+
+  /**
+   * Resample every frame to a new table size
+   * @param {number} sampleRate - Number of samples per frame (256 to 8192)
+   */
+  setTableSize(sampleRate) {
+    if (sampleRate === this.sampleRate) return;
+
+    this.wavetable = this.wavetable.resample(sampleRate);
+    this.sampleRate = sampleRate;
+    this.harmonicCount = this.wavetable.harmonicCount;
+
+    this.onWavetableChange();
+
+    console.log(`Resampled table to ${sampleRate} samples`);
+  }
+
+  /**
+   * Refresh views, audio, history and storage after frame list changes
+   */
+  onWavetableChange() {
+    this.updateActiveView();
+    this.frameList.updateFromWavetable(this.wavetable);
+
+    // Update audio if playing
+    this.updateAudio();
+    this.pushToHistory();
+
+    this.storageManager.saveWavetable(this.wavetable);
+
+    // Update info display
+    this.updateInfoDisplay();
+  }
+
+  /**
+   * Show the selected frame in the active canvas
+   */
+  updateActiveView() {
     if (this.activeView === 'time') {
       this.timeCanvas.updateFromWaveform(this.currentWaveform);
+    } else if (this.activeView === 'table') {
+      this.tableEditor.update(this.currentWaveform, this.currentSpectrum);
     } else {
       this.frequencyCanvas.updateFromSpectrum(this.currentSpectrum);
     }
-    this.pushToHistory();
+  }
+
+  /**
+   * Show the table view's selected rows and the column they act on
+   */
+  updateTableRangeDisplay() {
+    const { range } = this.tableEditor;
+    const rows = this.tableEditor.mode === 'samples' ? 'Samples' : 'Harmonics';
+    const offset = this.tableEditor.mode === 'samples' ? 0 : 1;
+    const column = this.tableEditor.getColumnLabel();
+
+    this.elements.tableRange.textContent = range
+      ? `${rows} ${range.start + offset}–${range.end + offset} · ${column}`
+      : `No rows selected · ${column}`;
+    this.elements.tableFill.disabled = !range;
+    this.elements.tableInterpolate.disabled = !range || range.end - range.start < 2;
+  }
 
-    this.storageManager.saveWaveform(this.currentWaveform);
-    this.storageManager.saveSpectrum(this.currentSpectrum);
+  /**
+   * Rebuild wavetable from saved data
+   * @private
+   */
+  createWavetableFromData(data) {
+    const wavetable = new Wavetable(data.sampleRate, data.harmonicCount);
+
+    for (const frame of data.frames) {
+      const waveform = new Waveform(data.sampleRate);
+      waveform.samples.set(frame.samples);
+
+      // Saves without harmonics are analysed again
+      let spectrum = null;
+      if (frame.harmonics) {
+        spectrum = new FrequencySpectrum(data.harmonicCount);
+        spectrum.harmonics = frame.harmonics.map(h => ({ ...h }));
+      }
 
-    // Update info display
-    this.updateInfoDisplay();
+      wavetable.addFrame(waveform, spectrum);
+    }
 
-    console.log(`Loaded preset: ${presetName}`);
+    wavetable.selectFrame(data.selectedIndex);
+    if (data.name) {
+      wavetable.name = data.name;
+    }
+    return wavetable;
+  }
+
+  /**
+   * Start a keyboard or MIDI note
+   * @param {number} note - MIDI note number
+   * @param {number} velocity - Velocity, 0 to 1
+   */
+  async playNote(note, velocity) {
+    try {
+      await this.audioPreview.noteOn(this.currentWaveform, note, velocity);
+      this.outputAnalyser.start();
+    } catch (error) {
+      console.error('Error playing note:', error);
+    }
+  }
+
+  /**
+   * Release a keyboard or MIDI note
+   * @param {number} note - MIDI note number
+   */
+  releaseNote(note) {
+    this.audioPreview.noteOff(note);
+  }
+
+  /**
+   * Apply and persist keyboard octave, velocity or envelope changes
+   * @param {Object} options - Changed keyboard options
+   */
+  setKeyboardOptions(options) {
+    this.keyboardOptions = { ...this.keyboardOptions, ...options };
+    this.audioPreview.setEnvelope(this.keyboardOptions);
+    this.storageManager.saveKeyboardOptions(this.keyboardOptions);
+    this.updateKeyboardDisplay();
+  }
+
+  /**
+   * Show keyboard options in their controls
+   */
+  updateKeyboardDisplay() {
+    const options = this.keyboardOptions;
+
+    this.elements.octaveValue.textContent = `C${this.pianoKeyboard.octave}`;
+    this.elements.octaveDown.disabled = this.pianoKeyboard.octave === MIN_OCTAVE;
+    this.elements.octaveUp.disabled = this.pianoKeyboard.octave === MAX_OCTAVE;
+    this.elements.velocitySlider.value = Math.round(this.pianoKeyboard.velocity * 100);
+    this.elements.velocityValue.textContent = `${Math.round(this.pianoKeyboard.velocity * 100)}%`;
+
+    this.elements.envelopeSliders.forEach(slider => {
+      const stage = slider.dataset.envelope;
+      const value = stage === 'sustain'
+        ? Math.round(options[stage] * 100)
+        : Math.round(options[stage] * 1000);
+      const label = document.querySelector(`[data-envelope-value="${stage}"]`);
+
+      slider.value = value;
+      label.textContent = stage === 'sustain' ? `${value}%` : `${value} ms`;
+    });
+  }
+
+  /**
+   * Request MIDI access and listen to the remembered input
+   */
+  async enableMIDI() {
+    try {
+      await this.midiInput.enable();
+    } catch (error) {
+      console.error('Error enabling MIDI:', error);
+      this.exportNotification.show(`Could not enable MIDI: ${error.message}`);
+      return;
+    }
+
+    this.midiInput.selectDevice(this.midiOptions.deviceId, this.midiOptions.deviceName);
+    this.updateMIDIDisplay();
+    console.log('MIDI enabled');
+  }
+
+  /**
+   * Apply a MIDI controller to a learn request or its mapped target
+   * @param {number} controller - CC number
+   * @param {number} value - Controller value, 0 to 1
+   */
+  onMIDIControlChange(controller, value) {
+    if (this.midiLearn) {
+      this.setMIDIOptions({ [`${this.midiLearn}CC`]: controller });
+      this.midiLearn = null;
+      this.updateMIDIDisplay();
+      return;
+    }
+
+    if (controller === this.midiOptions.volumeCC) {
+      // Not persisted: controllers send far more often than storage should be written
+      this.setVolume(value * 0.1);
+      this.elements.volumeSlider.value = Math.round(value * 100);
+      this.elements.volumeValue.textContent = `${Math.round(value * 100)}%`;
+    }
+
+    if (controller === this.midiOptions.frameCC) {
+      const index = Math.round(value * (this.wavetable.frameCount - 1));
+      if (index !== this.wavetable.selectedIndex) {
+        this.showFrame(index);
+      }
+    }
+  }
+
+  /**
+   * Apply and persist drawing tool options
+   * @param {Object} options - Changed {tool, radius, strength}
+   */
+  setToolOptions(options) {
+    this.toolOptions = { ...this.toolOptions, ...options };
+
+    if (options.tool) {
+      this.timeCanvas.setTool(options.tool);
+    }
+    this.timeCanvas.setBrush({ radius: this.toolOptions.radius, strength: this.toolOptions.strength });
+    this.timeCanvas.setSnap({ x: this.toolOptions.snapX, y: this.toolOptions.snapY });
+
+    this.storageManager.saveToolOptions(this.toolOptions);
+    this.updateToolDisplay();
+  }
+
+  /**
+   * Show drawing tool options in their controls
+   */
+  updateToolDisplay() {
+    this.elements.toolButtons.forEach(button => {
+      button.classList.toggle('active', button.dataset.tool === this.toolOptions.tool);
+    });
+    this.elements.brushRadius.value = this.toolOptions.radius;
+    this.elements.brushStrength.value = Math.round(this.toolOptions.strength * 100);
+    this.elements.snapX.value = this.toolOptions.snapX;
+    this.elements.snapY.value = this.toolOptions.snapY;
+  }
+
+  /**
+   * Current frame with the selection (or whole cycle) quantised
+   * @param {string} kind - 'levels' for amplitude steps, 'steps' for sample and hold
+   * @returns {Waveform|null} Result, or null if the amount is not a number
+   */
+  quantizedWaveform(kind) {
+    const input = kind === 'levels' ? this.elements.quantizeLevels : this.elements.quantizeSteps;
+    const amount = parseInt(input.value);
+    if (!Number.isFinite(amount)) return null;
+
+    const { start, end } = this.timeCanvas.getRegion();
+    const result = this.timeCanvas.waveform.clone();
+    const quantized = result.clone();
+
+    if (kind === 'levels') {
+      quantized.quantize(amount);
+    } else {
+      quantized.sampleAndHold(amount);
+    }
+
+    result.samples.set(quantized.samples.subarray(start, end), start);
+    return result;
+  }
+
+  /**
+   * Show what a quantise operation would do, or stop showing it
+   * @param {string|null} kind - 'levels', 'steps', or null
+   */
+  previewQuantize(kind) {
+    this.timeCanvas.setPreview(kind ? this.quantizedWaveform(kind) : null);
+  }
+
+  /**
+   * Quantise the selection, or the whole cycle
+   * @param {string} kind - 'levels' for amplitude steps, 'steps' for sample and hold
+   */
+  applyQuantize(kind) {
+    const result = this.quantizedWaveform(kind);
+    if (!result) return;
+
+    this.timeCanvas.setPreview(null);
+    this.timeCanvas.applyToRegion(waveform => {
+      waveform.samples.set(result.samples);
+    });
+  }
+
+  /**
+   * Change symmetry mode and bring the current frame into it
+   * @param {Object} options - Changed {mode, repeats}
+   */
+  setSymmetryOptions(options) {
+    this.symmetryOptions = { ...this.symmetryOptions, ...options };
+
+    this.timeCanvas.setSymmetry(this.symmetryOptions);
+    this.frequencyCanvas.setSymmetry(this.symmetryOptions);
+    this.tableEditor.setSymmetry(this.symmetryOptions);
+    this.storageManager.saveSymmetryOptions(this.symmetryOptions);
+    this.updateSymmetryDisplay();
+
+    // Reshaping the frame is one undo step; other frames follow as they are edited
+    if (this.symmetryOptions.mode !== 'none') {
+      const waveform = this.currentWaveform.clone();
+      Symmetry.apply(waveform, this.symmetryOptions);
+      this.onTimeDomainChange(waveform);
+      this.updateActiveView();
+    }
+  }
+
+  /**
+   * Show symmetry mode in its controls
+   */
+  updateSymmetryDisplay() {
+    this.elements.symmetryMode.value = this.symmetryOptions.mode;
+    this.elements.symmetryRepeats.value = this.symmetryOptions.repeats;
+    this.elements.symmetryRepeats.hidden = this.symmetryOptions.mode !== 'repeat';
+  }
+
+  /**
+   * Pin the current frame as the reference both editors and A/B compare against
+   */
+  pinReference() {
+    this.reference = {
+      waveform: this.currentWaveform.clone(),
+      spectrum: this.currentSpectrum.clone(),
+      label: `Frame ${this.wavetable.selectedIndex + 1}`
+    };
+
+    this.timeCanvas.setReference(this.reference.waveform);
+    this.frequencyCanvas.setReference(this.reference.spectrum);
+    this.audioPreview.setReference(this.reference.waveform);
+    this.updateReferenceDisplay();
+  }
+
+  /**
+   * Remove the reference, returning playback to the current frame
+   */
+  clearReference() {
+    this.reference = null;
+    this.isComparing = false;
+
+    this.timeCanvas.setReference(null);
+    this.frequencyCanvas.setReference(null);
+    this.audioPreview.setReference(null);
+    this.updateReferenceDisplay();
+  }
+
+  /**
+   * Switch the preview between the current frame (A) and the reference (B)
+   * Only the browser preview can switch tables this way, so A/B is off while
+   * the drone plays on scsynth
+   * @param {boolean} comparing - Whether to play the reference
+   */
+  setComparing(comparing) {
+    this.isComparing = comparing && this.reference !== null && this.canCompare();
+    this.audioPreview.setPlayingReference(this.isComparing);
+    this.updateReferenceDisplay();
+  }
+
+  /**
+   * Whether the drone plays through the browser preview, which A/B switches
+   * @returns {boolean} Whether A/B is available
+   */
+  canCompare() {
+    return this.audioBackend === this.audioPreview;
+  }
+
+  /**
+   * Show the reference and A/B state
+   */
+  updateReferenceDisplay() {
+    const pinned = this.reference !== null;
+
+    this.elements.referenceLabel.textContent = pinned ? `${this.reference.label}${this.isComparing ? ' (playing)' : ''}` : '';
+    this.elements.compareReference.disabled = !pinned || !this.canCompare();
+    this.elements.clearReference.disabled = !pinned;
+    this.elements.compareReference.classList.toggle('active', this.isComparing);
+    this.elements.compareReference.setAttribute('aria-pressed', String(this.isComparing));
+  }
+
+  /**
+   * Run a clipboard command or region operation on the time-domain selection
+   * @param {string} command - copy, cut, paste, pasteMix, scale, or a WaveformRegion operation
+   * @param {DataTransfer} clipboardData - Clipboard of a keyboard cut
+   */
+  runRegionCommand(command, clipboardData = null) {
+    switch (command) {
+      case 'copy':
+        this.copyRegion();
+        break;
+      case 'cut':
+        this.copyRegion(clipboardData);
+        this.timeCanvas.applyToRegion((waveform, start, end) => WaveformRegion.clear(waveform, start, end));
+        break;
+      case 'paste':
+      case 'pasteMix':
+        this.pasteRegion(command === 'pasteMix');
+        break;
+      case 'scale': {
+        const gain = parseFloat(this.elements.regionGain.value) / 100;
+        if (Number.isFinite(gain)) {
+          this.timeCanvas.applyToRegion((waveform, start, end) => WaveformRegion.scale(waveform, start, end, gain));
+        }
+        break;
+      }
+      default:
+        this.timeCanvas.applyToRegion((waveform, start, end) => WaveformRegion[command](waveform, start, end));
+    }
+  }
+
+  /**
+   * Copy the selection to the editor's clipboard and the system clipboard
+   * @param {DataTransfer} clipboardData - Clipboard of a copy event, or null to use the Clipboard API
+   */
+  copyRegion(clipboardData = null) {
+    const { start, end } = this.timeCanvas.getRegion();
+    const samples = WaveformRegion.extract(this.timeCanvas.waveform, start, end);
+    const text = WaveformRegion.toText(samples);
+
+    this.clipboard = { samples, text };
+
+    if (clipboardData) {
+      clipboardData.setData('text/plain', text);
+    } else {
+      // The editor's clipboard still works when the page may not write the system one
+      navigator.clipboard?.writeText(text).catch(() => {});
+    }
+
+    this.exportNotification.show(`Copied ${samples.length} samples`);
+  }
+
+  /**
+   * Paste sample values into the selection
+   * Text from the system clipboard is used when it is a list of numbers;
+   * otherwise the last samples copied here
+   * @param {boolean} mix - Add to the existing samples instead of replacing them
+   * @param {string} text - Clipboard text of a paste event, or null to read it
+   */
+  async pasteRegion(mix = false, text = null) {
+    if (text === null) {
+      try {
+        text = await navigator.clipboard.readText();
+      } catch (error) {
+        text = ''; // Not permitted or not available
+      }
+    }
+
+    let samples = this.clipboard?.samples || null;
+    if (text && text !== this.clipboard?.text) {
+      samples = WaveformRegion.parseText(text) || samples;
+    }
+
+    if (!samples) {
+      this.exportNotification.show('The clipboard holds no sample values');
+      return;
+    }
+
+    this.timeCanvas.applyToRegion(
+      (waveform, start, end) => WaveformRegion.paste(waveform, start, end, samples, mix),
+      this.timeCanvas.getPasteTarget()
+    );
+  }
+
+  /**
+   * Show the selected range
+   */
+  updateSelectionDisplay() {
+    const selection = this.timeCanvas.selection;
+    let label = 'Whole cycle';
+
+    if (selection && selection.end > selection.start) {
+      label = `${selection.start}–${selection.end - 1} (${selection.end - selection.start})`;
+    } else if (selection) {
+      label = `At ${selection.start}`;
+    }
+
+    this.elements.selectionRange.textContent = label;
+  }
+
+  /**
+   * Send the current frame to every engine that is sounding
+   * @param {boolean} interim - Whether a drag is still under way
+   */
+  updateAudio(interim = false) {
+    if (!this.audioBackend) return;
+
+    for (const backend of new Set([this.audioBackend, this.audioPreview])) {
+      if (backend.getIsPlaying()) {
+        backend.updateWaveform(this.currentWaveform, interim);
+      }
+    }
+  }
+
+  /**
+   * Set volume of the drone engines and keyboard alike
+   * @param {number} volume - Volume, 0 to 0.1
+   */
+  setVolume(volume) {
+    this.audioPreview.setVolume(volume);
+    this.scBackend.setVolume(volume);
+  }
+
+  /**
+   * Apply and persist drone engine options, stopping the drone on a switch
+   * @param {Object} options - Changed {backend, bridgeURL}
+   */
+  setAudioOptions(options) {
+    this.stopPreview();
+
+    this.audioOptions = { ...this.audioOptions, ...options };
+    this.scBackend.setURL(this.audioOptions.bridgeURL);
+    this.audioBackend = this.audioOptions.backend === 'scsynth' ? this.scBackend : this.audioPreview;
+    this.setComparing(this.isComparing);
+
+    this.storageManager.saveAudioOptions(this.audioOptions);
+    this.updateAudioDisplay();
+  }
+
+  /**
+   * Show drone engine options in their controls
+   */
+  updateAudioDisplay() {
+    this.elements.audioBackendSelect.value = this.audioOptions.backend;
+    this.elements.bridgeURL.value = this.audioOptions.bridgeURL;
+    this.elements.bridgeControl.hidden = this.audioOptions.backend !== 'scsynth';
+  }
+
+  /**
+   * Apply and persist MIDI options
+   * @param {Object} options - Changed MIDI options
+   */
+  setMIDIOptions(options) {
+    this.midiOptions = { ...this.midiOptions, ...options };
+    this.storageManager.saveMIDIOptions(this.midiOptions);
+    this.updateMIDIDisplay();
+  }
+
+  /**
+   * Show MIDI devices and options in their controls
+   */
+  updateMIDIDisplay() {
+    const select = this.elements.midiDevice;
+    const enabled = this.midiInput.isEnabled;
+
+    if (!MIDIInput.isSupported()) {
+      this.elements.midiEnable.disabled = true;
+      this.elements.midiEnable.textContent = 'MIDI not supported';
+    } else {
+      this.elements.midiEnable.disabled = enabled;
+      this.elements.midiEnable.textContent = enabled ? 'MIDI enabled' : 'Enable MIDI';
+    }
+
+    // Rebuild device list after the fixed Off / All inputs options
+    while (select.options.length > 2) {
+      select.remove(2);
+    }
+    const devices = this.midiInput.getDevices();
+    for (const device of devices) {
+      select.add(new Option(device.name, device.id));
+    }
+
+    // Keep showing a remembered input while it is unplugged
+    const deviceId = this.midiInput.deviceId;
+    if (deviceId && deviceId !== 'all' && !devices.some(device => device.id === deviceId)) {
+      select.add(new Option(`${this.midiInput.deviceName || deviceId} (disconnected)`, deviceId));
+    }
+
+    select.disabled = !enabled;
+    select.value = this.midiInput.deviceId ?? '';
+
+    this.elements.midiBendRange.value = this.midiOptions.bendRange;
+    this.elements.midiVolumeCC.value = this.midiOptions.volumeCC ?? '';
+    this.elements.midiFrameCC.value = this.midiOptions.frameCC ?? '';
+
+    this.elements.midiLearnButtons.forEach(button => {
+      const learning = button.dataset.learn === this.midiLearn;
+      button.classList.toggle('learning', learning);
+      button.textContent = learning ? 'Move a control…' : 'Learn';
+    });
+  }
+
+  /**
+   * Read CC number from a text field, null when blank or invalid
+   * @private
+   */
+  parseController(text) {
+    const value = parseInt(text);
+    return Number.isInteger(value) && value >= 0 && value <= 127 ? value : null;
   }
 
   async playPreview() {
     try {
       const frequency = parseInt(this.elements.frequencySlider.value);
-      await this.audioPreview.play(this.currentWaveform, frequency);
+      await this.audioBackend.play(this.currentWaveform, frequency);
+      this.outputAnalyser.start();
 
       this.elements.playButton.disabled = true;
       this.elements.stopButton.disabled = false;
@@ -435,12 +1760,13 @@ export class WavetableEditor {
       console.log('Playing preview');
     } catch (error) {
       console.error('Error playing audio:', error);
+      this.exportNotification.show(`Could not play: ${error.message}`);
       this.stopPreview();
     }
   }
 
   stopPreview() {
-    this.audioPreview.stop();
+    this.audioBackend.stop();
 
     this.elements.playButton.disabled = false;
     this.elements.stopButton.disabled = true;
@@ -453,6 +1779,9 @@ export class WavetableEditor {
       case 'supercollider':
         this.exportSuperCollider();
         break;
+      case 'supercollider-octaves':
+        this.exportSuperColliderOctaves();
+        break;
       case 'wav':
         this.exportWAV();
         break;
@@ -465,31 +1794,235 @@ export class WavetableEditor {
   }
 
   exportSuperCollider() {
-    const code = WaveformExporter.toSuperColliderArray(this.currentWaveform);
+    // Several frames go to consecutive buffers for VOsc
+    const code = this.wavetable.frameCount > 1
+      ? WaveformExporter.toSuperColliderVOsc(this.wavetable)
+      : WaveformExporter.toSuperColliderArray(this.currentWaveform);
     this.exportModal.show(code, 'SuperCollider Export');
     console.log('Exported SuperCollider code');
   }
 
+  /**
+   * Export the current frame as band-limited octave tables for Osc
+   */
+  exportSuperColliderOctaves() {
+    const set = BandLimitedSet.fromWaveform(this.currentWaveform);
+    const code = WaveformExporter.toSuperColliderBandLimited(set);
+    this.exportModal.show(code, 'SuperCollider Octave Set Export');
+    console.log('Exported SuperCollider octave set');
+  }
+
   exportWAV() {
-    try {
-      const frequency = parseInt(this.elements.frequencySlider.value);
-      WaveformExporter.toWAV(this.currentWaveform, frequency);
-      this.exportNotification.show('WAV file downloaded!');
-      console.log('Exported WAV file');
-    } catch (error) {
-      console.error('Error exporting WAV:', error);
-      this.exportNotification.show('Error exporting WAV file');
-    }
+    // Rendered notes start at the preview pitch, not the last export's
+    const options = {
+      mode: 'cycle',
+      duration: 1,
+      format: 'pcm16',
+      sampleRate: 44100,
+      ...this.storageManager.loadWAVOptions(),
+      frequency: parseInt(this.elements.frequencySlider.value)
+    };
+
+    this.wavExportModal.show(options, (chosen) => {
+      try {
+        if (chosen.mode === 'wavetable') {
+          WaveformExporter.toWavetableWAV(this.wavetable, chosen);
+        } else if (chosen.mode === 'octaves') {
+          const set = BandLimitedSet.fromWaveform(this.currentWaveform);
+          WaveformExporter.toWavetableWAV(set.toWavetable(), chosen);
+        } else {
+          WaveformExporter.toWAV(this.currentWaveform, chosen);
+        }
+        const { frequency, ...saved } = chosen;
+        this.storageManager.saveWAVOptions(saved);
+        this.exportNotification.show('WAV file downloaded!');
+        console.log('Exported WAV file');
+      } catch (error) {
+        console.error('Error exporting WAV:', error);
+        this.exportNotification.show('Error exporting WAV file');
+      }
+    });
   }
 
   exportJSON() {
-    const json = WaveformExporter.toJSON(this.currentWaveform);
+    const json = WaveformExporter.toProjectJSON(this.wavetable, {
+      frequency: parseInt(this.elements.frequencySlider.value),
+      volume: this.audioPreview.volume
+    });
     this.exportModal.show(json, 'JSON Export');
     console.log('Exported JSON');
   }
 
+  /**
+   * Import a dropped file by its type
+   * @param {File} file - WAV or JSON file
+   */
+  async importFile(file) {
+    const name = file.name.toLowerCase();
+
+    if (name.endsWith('.wav') || file.type === 'audio/wav' || file.type === 'audio/x-wav') {
+      await this.importWAV(file);
+    } else if (name.endsWith('.json') || file.type === 'application/json') {
+      this.importJSON(await file.text());
+    } else {
+      this.exportNotification.show(`Could not import ${file.name}: only WAV and JSON files are supported`);
+    }
+  }
+
+  /**
+   * Replace the wavetable with exported JSON
+   * @param {string} text - JSON text
+   * @returns {boolean} True if the import succeeded
+   */
+  importJSON(text) {
+    let project;
+    let wavetable;
+
+    try {
+      project = WaveformImporter.parseJSON(text);
+      wavetable = WaveformImporter.toWavetable(project);
+    } catch (error) {
+      console.error('Error importing JSON:', error);
+      this.exportNotification.show(`Could not import JSON: ${error.message}`);
+      return false;
+    }
+
+    // Sizes the editor cannot select are brought to the current size
+    if (!TABLE_SIZES.includes(wavetable.sampleRate)) {
+      wavetable = wavetable.resample(this.sampleRate);
+    }
+
+    this.wavetable = wavetable;
+    this.sampleRate = wavetable.sampleRate;
+    this.harmonicCount = wavetable.harmonicCount;
+    this.elements.tableSizeSelect.value = this.sampleRate;
+    this.elements.tableName.value = wavetable.name;
+
+    this.applySettings(project.settings);
+    this.onWavetableChange();
+
+    const frames = `${wavetable.frameCount} frame${wavetable.frameCount === 1 ? '' : 's'}`;
+    const message = `Imported ${wavetable.name} (${frames})`;
+    this.exportNotification.show(message);
+    console.log(message);
+    return true;
+  }
+
+  /**
+   * Apply preview settings stored in a project
+   * @param {Object} settings - {frequency, volume}
+   * @private
+   */
+  applySettings(settings) {
+    const slider = this.elements.frequencySlider;
+    const frequency = settings.frequency;
+
+    if (Number.isFinite(frequency) &&
+        frequency >= parseInt(slider.min) && frequency <= parseInt(slider.max)) {
+      slider.value = frequency;
+      this.elements.frequencyValue.textContent = `${frequency} Hz`;
+      this.audioBackend.setFrequency(frequency);
+      this.storageManager.saveFrequency(frequency);
+    }
+
+    if (Number.isFinite(settings.volume)) {
+      this.setVolume(settings.volume);
+      const volume = this.audioPreview.volume;
+      this.elements.volumeSlider.value = Math.round(volume * 1000);
+      this.elements.volumeValue.textContent = `${Math.round(volume * 1000)}%`;
+      this.storageManager.saveVolume(volume);
+    }
+  }
+
+  /**
+   * Read a WAV file and ask how to import it
+   * @param {File} file - Selected WAV file
+   */
+  async importWAV(file) {
+    let wav;
+
+    try {
+      wav = WaveformImporter.parseWAV(await file.arrayBuffer());
+    } catch (error) {
+      console.error('Error reading WAV:', error);
+      this.exportNotification.show(`Could not import ${file.name}: ${error.message}`);
+      return;
+    }
+
+    this.wavImportModal.show(file.name, wav, (options) => {
+      try {
+        this.applyWAVImport(wav, options);
+      } catch (error) {
+        console.error('Error importing WAV:', error);
+        this.exportNotification.show(`Could not import ${file.name}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Turn parsed WAV data into frames
+   * @param {Object} wav - Parsed WAV data
+   * @param {Object} options - Import options from WAVImportModal
+   */
+  applyWAVImport(wav, options) {
+    let waveforms;
+    let message;
+
+    const maxFrames = options.append ? MAX_FRAMES - this.wavetable.frameCount : MAX_FRAMES;
+    if (maxFrames <= 0) {
+      throw new Error(`Wavetable already has the maximum of ${MAX_FRAMES} frames`);
+    }
+
+    if (options.mode === 'frames') {
+      const { frames, sourceCount } = WaveformImporter.toFrames(
+        wav.samples,
+        options.frameSize,
+        this.sampleRate,
+        maxFrames
+      );
+      waveforms = frames;
+      message = waveforms.length < sourceCount
+        ? `Imported ${waveforms.length} of ${sourceCount} frames, evenly spaced (limit ${MAX_FRAMES} frames)`
+        : `Imported ${waveforms.length} frame${waveforms.length === 1 ? '' : 's'}`;
+    } else if (options.mode === 'pitch') {
+      const { waveform, frequency } = WaveformImporter.extractCycle(
+        wav.samples,
+        wav.sampleRate,
+        this.sampleRate
+      );
+      waveforms = [waveform];
+      message = `Imported cycle at ${frequency.toFixed(2)} Hz`;
+    } else {
+      waveforms = [WaveformImporter.toWaveform(wav.samples, this.sampleRate)];
+      message = 'Imported cycle';
+    }
+
+    WaveformImporter.normalizeTogether(waveforms);
+
+    if (options.append) {
+      const firstIndex = this.wavetable.frameCount;
+      waveforms.forEach(waveform => this.wavetable.addFrame(waveform));
+      this.wavetable.selectFrame(firstIndex);
+    } else if (options.mode === 'frames') {
+      this.wavetable = new Wavetable(this.sampleRate, this.harmonicCount);
+      waveforms.forEach(waveform => this.wavetable.addFrame(waveform));
+    } else {
+      this.wavetable.setFrame(this.wavetable.selectedIndex, waveforms[0]);
+    }
+
+    this.onWavetableChange();
+    this.exportNotification.show(message);
+    console.log(message);
+  }
+
   updateInfoDisplay() {
     this.elements.sampleCount.textContent = this.sampleRate;
+    this.elements.frameDisplay.textContent =
+      `${this.wavetable.selectedIndex + 1} / ${this.wavetable.frameCount}`;
+    this.elements.deleteFrame.disabled = this.wavetable.frameCount === 1;
+    this.elements.moveFrameUp.disabled = this.wavetable.selectedIndex === 0;
+    this.elements.moveFrameDown.disabled =
+      this.wavetable.selectedIndex === this.wavetable.frameCount - 1;
 
     const playbackRate = 44100;
     const frequency = Math.round(playbackRate / this.sampleRate);
@@ -503,4 +2036,8 @@ export class WavetableEditor {
   getSpectrum() {
     return this.currentSpectrum.clone();
   }
+
+  getWavetable() {
+    return this.wavetable.clone();
+  }
 }
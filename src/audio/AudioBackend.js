@@ -0,0 +1,70 @@
+/**
+ * Audio backends the preview can play through
+ */
+export const AUDIO_BACKENDS = ['browser', 'scsynth'];
+
+/**
+ * AudioBackend
+ * Contract for engines that play the edited table as a drone
+ *
+ * The editor only talks to the drone through these methods, so the same
+ * controls drive the in-browser oscillator or a SuperCollider server.
+ * Subclasses override every method; volume is 0 to 0.1 as in the UI.
+ */
+export class AudioBackend {
+  /**
+   * Start playing a waveform, replacing any current playback
+   * @param {Waveform} waveform - Waveform to play
+   * @param {number} frequency - Frequency in Hz (optional, keeps current)
+   */
+  async play(waveform, frequency = null) {
+    throw new Error(`${this.constructor.name} does not implement play`);
+  }
+
+  /**
+   * Stop playback
+   */
+  stop() {
+    throw new Error(`${this.constructor.name} does not implement stop`);
+  }
+
+  /**
+   * Replace the table while playing, without restarting
+   * @param {Waveform} waveform - New waveform
+   * @param {boolean} interim - Whether more edits follow at once (a drag), so a cheaper table will do
+   */
+  updateWaveform(waveform, interim = false) {
+    throw new Error(`${this.constructor.name} does not implement updateWaveform`);
+  }
+
+  /**
+   * Set playback frequency
+   * @param {number} frequency - Frequency in Hz
+   */
+  setFrequency(frequency) {
+    throw new Error(`${this.constructor.name} does not implement setFrequency`);
+  }
+
+  /**
+   * Set output volume
+   * @param {number} volume - Volume, 0 to 0.1
+   */
+  setVolume(volume) {
+    throw new Error(`${this.constructor.name} does not implement setVolume`);
+  }
+
+  /**
+   * Check if audio is currently playing
+   * @returns {boolean}
+   */
+  getIsPlaying() {
+    throw new Error(`${this.constructor.name} does not implement getIsPlaying`);
+  }
+
+  /**
+   * Release the engine's resources
+   */
+  dispose() {
+    this.stop();
+  }
+}
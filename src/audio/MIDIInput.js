@@ -0,0 +1,146 @@
+/**
+ * MIDIInput
+ * Web MIDI listener turning channel messages from one or all input ports
+ * into events: noteon, noteoff, pitchbend, controlchange and deviceschange
+ *
+ * Every port the operating system exposes is listed, including virtual and
+ * loopback ports (IAC Driver, loopMIDI, ALSA virmidi), and ports that appear
+ * later are picked up without reloading.
+ */
+export class MIDIInput extends EventTarget {
+  constructor() {
+    super();
+    this.access = null;
+    this.deviceId = null; // Input id, 'all' or null when disconnected
+    this.deviceName = null;
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  /**
+   * Whether the browser supports Web MIDI
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  /**
+   * Whether access has been granted
+   */
+  get isEnabled() {
+    return this.access !== null;
+  }
+
+  /**
+   * Request MIDI access (may prompt for permission)
+   */
+  async enable() {
+    if (this.access) return;
+
+    if (!MIDIInput.isSupported()) {
+      throw new Error('Web MIDI is not supported in this browser');
+    }
+
+    this.access = await navigator.requestMIDIAccess();
+    this.access.addEventListener('statechange', (e) => {
+      if (e.port.type !== 'input') return;
+
+      this.connect();
+      this.dispatchEvent(new CustomEvent('deviceschange', {
+        detail: { devices: this.getDevices() }
+      }));
+    });
+
+    this.connect();
+  }
+
+  /**
+   * List connected input ports
+   * @returns {Array<{id: string, name: string}>} Input ports
+   */
+  getDevices() {
+    if (!this.access) return [];
+
+    return [...this.access.inputs.values()]
+      .filter(input => input.state === 'connected')
+      .map(input => ({
+        id: input.id,
+        name: input.manufacturer ? `${input.name} (${input.manufacturer})` : input.name
+      }));
+  }
+
+  /**
+   * Listen to one input, all inputs, or none
+   * Port ids are not stable across sessions, so the name is kept to find it again
+   * @param {string|null} deviceId - Input id, 'all' or null
+   * @param {string|null} deviceName - Input name as returned by getDevices
+   */
+  selectDevice(deviceId, deviceName = null) {
+    this.deviceId = deviceId;
+    this.deviceName = deviceName;
+    this.connect();
+  }
+
+  /**
+   * Attach the message handler to the selected inputs only
+   * @private
+   */
+  connect() {
+    if (!this.access) return;
+
+    const devices = this.getDevices();
+    const byId = devices.find(device => device.id === this.deviceId);
+    const byName = devices.find(device => device.name === this.deviceName);
+
+    // Re-attach to a remembered port that came back with a new id
+    if (!byId && byName) {
+      this.deviceId = byName.id;
+    }
+
+    for (const input of this.access.inputs.values()) {
+      const listen = this.deviceId === 'all' || input.id === this.deviceId;
+      input.onmidimessage = listen ? this.handleMessage : null;
+    }
+  }
+
+  /**
+   * Decode a channel voice message (any channel)
+   * @private
+   */
+  handleMessage(e) {
+    const [status, data1 = 0, data2 = 0] = e.data;
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+
+    switch (type) {
+      case 0x90:
+        // Note on with velocity 0 is a note off
+        if (data2 > 0) {
+          this.emit('noteon', { channel, note: data1, velocity: data2 / 127 });
+        } else {
+          this.emit('noteoff', { channel, note: data1 });
+        }
+        break;
+      case 0x80:
+        this.emit('noteoff', { channel, note: data1 });
+        break;
+      case 0xb0:
+        this.emit('controlchange', { channel, controller: data1, value: data2 / 127 });
+        break;
+      case 0xe0: {
+        // 14-bit value centred on 8192, scaled to -1..1
+        const bend = ((data2 << 7) | data1) - 8192;
+        this.emit('pitchbend', { channel, bend: bend / (bend < 0 ? 8192 : 8191) });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Dispatch MIDI event
+   * @private
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
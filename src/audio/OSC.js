@@ -0,0 +1,162 @@
+/**
+ * OSC
+ * Minimal Open Sound Control 1.0 message encoding and decoding
+ *
+ * Covers what talking to scsynth needs: int32, float32, string and blob
+ * arguments, and decoding the bundles it may reply with.
+ */
+export class OSC {
+  /**
+   * Encode a message
+   * Integers are sent as int32 and other numbers as float32, which scsynth
+   * accepts interchangeably for numeric arguments
+   * @param {string} address - Address pattern, e.g. '/s_new'
+   * @param {Array<number|string|Uint8Array>} args - Arguments
+   * @returns {Uint8Array} Encoded message
+   */
+  static encodeMessage(address, args = []) {
+    const tags = [','];
+    const parts = [];
+
+    for (const arg of args) {
+      if (typeof arg === 'string') {
+        tags.push('s');
+        parts.push(OSC.encodeString(arg));
+      } else if (arg instanceof Uint8Array) {
+        tags.push('b');
+        parts.push(OSC.encodeBlob(arg));
+      } else if (typeof arg === 'number' && Number.isInteger(arg)) {
+        tags.push('i');
+        parts.push(OSC.encodeNumber(arg, 'i'));
+      } else if (typeof arg === 'number') {
+        tags.push('f');
+        parts.push(OSC.encodeNumber(arg, 'f'));
+      } else {
+        throw new Error(`Unsupported OSC argument: ${arg}`);
+      }
+    }
+
+    return OSC.concat([OSC.encodeString(address), OSC.encodeString(tags.join('')), ...parts]);
+  }
+
+  /**
+   * Decode a message; bundles are flattened into their messages
+   * @param {ArrayBuffer|Uint8Array} data - Received packet
+   * @returns {Array<{address: string, args: Array}>} Decoded messages
+   */
+  static decode(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+
+    const readString = () => {
+      let end = offset;
+      while (end < bytes.length && bytes[end] !== 0) end++;
+      const value = new TextDecoder().decode(bytes.subarray(offset, end));
+      offset = OSC.pad(end + 1);
+      return value;
+    };
+
+    const address = readString();
+
+    if (address === '#bundle') {
+      const messages = [];
+      offset += 8; // Time tag
+      while (offset < bytes.length) {
+        const size = view.getInt32(offset);
+        messages.push(...OSC.decode(bytes.subarray(offset + 4, offset + 4 + size)));
+        offset += 4 + size;
+      }
+      return messages;
+    }
+
+    const tags = offset < bytes.length ? readString() : ',';
+    const args = [];
+
+    for (const tag of tags.slice(1)) {
+      switch (tag) {
+        case 'i':
+          args.push(view.getInt32(offset));
+          offset += 4;
+          break;
+        case 'f':
+          args.push(view.getFloat32(offset));
+          offset += 4;
+          break;
+        case 's':
+          args.push(readString());
+          break;
+        case 'b': {
+          const size = view.getInt32(offset);
+          args.push(bytes.slice(offset + 4, offset + 4 + size));
+          offset = OSC.pad(offset + 4 + size);
+          break;
+        }
+        default:
+          throw new Error(`Unsupported OSC type tag: ${tag}`);
+      }
+    }
+
+    return [{ address, args }];
+  }
+
+  /**
+   * Null-terminated string padded to 4 bytes
+   * @private
+   */
+  static encodeString(value) {
+    const encoded = new TextEncoder().encode(value);
+    const bytes = new Uint8Array(OSC.pad(encoded.length + 1));
+    bytes.set(encoded);
+    return bytes;
+  }
+
+  /**
+   * Size-prefixed blob padded to 4 bytes
+   * @private
+   */
+  static encodeBlob(value) {
+    const bytes = new Uint8Array(4 + OSC.pad(value.length));
+    new DataView(bytes.buffer).setInt32(0, value.length);
+    bytes.set(value, 4);
+    return bytes;
+  }
+
+  /**
+   * Big-endian int32 or float32
+   * @private
+   */
+  static encodeNumber(value, type) {
+    const bytes = new Uint8Array(4);
+    const view = new DataView(bytes.buffer);
+
+    if (type === 'i') {
+      view.setInt32(0, value);
+    } else {
+      view.setFloat32(0, value);
+    }
+    return bytes;
+  }
+
+  /**
+   * Round up to a multiple of 4
+   * @private
+   */
+  static pad(length) {
+    return Math.ceil(length / 4) * 4;
+  }
+
+  /**
+   * Join byte arrays
+   * @private
+   */
+  static concat(parts) {
+    const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      bytes.set(part, offset);
+      offset += part.length;
+    }
+    return bytes;
+  }
+}
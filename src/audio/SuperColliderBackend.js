@@ -0,0 +1,365 @@
+import { AudioBackend } from './AudioBackend.js';
+import { OSC } from './OSC.js';
+import { WaveformExporter } from '../domain/WaveformExporter.js';
+
+/**
+ * Address of the WebSocket-to-UDP bridge (npm run osc-bridge)
+ */
+export const DEFAULT_BRIDGE_URL = 'ws://localhost:57121';
+
+const SYNTHDEF_NAME = 'wavetableEditorOsc';
+
+// High buffer and node numbers, clear of what sclang allocates from the bottom
+const FIRST_BUFFER = 1022;
+const FIRST_NODE = 90000;
+
+const SETN_CHUNK = 512; // Values per b_setn, keeping packets well under UDP limits
+const REPLY_TIMEOUT = 3000; // ms
+const RELEASE_TIME = 0.02; // Amp lag in seconds, so starts and stops do not click
+
+/**
+ * SuperColliderBackend
+ * Plays the table on a running scsynth, the engine the tables are made for
+ *
+ * Browsers cannot send UDP, so OSC packets travel over a WebSocket to a local
+ * bridge that forwards them to the server and relays its replies. The table
+ * is loaded in Wavetable format and played by Osc, exactly as exported code
+ * does. Two buffers alternate so edits never rewrite the buffer being read.
+ */
+export class SuperColliderBackend extends AudioBackend {
+  /**
+   * @param {string} url - WebSocket URL of the bridge
+   */
+  constructor(url = DEFAULT_BRIDGE_URL) {
+    super();
+    this.url = url;
+    this.socket = null;
+    this.connection = null;
+
+    this.isPlaying = false;
+    this.nodeId = FIRST_NODE;
+    this.frequency = 440;
+    this.volume = 0.05;
+
+    // Alternating table buffers
+    this.bufferFrames = 0;
+    this.activeBuffer = FIRST_BUFFER;
+
+    // Replies awaited from the server, and table updates in flight
+    this.waiters = new Set();
+    this.syncId = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Point at another bridge, dropping the current connection
+   * @param {string} url - WebSocket URL of the bridge
+   */
+  setURL(url) {
+    if (url === this.url) return;
+
+    this.dispose();
+    this.url = url;
+  }
+
+  /**
+   * Connect to the bridge and load the SynthDef (once)
+   */
+  async connect() {
+    if (!this.connection) {
+      this.connection = this.open().catch((error) => {
+        this.connection = null;
+        throw error;
+      });
+    }
+
+    await this.connection;
+  }
+
+  async play(waveform, frequency = null) {
+    await this.connect();
+
+    this.stop();
+
+    if (frequency !== null) {
+      this.frequency = frequency;
+    }
+
+    this.nodeId++;
+    this.isPlaying = true;
+
+    await this.enqueue(async () => {
+      const bufnum = await this.writeTable(waveform);
+      this.send('/s_new', [SYNTHDEF_NAME, this.nodeId, 0, 0,
+        'bufnum', bufnum, 'freq', this.frequency, 'amp', this.volume]);
+    });
+
+    console.log(`Playing on scsynth at ${this.frequency} Hz, volume ${Math.round(this.volume * 1000)}%`);
+  }
+
+  stop() {
+    if (!this.isPlaying) return;
+
+    const nodeId = this.nodeId;
+    this.isPlaying = false;
+    this.send('/n_set', [nodeId, 'amp', 0]);
+    setTimeout(() => this.send('/n_free', [nodeId]), RELEASE_TIME * 3000);
+    console.log('Stopped scsynth playback');
+  }
+
+  updateWaveform(waveform) {
+    if (!this.isPlaying) return;
+
+    const nodeId = this.nodeId;
+    this.enqueue(async () => {
+      const bufnum = await this.writeTable(waveform);
+      this.send('/n_set', [nodeId, 'bufnum', bufnum]);
+    }).catch(error => console.error('Error updating scsynth table:', error));
+  }
+
+  setFrequency(frequency) {
+    this.frequency = frequency;
+
+    if (this.isPlaying) {
+      this.send('/n_set', [this.nodeId, 'freq', frequency]);
+    }
+  }
+
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(0.1, volume));
+
+    if (this.isPlaying) {
+      this.send('/n_set', [this.nodeId, 'amp', this.volume]);
+    }
+  }
+
+  getIsPlaying() {
+    return this.isPlaying;
+  }
+
+  dispose() {
+    this.stop();
+
+    if (this.socket) {
+      this.socket.close();
+    }
+    this.reset();
+  }
+
+  /**
+   * Open the WebSocket and prepare the server
+   * @private
+   */
+  async open() {
+    const socket = new WebSocket(this.url);
+    socket.binaryType = 'arraybuffer';
+
+    await new Promise((resolve, reject) => {
+      socket.addEventListener('open', resolve, { once: true });
+      socket.addEventListener('error', () => {
+        reject(new Error(`No OSC bridge at ${this.url} (start it with npm run osc-bridge)`));
+      }, { once: true });
+    });
+
+    socket.addEventListener('message', (e) => this.handleReply(e.data));
+    socket.addEventListener('close', () => {
+      if (this.socket === socket) {
+        this.reset();
+      }
+    });
+    this.socket = socket;
+
+    this.send('/d_recv', [buildSynthDef()]);
+    await this.sync();
+    console.log(`Connected to scsynth through ${this.url}`);
+  }
+
+  /**
+   * Forget connection state after the socket closes
+   * @private
+   */
+  reset() {
+    this.socket = null;
+    this.connection = null;
+    this.isPlaying = false;
+    this.bufferFrames = 0;
+
+    for (const waiter of this.waiters) {
+      waiter.reject(new Error('Connection to the OSC bridge closed'));
+    }
+  }
+
+  /**
+   * Run table work in order, so buffers are never written out of sequence
+   * @private
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write a table to the buffer not being played
+   * @private
+   * @returns {Promise<number>} Buffer number now holding the table
+   */
+  async writeTable(waveform) {
+    const data = WaveformExporter.toSuperColliderWavetable(waveform);
+
+    // Buffers are only reallocated when the table size changes
+    if (this.bufferFrames !== data.length) {
+      this.send('/b_alloc', [FIRST_BUFFER, data.length, 1]);
+      this.send('/b_alloc', [FIRST_BUFFER + 1, data.length, 1]);
+      await this.sync();
+      this.bufferFrames = data.length;
+    }
+
+    const bufnum = this.activeBuffer === FIRST_BUFFER ? FIRST_BUFFER + 1 : FIRST_BUFFER;
+
+    for (let start = 0; start < data.length; start += SETN_CHUNK) {
+      const values = Array.from(data.subarray(start, start + SETN_CHUNK));
+      this.send('/b_setn', [bufnum, start, values.length, ...values]);
+    }
+
+    this.activeBuffer = bufnum;
+    return bufnum;
+  }
+
+  /**
+   * Wait until the server has completed every command sent so far
+   * @private
+   */
+  sync() {
+    const id = ++this.syncId;
+    this.send('/sync', [id]);
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        id,
+        resolve: () => {
+          clearTimeout(timer);
+          this.waiters.delete(waiter);
+          resolve();
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          this.waiters.delete(waiter);
+          reject(error);
+        }
+      };
+      const timer = setTimeout(() => {
+        waiter.reject(new Error('scsynth did not reply; is the server running?'));
+      }, REPLY_TIMEOUT);
+
+      this.waiters.add(waiter);
+    });
+  }
+
+  /**
+   * Settle syncs from server replies
+   * Only failures of the asynchronous commands a sync waits for count
+   * @private
+   */
+  handleReply(data) {
+    for (const { address, args } of OSC.decode(data)) {
+      for (const waiter of [...this.waiters]) {
+        if (address === '/synced' && args[0] === waiter.id) {
+          waiter.resolve();
+        } else if (address === '/fail' && ['/d_recv', '/b_alloc'].includes(args[0])) {
+          waiter.reject(new Error(`scsynth ${args[0]} failed: ${args[1]}`));
+        }
+      }
+    }
+  }
+
+  /**
+   * Send an OSC message when connected
+   * @private
+   */
+  send(address, args) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(OSC.encodeMessage(address, args));
+    }
+  }
+}
+
+/**
+ * Compiled SynthDef (SCgf version 2) for
+ *   SynthDef(\wavetableEditorOsc, { |bufnum = 0, freq = 440, amp = 0.05|
+ *     var sig = Osc.ar(bufnum, freq) * Lag.kr(amp, 0.02);
+ *     Out.ar(0, [sig, sig]);
+ *   })
+ * built here so the server needs nothing loaded beforehand
+ * @private
+ */
+function buildSynthDef() {
+  const bytes = [];
+  const view = new DataView(new ArrayBuffer(4));
+
+  const int8 = (value) => bytes.push(value & 0xff);
+  const int16 = (value) => bytes.push((value >> 8) & 0xff, value & 0xff);
+  const int32 = (value) => {
+    view.setInt32(0, value);
+    bytes.push(...new Uint8Array(view.buffer));
+  };
+  const float32 = (value) => {
+    view.setFloat32(0, value);
+    bytes.push(...new Uint8Array(view.buffer));
+  };
+  const pstring = (value) => {
+    int8(value.length);
+    bytes.push(...new TextEncoder().encode(value));
+  };
+
+  const CONTROL = 1, AUDIO = 2;
+  const constant = (index) => [-1, index];
+  const params = [['bufnum', 0], ['freq', 440], ['amp', 0.05]];
+
+  // [class, rate, inputs as [ugen, output] pairs, output count, special index]
+  const ugens = [
+    ['Control', CONTROL, [], params.length, 0],
+    ['Lag', CONTROL, [[0, 2], constant(1)], 1, 0],
+    ['Osc', AUDIO, [[0, 0], [0, 1], constant(0)], 1, 0],
+    ['BinaryOpUGen', AUDIO, [[2, 0], [1, 0]], 1, 2], // Multiplication
+    ['Out', AUDIO, [constant(0), [3, 0], [3, 0]], 0, 0]
+  ];
+
+  bytes.push(...new TextEncoder().encode('SCgf'));
+  int32(2);
+  int16(1);
+
+  pstring(SYNTHDEF_NAME);
+
+  const constants = [0, RELEASE_TIME];
+  int32(constants.length);
+  constants.forEach(float32);
+
+  int32(params.length);
+  params.forEach(([, value]) => float32(value));
+  int32(params.length);
+  params.forEach(([name], index) => {
+    pstring(name);
+    int32(index);
+  });
+
+  int32(ugens.length);
+  for (const [name, rate, inputs, outputs, special] of ugens) {
+    pstring(name);
+    int8(rate);
+    int32(inputs.length);
+    int32(outputs);
+    int16(special);
+    inputs.forEach(([ugen, output]) => {
+      int32(ugen);
+      int32(output);
+    });
+    for (let i = 0; i < outputs; i++) {
+      int8(rate);
+    }
+  }
+
+  int16(0); // Variants
+
+  return new Uint8Array(bytes);
+}
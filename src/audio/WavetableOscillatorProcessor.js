@@ -0,0 +1,196 @@
+/**
+ * WavetableOscillatorProcessor
+ * AudioWorklet oscillator that reads a single-cycle sample table directly,
+ * the way SuperCollider's Osc does, instead of resynthesising it from partials
+ *
+ * The table may come as a band-limited set (see BandLimitedSet), in which
+ * case the level for the current pitch is played and changes of level are
+ * crossfaded like any other table swap
+ *
+ * Runs on the audio thread and is loaded as a separate module,
+ * so it must not import anything
+ */
+
+/**
+ * Table readers, each taking a fractional sample position within [0, size)
+ */
+const INTERPOLATORS = {
+  // Nearest lower sample (stepped, as written to the table)
+  none(table, position) {
+    return table[Math.floor(position)];
+  },
+
+  // Straight line between neighbouring samples (matches Osc)
+  linear(table, position) {
+    const size = table.length;
+    const index = Math.floor(position);
+    const frac = position - index;
+    const a = table[index];
+    const b = table[(index + 1) % size];
+    return a + (b - a) * frac;
+  },
+
+  // 4-point Hermite through the neighbouring samples
+  cubic(table, position) {
+    const size = table.length;
+    const index = Math.floor(position);
+    const frac = position - index;
+    const y0 = table[(index - 1 + size) % size];
+    const y1 = table[index];
+    const y2 = table[(index + 1) % size];
+    const y3 = table[(index + 2) % size];
+
+    const c1 = 0.5 * (y2 - y0);
+    const c2 = y0 - 2.5 * y1 + 2 * y2 - 0.5 * y3;
+    const c3 = 0.5 * (y3 - y0) + 1.5 * (y1 - y2);
+    return ((c3 * frac + c2) * frac + c1) * frac + y1;
+  }
+};
+
+class WavetableOscillatorProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{
+      name: 'frequency',
+      defaultValue: 440,
+      minValue: 0,
+      maxValue: sampleRate / 2,
+      automationRate: 'a-rate'
+    }];
+  }
+
+  constructor(options) {
+    super();
+
+    const { levels, interpolation, crossfade = 0.01 } = options.processorOptions || {};
+
+    // Band-limited levels, fullest first; a single level plays at every pitch
+    this.levels = levels || [new Float32Array(1)];
+    this.level = 0;
+    this.table = this.levels[0];
+    this.interpolate = INTERPOLATORS[interpolation] || INTERPOLATORS.linear;
+    this.phase = 0; // Position within the cycle, 0 to 1
+    this.running = true;
+
+    // Table being faded out after a swap
+    this.previousTable = null;
+    this.fadeLength = Math.max(1, Math.round(crossfade * sampleRate));
+    this.fadeRemaining = 0;
+
+    this.port.onmessage = (e) => this.handleMessage(e.data);
+  }
+
+  /**
+   * Apply message from the main thread
+   * @param {Object} message - {type, ...}
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'table':
+        this.levels = message.levels;
+        this.level = Math.min(this.level, this.levels.length - 1);
+        this.swapTable(this.levels[this.level]);
+        break;
+      case 'interpolation':
+        this.interpolate = INTERPOLATORS[message.interpolation] || INTERPOLATORS.linear;
+        break;
+      case 'stop':
+        this.running = false;
+        break;
+    }
+  }
+
+  /**
+   * Replace the table, fading from the one currently heard
+   * Phase carries on, so the swap has no gap or restart
+   * @param {Float32Array} samples - New table
+   */
+  swapTable(samples) {
+    // A swap during a fade starts from the mix heard right now
+    this.previousTable = this.fadeRemaining > 0
+      ? this.mixTables(this.previousTable, this.table, 1 - this.fadeRemaining / this.fadeLength)
+      : this.table;
+    this.table = samples;
+    this.fadeRemaining = this.fadeLength;
+  }
+
+  /**
+   * Blend two tables, which may differ in size, at the size of the second
+   * @param {Float32Array} from - Table weighted by 1 - amount
+   * @param {Float32Array} to - Table weighted by amount
+   * @param {number} amount - Blend position, 0 to 1
+   * @returns {Float32Array} Blended table
+   */
+  mixTables(from, to, amount) {
+    const mixed = new Float32Array(to.length);
+    const scale = from.length / to.length;
+
+    for (let i = 0; i < to.length; i++) {
+      const a = INTERPOLATORS.linear(from, i * scale);
+      mixed[i] = a + (to[i] - a) * amount;
+    }
+
+    return mixed;
+  }
+
+  /**
+   * Level to play at a given pitch, same rule as BandLimitedSet.levelFor
+   * @param {number} frequency - Playback frequency (Hz)
+   * @returns {number} Level index
+   */
+  levelFor(frequency) {
+    const count = this.levels.length;
+    if (count === 1) return 0;
+
+    const level = Math.ceil(Math.log2((frequency * this.levels[0].length * 2) / sampleRate) - 1);
+    return Math.max(0, Math.min(count - 1, Number.isFinite(level) ? level : 0));
+  }
+
+  process(inputs, outputs, parameters) {
+    const output = outputs[0];
+    const channel = output[0];
+    const frequency = parameters.frequency;
+
+    // Level follows the pitch once per block
+    const level = this.levelFor(frequency[0]);
+    if (level !== this.level) {
+      this.level = level;
+      this.swapTable(this.levels[level]);
+    }
+
+    const table = this.table;
+    const size = table.length;
+    let phase = this.phase;
+
+    for (let i = 0; i < channel.length; i++) {
+      let value = this.interpolate(table, phase * size);
+
+      // Equal-gain crossfade from the previous table
+      if (this.fadeRemaining > 0) {
+        const previous = this.previousTable;
+        const old = this.interpolate(previous, phase * previous.length);
+        const amount = 1 - this.fadeRemaining / this.fadeLength;
+        value = old + (value - old) * amount;
+
+        if (--this.fadeRemaining === 0) {
+          this.previousTable = null;
+        }
+      }
+
+      channel[i] = value;
+
+      const hz = frequency.length > 1 ? frequency[i] : frequency[0];
+      phase += hz / sampleRate;
+      phase -= Math.floor(phase);
+    }
+
+    this.phase = phase;
+
+    for (let c = 1; c < output.length; c++) {
+      output[c].set(channel);
+    }
+
+    return this.running;
+  }
+}
+
+registerProcessor('wavetable-oscillator', WavetableOscillatorProcessor);
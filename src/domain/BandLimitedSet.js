@@ -0,0 +1,128 @@
+import { Waveform } from './Waveform.js';
+import { Wavetable } from './Wavetable.js';
+import { FFT } from './FFT.js';
+
+/**
+ * BandLimitedSet
+ * Mip-mapped copies of one waveform, one per octave of playback pitch
+ *
+ * Level 0 is the waveform itself. Each further level halves the number of
+ * harmonics kept, so a level played anywhere up to the top note of its
+ * octave has no partial above Nyquist. The last level is a pure fundamental.
+ * Levels are cut from the raw FFT bins, so kept harmonics and any DC offset
+ * are identical at every level.
+ */
+export class BandLimitedSet {
+  /**
+   * @param {Array<{waveform: Waveform, maxHarmonic: number}>} levels - Tables, fullest first
+   */
+  constructor(levels) {
+    this.levels = levels;
+  }
+
+  /**
+   * Number of octave tables
+   * @returns {number} Level count
+   */
+  get levelCount() {
+    return this.levels.length;
+  }
+
+  /**
+   * Number of samples in every table
+   * @returns {number} Table size
+   */
+  get tableSize() {
+    return this.levels[0].waveform.sampleRate;
+  }
+
+  /**
+   * Table to play at a given pitch
+   * @param {number} frequency - Playback frequency (Hz)
+   * @param {number} sampleRate - Audio sample rate (Hz)
+   * @returns {number} Level index
+   */
+  levelFor(frequency, sampleRate) {
+    return BandLimitedSet.levelFor(frequency, sampleRate, this.tableSize, this.levelCount);
+  }
+
+  /**
+   * Highest frequency a level can be played at without aliasing
+   * @param {number} level - Level index
+   * @param {number} sampleRate - Audio sample rate (Hz)
+   * @returns {number} Frequency (Hz)
+   */
+  topFrequency(level, sampleRate) {
+    return sampleRate / 2 / this.levels[level].maxHarmonic;
+  }
+
+  /**
+   * Levels as the frames of a wavetable, e.g. for multi-frame WAV export
+   * @returns {Wavetable} Wavetable with one frame per level
+   */
+  toWavetable() {
+    const wavetable = new Wavetable(this.tableSize);
+    this.levels.forEach(level => wavetable.addFrame(level.waveform));
+    return wavetable;
+  }
+
+  /**
+   * Build the octave tables for a waveform
+   * @param {Waveform} waveform - Full-bandwidth waveform (level 0)
+   * @returns {BandLimitedSet} Band-limited set
+   */
+  static fromWaveform(waveform) {
+    const size = waveform.sampleRate;
+    const source = FFT.analyse(waveform.samples);
+    const levels = [{ waveform: waveform.clone(), maxHarmonic: size / 2 - 1 }];
+
+    for (let maxHarmonic = size / 4; maxHarmonic >= 1; maxHarmonic /= 2) {
+      // Keep DC and harmonics up to the limit, with their mirror-image bins
+      const real = new Float64Array(size);
+      const imag = new Float64Array(size);
+      real[0] = source.real[0];
+
+      for (let bin = 1; bin <= maxHarmonic; bin++) {
+        real[bin] = source.real[bin];
+        imag[bin] = source.imag[bin];
+        real[size - bin] = source.real[size - bin];
+        imag[size - bin] = source.imag[size - bin];
+      }
+
+      // Synthesised without normalizing, so every level keeps the same loudness
+      const level = new Waveform(size);
+      level.samples.set(FFT.synthesise(real, imag));
+      levels.push({ waveform: level, maxHarmonic });
+    }
+
+    // Removing harmonics can overshoot (Gibbs ripple); scale the whole set alike
+    let peak = 0;
+    for (const { waveform: level } of levels) {
+      for (let i = 0; i < size; i++) {
+        peak = Math.max(peak, Math.abs(level.samples[i]));
+      }
+    }
+    if (peak > 1) {
+      levels.forEach(({ waveform: level }) => level.samples.forEach((v, i) => {
+        level.samples[i] = v / peak;
+      }));
+    }
+
+    return new BandLimitedSet(levels);
+  }
+
+  /**
+   * Level to play at a given pitch
+   * Level n keeps at most size / 2^(n+1) harmonics, so it is the lowest n with
+   * frequency * size / 2^(n+1) <= Nyquist. SuperCollider export uses the same rule.
+   * @param {number} frequency - Playback frequency (Hz)
+   * @param {number} sampleRate - Audio sample rate (Hz)
+   * @param {number} tableSize - Samples per table
+   * @param {number} levelCount - Number of levels
+   * @returns {number} Level index
+   */
+  static levelFor(frequency, sampleRate, tableSize, levelCount) {
+    const level = Math.ceil(Math.log2((frequency * tableSize * 2) / sampleRate) - 1);
+    return Math.max(0, Math.min(levelCount - 1, Number.isFinite(level) ? level : 0));
+  }
+}
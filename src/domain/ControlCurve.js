@@ -0,0 +1,215 @@
+/**
+ * Ways a segment can run from one control point to the next
+ * - linear: straight line
+ * - catmull-rom: smooth curve through the neighbouring points
+ * - bezier: cubic curve shaped by the two end points' handles
+ * - hold: stays at the start value, stepping at the next point
+ */
+export const SEGMENT_TYPES = ['linear', 'catmull-rom', 'bezier', 'hold'];
+
+/**
+ * ControlCurve
+ * Periodic curve through control points, rendered into a waveform cycle
+ *
+ * Points are {sampleIndex, value, segment, handleIn, handleOut}, sorted by
+ * sampleIndex. Each point's segment type shapes the curve up to the next
+ * point, and the last segment wraps round to the first point so the cycle
+ * loops. Bézier handles are {dx, dy} offsets in samples and value units.
+ */
+export class ControlCurve {
+  /**
+   * Evenly spaced points sampled from a waveform
+   * @param {Waveform} waveform - Waveform to follow
+   * @param {number} count - Number of points
+   * @param {string} segment - Segment type for every point
+   * @returns {Array<Object>} Control points
+   */
+  static fromWaveform(waveform, count, segment = 'linear') {
+    const size = waveform.sampleRate;
+    const pointCount = Math.max(2, Math.min(count, size));
+    const step = size / pointCount;
+    const points = [];
+
+    for (let i = 0; i < pointCount; i++) {
+      const sampleIndex = Math.floor(i * step);
+      points.push({ sampleIndex, value: waveform.getSample(sampleIndex), segment });
+    }
+
+    if (segment === 'bezier') {
+      points.forEach((point, i) => this.resetHandles(points, i, size));
+    }
+
+    return points;
+  }
+
+  /**
+   * Render the curve into a cycle of samples
+   * @param {Array<Object>} points - Control points, sorted
+   * @param {number} size - Samples in the cycle
+   * @returns {Float32Array} Samples, clamped to -1..1
+   */
+  static render(points, size) {
+    const samples = new Float32Array(size);
+
+    points.forEach((point, i) => {
+      const { x0, x1 } = this.segmentBounds(points, i, size);
+      for (let x = x0; x < x1; x++) {
+        const value = this.valueInSegment(points, i, size, x);
+        samples[x % size] = Math.max(-1, Math.min(1, value));
+      }
+    });
+
+    return samples;
+  }
+
+  /**
+   * Curve value at a position within one segment
+   * @param {Array<Object>} points - Control points, sorted
+   * @param {number} index - Index of the segment's start point
+   * @param {number} size - Samples in the cycle
+   * @param {number} x - Position between the segment's bounds
+   * @returns {number} Value
+   */
+  static valueInSegment(points, index, size, x) {
+    const start = points[index];
+    const end = points[(index + 1) % points.length];
+    const { x0, x1 } = this.segmentBounds(points, index, size);
+    const length = x1 - x0;
+    const t = (x - x0) / length;
+
+    switch (start.segment) {
+      case 'hold':
+        return start.value;
+
+      case 'catmull-rom': {
+        // Cubic Hermite with finite-difference tangents
+        const m0 = this.tangent(points, index, size) * length;
+        const m1 = this.tangent(points, (index + 1) % points.length, size) * length;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        return (2 * t3 - 3 * t2 + 1) * start.value + (t3 - 2 * t2 + t) * m0 +
+          (-2 * t3 + 3 * t2) * end.value + (t3 - t2) * m1;
+      }
+
+      case 'bezier': {
+        const { handleOut, handleIn } = this.segmentHandles(points, index, size);
+        const cx1 = x0 + handleOut.dx;
+        const cx2 = x1 + handleIn.dx;
+
+        // x(u) never decreases while handles stay inside the segment, so bisect for u
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 24; i++) {
+          const u = (low + high) / 2;
+          if (this.bezier(x0, cx1, cx2, x1, u) < x) {
+            low = u;
+          } else {
+            high = u;
+          }
+        }
+
+        const u = (low + high) / 2;
+        return this.bezier(start.value, start.value + handleOut.dy, end.value + handleIn.dy, end.value, u);
+      }
+
+      default:
+        return start.value * (1 - t) + end.value * t;
+    }
+  }
+
+  /**
+   * Set a segment's handles to match the Catmull-Rom curve through it
+   * @param {Array<Object>} points - Control points, sorted
+   * @param {number} index - Index of the segment's start point
+   * @param {number} size - Samples in the cycle
+   */
+  static resetHandles(points, index, size) {
+    const next = (index + 1) % points.length;
+    const { x0, x1 } = this.segmentBounds(points, index, size);
+    const third = (x1 - x0) / 3;
+
+    points[index].handleOut = { dx: third, dy: this.tangent(points, index, size) * third };
+    points[next].handleIn = { dx: -third, dy: -this.tangent(points, next, size) * third };
+  }
+
+  /**
+   * Handles of a segment, limited to its length
+   * @param {Array<Object>} points - Control points, sorted
+   * @param {number} index - Index of the segment's start point
+   * @param {number} size - Samples in the cycle
+   * @returns {{handleOut: Object, handleIn: Object}} Handles as {dx, dy}
+   */
+  static segmentHandles(points, index, size) {
+    const start = points[index];
+    const end = points[(index + 1) % points.length];
+    const { x0, x1 } = this.segmentBounds(points, index, size);
+    const length = x1 - x0;
+
+    if (!start.handleOut || !end.handleIn) {
+      this.resetHandles(points, index, size);
+    }
+
+    return {
+      handleOut: { dx: Math.max(0, Math.min(length, start.handleOut.dx)), dy: start.handleOut.dy },
+      handleIn: { dx: Math.max(-length, Math.min(0, end.handleIn.dx)), dy: end.handleIn.dy }
+    };
+  }
+
+  /**
+   * Start and end position of a segment; the last one ends past the cycle
+   * @param {Array<Object>} points - Control points, sorted
+   * @param {number} index - Index of the segment's start point
+   * @param {number} size - Samples in the cycle
+   * @returns {{x0: number, x1: number}} Bounds in samples
+   */
+  static segmentBounds(points, index, size) {
+    const x0 = points[index].sampleIndex;
+    const next = points[(index + 1) % points.length].sampleIndex;
+    return { x0, x1: next > x0 ? next : next + size };
+  }
+
+  /**
+   * Index of the segment containing a position
+   * @param {Array<Object>} points - Control points, sorted
+   * @param {number} size - Samples in the cycle
+   * @param {number} x - Position in samples
+   * @returns {number} Index of the segment's start point
+   */
+  static segmentAt(points, size, x) {
+    const position = ((x % size) + size) % size;
+
+    for (let i = points.length - 1; i >= 0; i--) {
+      if (points[i].sampleIndex <= position) {
+        return i;
+      }
+    }
+    return points.length - 1; // Before the first point: the wrapping segment
+  }
+
+  /**
+   * Slope at a point from its neighbours, across the cycle boundary
+   * @private
+   */
+  static tangent(points, index, size) {
+    const count = points.length;
+    const prev = points[(index - 1 + count) % count];
+    const next = points[(index + 1) % count];
+    const x = points[index].sampleIndex;
+
+    let prevX = prev.sampleIndex;
+    let nextX = next.sampleIndex;
+    if (prevX >= x) prevX -= size;
+    if (nextX <= x) nextX += size;
+
+    return (next.value - prev.value) / (nextX - prevX);
+  }
+
+  /**
+   * One coordinate of a cubic Bézier curve
+   * @private
+   */
+  static bezier(p0, p1, p2, p3, u) {
+    const v = 1 - u;
+    return v * v * v * p0 + 3 * v * v * u * p1 + 3 * v * u * u * p2 + u * u * u * p3;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Twiddle factor and bit-reversal tables, cached per transform size
+ * @private
+ */
+const tableCache = new Map();
+
+/**
+ * FFT
+ * Radix-2 fast Fourier transform shared by analysis, synthesis and audio preview
+ */
+export class FFT {
+  /**
+   * Forward transform, in place
+   * X[k] = sum(x[n] * e^(-2πikn/N))
+   * @param {Float64Array|Float32Array} real - Real parts (length must be power of 2)
+   * @param {Float64Array|Float32Array} imag - Imaginary parts (same length as real)
+   */
+  static forward(real, imag) {
+    this.transform(real, imag, false);
+  }
+
+  /**
+   * Inverse transform, in place, scaled by 1/N
+   * x[n] = sum(X[k] * e^(2πikn/N)) / N
+   * @param {Float64Array|Float32Array} real - Real parts (length must be power of 2)
+   * @param {Float64Array|Float32Array} imag - Imaginary parts (same length as real)
+   */
+  static inverse(real, imag) {
+    this.transform(real, imag, true);
+
+    const N = real.length;
+    for (let i = 0; i < N; i++) {
+      real[i] /= N;
+      imag[i] /= N;
+    }
+  }
+
+  /**
+   * Forward transform of real-valued samples
+   * @param {Float32Array|Array<number>} samples - Input samples (length must be power of 2)
+   * @returns {{real: Float64Array, imag: Float64Array}} Complex spectrum (all N bins)
+   */
+  static analyse(samples) {
+    const real = Float64Array.from(samples);
+    const imag = new Float64Array(samples.length);
+    this.forward(real, imag);
+    return { real, imag };
+  }
+
+  /**
+   * Inverse transform of a complex spectrum, keeping the real part
+   * @param {Float64Array|Float32Array} real - Real parts (length must be power of 2)
+   * @param {Float64Array|Float32Array} imag - Imaginary parts (same length as real)
+   * @returns {Float64Array} Time-domain samples
+   */
+  static synthesise(real, imag) {
+    const re = Float64Array.from(real);
+    const im = Float64Array.from(imag);
+    this.inverse(re, im);
+    return re;
+  }
+
+  /**
+   * Iterative Cooley-Tukey transform
+   * @private
+   */
+  static transform(real, imag, inverse) {
+    const N = real.length;
+
+    if (imag.length !== N) {
+      throw new Error('Real and imaginary arrays must have the same length');
+    }
+    if (N <= 1) return;
+
+    const { reversed, cos, sin } = this.getTables(N);
+
+    // Bit-reversal permutation
+    for (let i = 0; i < N; i++) {
+      const j = reversed[i];
+      if (j > i) {
+        let tmp = real[i];
+        real[i] = real[j];
+        real[j] = tmp;
+        tmp = imag[i];
+        imag[i] = imag[j];
+        imag[j] = tmp;
+      }
+    }
+
+    const direction = inverse ? 1 : -1;
+
+    // Butterflies
+    for (let size = 2; size <= N; size *= 2) {
+      const half = size / 2;
+      const step = N / size;
+
+      for (let start = 0; start < N; start += size) {
+        for (let k = 0; k < half; k++) {
+          const wr = cos[k * step];
+          const wi = direction * sin[k * step];
+
+          const a = start + k;
+          const b = a + half;
+
+          const tr = real[b] * wr - imag[b] * wi;
+          const ti = real[b] * wi + imag[b] * wr;
+
+          real[b] = real[a] - tr;
+          imag[b] = imag[a] - ti;
+          real[a] += tr;
+          imag[a] += ti;
+        }
+      }
+    }
+  }
+
+  /**
+   * Get cached tables for transform size
+   * @private
+   */
+  static getTables(N) {
+    if (tableCache.has(N)) {
+      return tableCache.get(N);
+    }
+
+    if ((N & (N - 1)) !== 0) {
+      throw new Error('FFT size must be a power of 2');
+    }
+
+    const bits = Math.log2(N);
+    const reversed = new Uint32Array(N);
+    for (let i = 0; i < N; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) {
+        r = (r << 1) | ((i >> b) & 1);
+      }
+      reversed[i] = r;
+    }
+
+    const cos = new Float64Array(N / 2);
+    const sin = new Float64Array(N / 2);
+    for (let k = 0; k < N / 2; k++) {
+      cos[k] = Math.cos((2 * Math.PI * k) / N);
+      sin[k] = Math.sin((2 * Math.PI * k) / N);
+    }
+
+    const tables = { reversed, cos, sin };
+    tableCache.set(N, tables);
+    return tables;
+  }
+}
@@ -40,9 +40,11 @@ export class FrequencySpectrum {
       throw new Error(`Harmonic index ${index} out of bounds`);
     }
     
+    const fullCycle = Math.PI * 2;
+
     this.harmonics[index] = {
       amplitude: Math.max(0, Math.min(1, amplitude)),
-      phase: phase % (Math.PI * 2)
+      phase: ((phase % fullCycle) + fullCycle) % fullCycle
     };
   }
   
@@ -55,6 +57,24 @@ export class FrequencySpectrum {
     }
   }
   
+  /**
+   * Set every harmonic phase to zero
+   */
+  resetPhases() {
+    for (let i = 0; i < this.harmonicCount; i++) {
+      this.harmonics[i].phase = 0;
+    }
+  }
+  
+  /**
+   * Set every harmonic phase to a random value
+   */
+  randomizePhases() {
+    for (let i = 0; i < this.harmonicCount; i++) {
+      this.harmonics[i].phase = Math.random() * Math.PI * 2;
+    }
+  }
+  
   /**
    * Normalize all harmonic amplitudes so the sum equals 1
    */
@@ -72,6 +92,63 @@ export class FrequencySpectrum {
     }
   }
   
+  /**
+   * Convert harmonics to complex FFT bins
+   * Harmonic phase is a sine phase: amplitude * sin(2πhn/N + phase)
+   * @param {number} size - FFT size (number of time-domain samples)
+   * @returns {{real: Float64Array, imag: Float64Array}} Complex spectrum (all N bins)
+   */
+  toBins(size) {
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    const scale = size / 2;
+
+    // Harmonics at or above Nyquist cannot be represented
+    const count = Math.min(this.harmonicCount, size / 2 - 1);
+
+    for (let i = 0; i < count; i++) {
+      const { amplitude, phase } = this.harmonics[i];
+      if (amplitude === 0) continue;
+
+      const bin = i + 1;
+      real[bin] = scale * amplitude * Math.sin(phase);
+      imag[bin] = -scale * amplitude * Math.cos(phase);
+
+      // Mirror conjugate for a real-valued signal
+      real[size - bin] = real[bin];
+      imag[size - bin] = -imag[bin];
+    }
+
+    return { real, imag };
+  }
+
+  /**
+   * Create spectrum from complex FFT bins
+   * @param {Float64Array} real - Real parts of forward FFT output
+   * @param {Float64Array} imag - Imaginary parts of forward FFT output
+   * @param {number} harmonicCount - Number of harmonics to extract
+   * @returns {FrequencySpectrum} New spectrum
+   */
+  static fromBins(real, imag, harmonicCount = 64) {
+    const spectrum = new FrequencySpectrum(harmonicCount);
+    const size = real.length;
+    const count = Math.min(harmonicCount, size / 2 - 1);
+
+    for (let i = 0; i < count; i++) {
+      const bin = i + 1;
+      const re = real[bin] / size;
+      const im = imag[bin] / size;
+
+      // Cosine phase of the bin shifted to sine phase
+      const amplitude = 2 * Math.sqrt(re * re + im * im);
+      const phase = Math.atan2(im, re) + Math.PI / 2;
+
+      spectrum.setHarmonic(i, amplitude, phase);
+    }
+
+    return spectrum;
+  }
+
   /**
    * Create a deep copy of this spectrum
    * @returns {FrequencySpectrum} Cloned spectrum
@@ -0,0 +1,185 @@
+/**
+ * Symmetry modes a cycle can be held to while editing
+ * - none: every sample is free
+ * - mirror: the second half reflects the first (cosine harmonics only)
+ * - odd: the second half is the first inverted (odd harmonics only)
+ * - quarter: odd, with each half also mirrored (odd sine harmonics only)
+ * - repeat: the cycle repeats a shorter one (harmonics at multiples of the count)
+ */
+export const SYMMETRY_MODES = ['none', 'mirror', 'odd', 'quarter', 'repeat'];
+
+/**
+ * Repeats per cycle the repeat mode offers
+ * Each divides every table size, so all periods are the same whole number
+ * of samples and the cycle holds exactly the harmonics the mode allows
+ */
+export const REPEAT_COUNTS = [2, 4, 8, 16];
+
+/**
+ * Symmetry
+ * Keeps waveforms and spectra within a symmetry mode
+ *
+ * Options are {mode, repeats}, repeats only counting in repeat mode. Every
+ * sample belongs to a group that symmetry ties together: one sample of the
+ * group's fundamental part, and its images, each equal to it or inverted.
+ * Phases follow FrequencySpectrum's sine convention.
+ */
+export class Symmetry {
+  /**
+   * Rebuild a whole cycle from its fundamental part
+   * @param {Waveform} waveform - Waveform to constrain
+   * @param {Object} options - {mode, repeats}
+   */
+  static apply(waveform, options) {
+    const { index, sign } = this.foldTable(waveform.sampleRate, options);
+    const source = Float32Array.from(waveform.samples);
+
+    for (let n = 0; n < waveform.sampleRate; n++) {
+      waveform.setSample(n, sign[n] * source[index[n]]);
+    }
+  }
+
+  /**
+   * Copy edited samples to their images
+   * When an edit touched several samples of one group, the one nearest the
+   * edit position wins
+   * @param {Waveform} waveform - Edited waveform
+   * @param {Float32Array} reference - Samples before the edit
+   * @param {Object} options - {mode, repeats}
+   * @param {number} focus - Edit position (samples)
+   */
+  static propagate(waveform, reference, options, focus = 0) {
+    if (options.mode === 'none') return;
+
+    const size = waveform.sampleRate;
+    const { index, sign } = this.foldTable(size, options);
+    const updates = new Map(); // Group -> {value, distance}
+
+    for (let n = 0; n < size; n++) {
+      if (waveform.samples[n] === reference[n]) continue;
+
+      const offset = Math.abs(n - focus) % size;
+      const distance = Math.min(offset, size - offset);
+      const current = updates.get(index[n]);
+
+      if (!current || distance < current.distance) {
+        updates.set(index[n], { value: sign[n] * waveform.samples[n], distance });
+      }
+    }
+
+    for (let n = 0; n < size; n++) {
+      const update = updates.get(index[n]);
+      if (update) {
+        waveform.setSample(n, sign[n] * update.value);
+      }
+    }
+  }
+
+  /**
+   * Fundamental sample and sign for every sample of a cycle
+   * Repeat counts must divide the size (see REPEAT_COUNTS)
+   * @param {number} size - Samples in the cycle
+   * @param {Object} options - {mode, repeats}
+   * @returns {{index: Int32Array, sign: Int8Array}} Fold of each sample
+   */
+  static foldTable(size, { mode, repeats = 2 }) {
+    const index = new Int32Array(size);
+    const sign = new Int8Array(size).fill(1);
+    const half = size / 2;
+    const quarter = size / 4;
+    const period = Math.max(1, Math.round(size / Math.max(1, repeats)));
+
+    for (let n = 0; n < size; n++) {
+      let k = n;
+
+      switch (mode) {
+        case 'mirror':
+          if (k > half) k = size - k;
+          break;
+        case 'odd':
+          if (k >= half) {
+            k -= half;
+            sign[n] = -1;
+          }
+          break;
+        case 'quarter':
+          if (k >= half) {
+            k -= half;
+            sign[n] = -1;
+          }
+          if (k > quarter) k = half - k;
+          if (k === 0) sign[n] = 0; // Sine series pass through zero there
+          break;
+        case 'repeat':
+          k = n % period;
+          break;
+      }
+
+      index[n] = k;
+    }
+
+    return { index, sign };
+  }
+
+  /**
+   * Whether a harmonic may sound in a mode
+   * @param {number} harmonic - Harmonic index (0 = fundamental)
+   * @param {Object} options - {mode, repeats}
+   * @returns {boolean} False if the mode holds it at zero
+   */
+  static allowsHarmonic(harmonic, { mode, repeats = 2 }) {
+    const number = harmonic + 1;
+
+    switch (mode) {
+      case 'odd':
+      case 'quarter':
+        return number % 2 === 1;
+      case 'repeat':
+        return number % Math.max(1, repeats) === 0;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Nearest phase a mode allows
+   * @param {number} phase - Phase in radians
+   * @param {Object} options - {mode, repeats}
+   * @returns {number} Allowed phase in radians
+   */
+  static constrainPhase(phase, { mode }) {
+    // Mirrored cycles are sums of cosines, quarter-wave ones sums of sines
+    const offset = mode === 'mirror' ? Math.PI / 2 : mode === 'quarter' ? 0 : null;
+    if (offset === null) return phase;
+
+    return offset + Math.round((phase - offset) / Math.PI) * Math.PI;
+  }
+
+  /**
+   * Constrain one harmonic's amplitude and phase
+   * @param {number} harmonic - Harmonic index (0 = fundamental)
+   * @param {number} amplitude - Amplitude (0 to 1)
+   * @param {number} phase - Phase in radians
+   * @param {Object} options - {mode, repeats}
+   * @returns {{amplitude: number, phase: number}} Allowed values
+   */
+  static constrainHarmonic(harmonic, amplitude, phase, options) {
+    return {
+      amplitude: this.allowsHarmonic(harmonic, options) ? amplitude : 0,
+      phase: this.constrainPhase(phase, options)
+    };
+  }
+
+  /**
+   * Constrain every harmonic of a spectrum
+   * @param {FrequencySpectrum} spectrum - Spectrum to constrain
+   * @param {Object} options - {mode, repeats}
+   */
+  static constrainSpectrum(spectrum, options) {
+    for (let i = 0; i < spectrum.harmonicCount; i++) {
+      const { amplitude, phase } = spectrum.getHarmonic(i);
+      const allowed = this.constrainHarmonic(i, amplitude, phase, options);
+      spectrum.setHarmonic(i, allowed.amplitude, allowed.phase);
+    }
+  }
+}
@@ -106,6 +106,34 @@ export class Waveform {
     }
   }
   
+  /**
+   * Reduce to a number of evenly spaced amplitude levels from -1 to 1
+   * 2^n levels give an n-bit table
+   * @param {number} levels - Number of levels (at least 2)
+   */
+  quantize(levels) {
+    const steps = Math.max(2, Math.round(levels)) - 1;
+    
+    for (let i = 0; i < this.sampleRate; i++) {
+      const level = Math.round(((this.samples[i] + 1) / 2) * steps);
+      this.samples[i] = (level / steps) * 2 - 1;
+    }
+  }
+  
+  /**
+   * Hold the first value of each of a number of equal steps per cycle
+   * @param {number} steps - Number of steps (1 to sampleRate)
+   */
+  sampleAndHold(steps) {
+    const count = Math.max(1, Math.min(this.sampleRate, Math.round(steps)));
+    const source = Float32Array.from(this.samples);
+    
+    for (let i = 0; i < this.sampleRate; i++) {
+      const step = Math.floor((i * count) / this.sampleRate);
+      this.samples[i] = source[Math.ceil((step * this.sampleRate) / count)];
+    }
+  }
+  
   /**
    * Create a deep copy of this waveform
    * @returns {Waveform} Cloned waveform
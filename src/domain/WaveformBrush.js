@@ -0,0 +1,127 @@
+/**
+ * WaveformBrush
+ * Drawing operations on a waveform, used by the time-domain tools
+ *
+ * Positions are in samples and may be fractional. Lines and curves stop at
+ * the ends of the cycle; brushes wrap round it, since the cycle loops.
+ * Brushes weight their effect by a raised-cosine falloff over the radius.
+ */
+export class WaveformBrush {
+  /**
+   * Set every sample along a straight line
+   * @param {Waveform} waveform - Waveform to draw on
+   * @param {number} x0 - Start position (samples)
+   * @param {number} y0 - Start value
+   * @param {number} x1 - End position (samples)
+   * @param {number} y1 - End value
+   */
+  static line(waveform, x0, y0, x1, y1) {
+    if (x1 < x0) {
+      [x0, y0, x1, y1] = [x1, y1, x0, y0];
+    }
+
+    const first = Math.max(0, Math.round(x0));
+    const last = Math.min(waveform.sampleRate - 1, Math.round(x1));
+
+    for (let i = first; i <= last; i++) {
+      const t = x1 === x0 ? 1 : Math.max(0, Math.min(1, (i - x0) / (x1 - x0)));
+      waveform.setSample(i, y0 + (y1 - y0) * t);
+    }
+  }
+
+  /**
+   * Set every sample along a quadratic Bézier curve
+   * The control position is kept between the ends, so the curve never folds back
+   * @param {Waveform} waveform - Waveform to draw on
+   * @param {number} x0 - Start position (samples)
+   * @param {number} y0 - Start value
+   * @param {number} cx - Control position (samples)
+   * @param {number} cy - Control value
+   * @param {number} x1 - End position (samples)
+   * @param {number} y1 - End value
+   */
+  static curve(waveform, x0, y0, cx, cy, x1, y1) {
+    const clampedX = Math.max(Math.min(x0, x1), Math.min(Math.max(x0, x1), cx));
+    const steps = Math.max(1, Math.ceil(Math.abs(x1 - x0)) * 2);
+    let prevX = x0;
+    let prevY = y0;
+
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      const u = 1 - t;
+      const x = u * u * x0 + 2 * u * t * clampedX + t * t * x1;
+      const y = u * u * y0 + 2 * u * t * cy + t * t * y1;
+      this.line(waveform, prevX, prevY, x, y);
+      prevX = x;
+      prevY = y;
+    }
+  }
+
+  /**
+   * Blend samples towards their local average
+   * @param {Waveform} waveform - Waveform to draw on
+   * @param {number} center - Brush position (samples)
+   * @param {number} radius - Brush radius (samples)
+   * @param {number} strength - Blend amount at the centre, 0 to 1
+   */
+  static smooth(waveform, center, radius, strength) {
+    const size = waveform.sampleRate;
+    const source = Float32Array.from(waveform.samples);
+    const window = Math.max(1, Math.round(radius / 4));
+
+    this.forEachInRadius(waveform, center, radius, (index, weight) => {
+      let sum = 0;
+      for (let k = -window; k <= window; k++) {
+        sum += source[(index + k + size) % size];
+      }
+      const average = sum / (window * 2 + 1);
+      const amount = strength * weight;
+      waveform.setSample(index, source[index] * (1 - amount) + average * amount);
+    });
+  }
+
+  /**
+   * Scale samples up or down
+   * @param {Waveform} waveform - Waveform to draw on
+   * @param {number} center - Brush position (samples)
+   * @param {number} radius - Brush radius (samples)
+   * @param {number} amount - Gain change at the centre, negative attenuates
+   */
+  static amplify(waveform, center, radius, amount) {
+    this.forEachInRadius(waveform, center, radius, (index, weight) => {
+      waveform.setSample(index, waveform.samples[index] * (1 + amount * weight));
+    });
+  }
+
+  /**
+   * Add random values
+   * @param {Waveform} waveform - Waveform to draw on
+   * @param {number} center - Brush position (samples)
+   * @param {number} radius - Brush radius (samples)
+   * @param {number} amount - Noise amplitude at the centre
+   * @param {Function} random - Random source returning 0 to 1
+   */
+  static noise(waveform, center, radius, amount, random = Math.random) {
+    this.forEachInRadius(waveform, center, radius, (index, weight) => {
+      waveform.setSample(index, waveform.samples[index] + (random() * 2 - 1) * amount * weight);
+    });
+  }
+
+  /**
+   * Call back with every sample under a brush and its falloff weight
+   * @private
+   */
+  static forEachInRadius(waveform, center, radius, callback) {
+    const size = waveform.sampleRate;
+    const reach = Math.min(Math.floor(radius), Math.floor((size - 1) / 2));
+
+    for (let offset = -reach; offset <= reach; offset++) {
+      const position = Math.round(center) + offset;
+      const distance = Math.abs(position - center);
+      if (distance >= radius) continue;
+
+      const weight = 0.5 * (1 + Math.cos((Math.PI * distance) / radius));
+      callback(((position % size) + size) % size, weight);
+    }
+  }
+}
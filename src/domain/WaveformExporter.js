@@ -1,4 +1,25 @@
 import { Waveform } from './Waveform.js';
+import { WaveformTransform } from './WaveformTransform.js';
+
+/**
+ * Supported WAV sample formats
+ */
+export const WAV_FORMATS = {
+  pcm16: { formatTag: 1, bitsPerSample: 16 },
+  pcm24: { formatTag: 1, bitsPerSample: 24 },
+  float32: { formatTag: 3, bitsPerSample: 32 }
+};
+
+/**
+ * Samples per frame in multi-frame wavetable WAV files
+ */
+export const WAVETABLE_FRAME_SIZE = 2048;
+
+/**
+ * Identifier and version written to project JSON
+ */
+export const PROJECT_FORMAT = 'wavetable-editor';
+export const PROJECT_VERSION = 1;
 
 /**
  * WaveformExporter
@@ -6,60 +27,275 @@ import { Waveform } from './Waveform.js';
  */
 export class WaveformExporter {
   /**
-   * Export waveform as SuperCollider wavetable array code
+   * Export waveform as SuperCollider code for Osc
+   * Osc reads buffers in Wavetable format, so the cycle is built as a Signal
+   * and converted with asWavetable, which doubles its size
    * @param {Waveform} waveform - Waveform to export
    * @returns {string} SuperCollider code
    */
   static toSuperColliderArray(waveform) {
-    const values = Array.from(waveform.samples).map(v => v.toFixed(6)).join(', ');
+    const values = this.formatSuperColliderValues(waveform.samples, '        ');
     
     return `// Wavetable - ${waveform.sampleRate} samples
-~wavetable = FloatArray[${values}];
+// Buffer holds ${waveform.sampleRate * 2} frames (Wavetable format for Osc)
+(
+s.waitForBoot {
+    ~signal = Signal[
+${values}
+    ];
+
+    // Convert to Wavetable format and load into a buffer of matching size
+    ~wavetable = ~signal.asWavetable;
+    ~buffer = Buffer.alloc(s, ~wavetable.size, 1);
+    s.sync;
+    ~buffer.sendCollection(~wavetable);
+    s.sync;
+
+    // Use with Osc
+    {
+        var sig = Osc.ar(~buffer, 440, 0, 0.5);
+        sig ! 2;
+    }.play;
+};
+)`;
+  }
+  
+  /**
+   * Export wavetable frames as SuperCollider code for VOsc
+   * Each frame is converted to Wavetable format and written to one of a
+   * block of consecutively numbered buffers, as VOsc requires
+   * @param {Wavetable} wavetable - Wavetable to export
+   * @returns {string} SuperCollider code
+   */
+  static toSuperColliderVOsc(wavetable) {
+    const frames = wavetable.frames.map((frame, i) => {
+      const values = this.formatSuperColliderValues(frame.waveform.samples, '            ');
+      return `        // Frame ${i + 1}
+        Signal[
+${values}
+        ]`;
+    }).join(',\n');
+    
+    return `// Wavetable - ${wavetable.frameCount} frames of ${wavetable.sampleRate} samples
+// Each buffer holds ${wavetable.sampleRate * 2} frames (Wavetable format for VOsc)
+(
+s.waitForBoot {
+    ~signals = [
+${frames}
+    ];
 
-// Load into a buffer
-~buffer = Buffer.loadCollection(s, ~wavetable);
+    // Consecutive buffers, one per frame, in Wavetable format
+    ~buffers = Buffer.allocConsecutive(~signals.size, s, ${wavetable.sampleRate * 2}, 1);
+    s.sync;
+    ~buffers.do { |buf, i|
+        buf.sendCollection(~signals[i].asWavetable);
+    };
+    s.sync;
 
-// Use with Osc
+    // Use with VOsc, sweeping through the frames
+    {
+        var first = ~buffers.first.bufnum;
+        var position = LFTri.kr(0.1).range(first, first + ~buffers.size - 1.001);
+        var sig = VOsc.ar(position, 440, 0, 0.5);
+        sig ! 2;
+    }.play;
+};
+)`;
+  }
+  
+  /**
+   * Export band-limited octave tables as SuperCollider code
+   * Levels go to consecutive buffers and a SynthDef picks the buffer for
+   * its pitch with the same rule as the preview (BandLimitedSet.levelFor)
+   * @param {BandLimitedSet} set - Band-limited set to export
+   * @returns {string} SuperCollider code
+   */
+  static toSuperColliderBandLimited(set) {
+    const size = set.tableSize;
+    const levels = set.levels.map((level, i) => {
+      const values = this.formatSuperColliderValues(level.waveform.samples, '            ');
+      return `        // Level ${i} - harmonics 1 to ${level.maxHarmonic}
+        Signal[
+${values}
+        ]`;
+    }).join(',\n');
+    
+    return `// Band-limited set - ${set.levelCount} octave tables of ${size} samples
+// Each buffer holds ${size * 2} frames (Wavetable format for Osc)
 (
-{
-    var sig = Osc.ar(~buffer, 440, 0, 0.5);
-    sig ! 2;
-}.play;
+s.waitForBoot {
+    ~signals = [
+${levels}
+    ];
+
+    // Consecutive buffers, one per octave, in Wavetable format
+    ~buffers = Buffer.allocConsecutive(~signals.size, s, ${size * 2}, 1);
+    s.sync;
+    ~buffers.do { |buf, i|
+        buf.sendCollection(~signals[i].asWavetable);
+    };
+    s.sync;
+
+    // Level n keeps at most ${size} / 2^(n+1) harmonics, so it is safe while
+    // freq * ${size} / 2^(n+1) stays below Nyquist
+    SynthDef(\\bandLimitedOsc, { |out = 0, freq = 440, amp = 0.5, firstBuf = 0|
+        var level = ((freq * ${size * 2} / SampleRate.ir).log2 - 1).ceil.clip(0, ${set.levelCount - 1});
+        var sig = Osc.ar(firstBuf + level, freq, 0, amp);
+        Out.ar(out, sig ! 2);
+    }).add;
+    s.sync;
+
+    // Sweep across the range: no aliasing even at the top
+    {
+        var freq = XLine.kr(55, 7040, 8);
+        var first = ~buffers.first.bufnum;
+        var level = ((freq * ${size * 2} / SampleRate.ir).log2 - 1).ceil.clip(0, ${set.levelCount - 1});
+        Osc.ar(first + level, freq, 0, 0.3) ! 2;
+    }.play;
+};
 )`;
   }
   
   /**
    * Export waveform as WAV file (creates download)
    * @param {Waveform} waveform - Waveform to export
-   * @param {number} frequency - Frequency for one-shot playback (Hz)
+   * @param {Object} options - Export options
+   * @param {string} options.mode - 'cycle' (exactly one loopable cycle) or 'note' (rendered at a pitch)
+   * @param {number} options.frequency - Pitch of a rendered note (Hz)
+   * @param {number} options.duration - Length of a rendered note (seconds)
+   * @param {number} options.sampleRate - Output sample rate (Hz)
+   * @param {string} options.format - 'pcm16', 'pcm24' or 'float32'
+   */
+  static toWAV(waveform, options = {}) {
+    const {
+      mode = 'cycle',
+      frequency = 440,
+      duration = 1,
+      sampleRate = 44100,
+      format = 'pcm16'
+    } = options;
+    
+    const audioData = mode === 'note'
+      ? this.renderNote(waveform, frequency, duration, sampleRate)
+      : this.renderCycle(waveform);
+    
+    // Create WAV file
+    const wavBuffer = this.createWAVBuffer(audioData, sampleRate, format);
+    
+    const suffix = mode === 'note' ? `${Math.round(frequency)}hz` : `cycle${waveform.sampleRate}`;
+    this.downloadWAV(wavBuffer, `wavetable_${suffix}_${Date.now()}.wav`);
+  }
+  
+  /**
+   * Export all wavetable frames as one WAV file (creates download)
+   * Frames are written back to back at 2048 samples each, with the 'clm '
+   * chunk Serum, Bitwig and other wavetable synths read to detect frame size
+   * @param {Wavetable} wavetable - Wavetable to export
+   * @param {Object} options - Export options
+   * @param {number} options.sampleRate - Sample rate written to the header (Hz)
+   * @param {string} options.format - 'pcm16', 'pcm24' or 'float32'
+   */
+  static toWavetableWAV(wavetable, options = {}) {
+    const { sampleRate = 44100, format = 'float32' } = options;
+    
+    const wavBuffer = this.createWavetableWAVBuffer(wavetable, sampleRate, format);
+    this.downloadWAV(wavBuffer, `wavetable_${wavetable.frameCount}frames_${Date.now()}.wav`);
+  }
+  
+  /**
+   * Create multi-frame wavetable WAV buffer
+   * @param {Wavetable} wavetable - Wavetable to export
+   * @param {number} sampleRate - Sample rate written to the header (Hz)
+   * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+   * @returns {ArrayBuffer} WAV file data
    */
-  static toWAV(waveform, frequency = 440) {
-    // WAV file parameters
-    const sampleRate = 44100; // Standard sample rate
-    const duration = 1; // 1 second
-    const numSamples = sampleRate * duration;
+  static createWavetableWAVBuffer(wavetable, sampleRate = 44100, format = 'float32') {
+    const frameSize = WAVETABLE_FRAME_SIZE;
+    const audioData = new Float32Array(frameSize * wavetable.frameCount);
+    
+    wavetable.frames.forEach((frame, i) => {
+      const waveform = WaveformTransform.resample(frame.waveform, frameSize);
+      audioData.set(waveform.samples, i * frameSize);
+    });
     
-    // Create audio buffer by repeating waveform
+    return this.createWAVBuffer(audioData, sampleRate, format, [
+      this.createClmChunk(frameSize)
+    ]);
+  }
+  
+  /**
+   * Create 'clm ' chunk announcing the frame size
+   * @private
+   */
+  static createClmChunk(frameSize) {
+    const text = `<!>${frameSize} 10000000 wavetable (wavetable-editor)`;
+    return {
+      id: 'clm ',
+      data: Uint8Array.from(text, c => c.charCodeAt(0))
+    };
+  }
+  
+  /**
+   * Raw single cycle, exactly one sample per table entry
+   * @param {Waveform} waveform - Waveform to render
+   * @returns {Float32Array} Audio data
+   */
+  static renderCycle(waveform) {
+    return new Float32Array(waveform.samples);
+  }
+
+  /**
+   * Convert a cycle to SuperCollider's Wavetable format, as Signal.asWavetable does
+   * Each sample becomes the pair (2a - b, b - a) with the next sample b,
+   * wrapping at the end, which Osc uses for its linear interpolation
+   * @param {Waveform} waveform - Waveform to convert
+   * @returns {Float32Array} Buffer contents, twice the table size
+   */
+  static toSuperColliderWavetable(waveform) {
+    const samples = waveform.samples;
+    const size = samples.length;
+    const data = new Float32Array(size * 2);
+
+    for (let i = 0; i < size; i++) {
+      const a = samples[i];
+      const b = samples[(i + 1) % size];
+      data[i * 2] = 2 * a - b;
+      data[i * 2 + 1] = b - a;
+    }
+
+    return data;
+  }
+
+  /**
+   * Render the waveform as a sustained note
+   * Phase is accumulated continuously so no period is cut short, and a short
+   * fade at each end avoids clicks
+   * @param {Waveform} waveform - Waveform to render
+   * @param {number} frequency - Pitch in Hz
+   * @param {number} duration - Length in seconds
+   * @param {number} sampleRate - Output sample rate (Hz)
+   * @returns {Float32Array} Audio data
+   */
+  static renderNote(waveform, frequency = 440, duration = 1, sampleRate = 44100) {
+    const numSamples = Math.max(1, Math.round(sampleRate * duration));
     const audioData = new Float32Array(numSamples);
-    const cyclesPerSecond = frequency;
-    const samplesPerCycle = sampleRate / cyclesPerSecond;
+    const increment = (frequency / sampleRate) * waveform.sampleRate;
     
+    let position = 0;
     for (let i = 0; i < numSamples; i++) {
-      const position = (i % samplesPerCycle) / samplesPerCycle * waveform.sampleRate;
       audioData[i] = waveform.interpolate(position);
+      position = (position + increment) % waveform.sampleRate;
     }
     
-    // Create WAV file
-    const wavBuffer = this.createWAVBuffer(audioData, sampleRate);
+    // 5 ms fade in and out
+    const fadeLength = Math.min(Math.round(sampleRate * 0.005), Math.floor(numSamples / 2));
+    for (let i = 0; i < fadeLength; i++) {
+      const gain = i / fadeLength;
+      audioData[i] *= gain;
+      audioData[numSamples - 1 - i] *= gain;
+    }
     
-    // Trigger download
-    const blob = new Blob([wavBuffer], { type: 'audio/wav' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `wavetable_${Date.now()}.wav`;
-    a.click();
-    URL.revokeObjectURL(url);
+    return audioData;
   }
   
   /**
@@ -74,46 +310,147 @@ export class WaveformExporter {
     }, null, 2);
   }
   
+  /**
+   * Export wavetable as project JSON
+   * Extends the plain {sampleRate, samples} format with every frame's
+   * spectrum, the table name and preview settings
+   * @param {Wavetable} wavetable - Wavetable to export
+   * @param {Object} settings - Preview settings ({frequency, volume})
+   * @returns {string} JSON string
+   */
+  static toProjectJSON(wavetable, settings = {}) {
+    return JSON.stringify({
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      name: wavetable.name,
+      sampleRate: wavetable.sampleRate,
+      harmonicCount: wavetable.harmonicCount,
+      selectedIndex: wavetable.selectedIndex,
+      settings,
+      frames: wavetable.frames.map(frame => ({
+        samples: Array.from(frame.waveform.samples),
+        spectrum: frame.spectrum.harmonics.map(h => ({ ...h }))
+      }))
+    }, null, 2);
+  }
+  
+  /**
+   * Format samples as SuperCollider literal values, eight per line
+   * @private
+   */
+  static formatSuperColliderValues(samples, indent) {
+    const lines = [];
+    
+    for (let i = 0; i < samples.length; i += 8) {
+      const line = Array.from(samples.subarray(i, i + 8)).map(v => v.toFixed(6)).join(', ');
+      lines.push(indent + line);
+    }
+    
+    return lines.join(',\n');
+  }
+  
   /**
    * Create WAV file buffer from audio data
+   * @param {Float32Array} audioData - Samples (-1 to 1)
+   * @param {number} sampleRate - Sample rate written to the header (Hz)
+   * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+   * @param {Array<{id: string, data: Uint8Array}>} chunks - Extra chunks written before 'data'
    * @private
    */
-  static createWAVBuffer(audioData, sampleRate) {
+  static createWAVBuffer(audioData, sampleRate, format = 'pcm16', chunks = []) {
+    if (!WAV_FORMATS[format]) {
+      throw new Error(`Unknown WAV format: ${format}`);
+    }
+    
+    const { formatTag, bitsPerSample } = WAV_FORMATS[format];
+    const isFloat = formatTag === 3;
     const numChannels = 1;
-    const bitsPerSample = 16;
     const bytesPerSample = bitsPerSample / 8;
     const blockAlign = numChannels * bytesPerSample;
     const byteRate = sampleRate * blockAlign;
     const dataSize = audioData.length * bytesPerSample;
-    const buffer = new ArrayBuffer(44 + dataSize);
+    
+    // Non-PCM formats carry an extension size field and a fact chunk
+    const fmtSize = isFloat ? 18 : 16;
+    if (isFloat) {
+      const fact = new Uint8Array(4);
+      new DataView(fact.buffer).setUint32(0, audioData.length, true);
+      chunks = [{ id: 'fact', data: fact }, ...chunks];
+    }
+    
+    // Chunks are padded to an even number of bytes
+    const paddedSize = size => size + (size % 2);
+    const chunksSize = chunks.reduce((sum, chunk) => sum + 8 + paddedSize(chunk.data.length), 0);
+    const riffSize = 4 + (8 + fmtSize) + chunksSize + 8 + paddedSize(dataSize);
+    
+    const buffer = new ArrayBuffer(8 + riffSize);
     const view = new DataView(buffer);
     
     // WAV header
     this.writeString(view, 0, 'RIFF');
-    view.setUint32(4, 36 + dataSize, true);
+    view.setUint32(4, riffSize, true);
     this.writeString(view, 8, 'WAVE');
     this.writeString(view, 12, 'fmt ');
-    view.setUint32(16, 16, true); // Subchunk size
-    view.setUint16(20, 1, true); // Audio format (PCM)
+    view.setUint32(16, fmtSize, true); // Subchunk size
+    view.setUint16(20, formatTag, true); // Audio format (1 = PCM, 3 = IEEE float)
     view.setUint16(22, numChannels, true);
     view.setUint32(24, sampleRate, true);
     view.setUint32(28, byteRate, true);
     view.setUint16(32, blockAlign, true);
     view.setUint16(34, bitsPerSample, true);
-    this.writeString(view, 36, 'data');
-    view.setUint32(40, dataSize, true);
+    
+    let offset = 36;
+    if (isFloat) {
+      view.setUint16(offset, 0, true); // Extension size
+      offset += 2;
+    }
+    
+    // Extra chunks
+    for (const chunk of chunks) {
+      this.writeString(view, offset, chunk.id);
+      view.setUint32(offset + 4, chunk.data.length, true);
+      new Uint8Array(buffer, offset + 8, chunk.data.length).set(chunk.data);
+      offset += 8 + paddedSize(chunk.data.length);
+    }
+    
+    this.writeString(view, offset, 'data');
+    view.setUint32(offset + 4, dataSize, true);
+    offset += 8;
     
     // Write audio data
-    let offset = 44;
     for (let i = 0; i < audioData.length; i++) {
       const sample = Math.max(-1, Math.min(1, audioData[i]));
-      view.setInt16(offset, sample * 0x7FFF, true);
-      offset += 2;
+      
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+      } else if (bitsPerSample === 24) {
+        const value = Math.round(sample * 0x7FFFFF);
+        view.setUint8(offset, value & 0xFF);
+        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+        view.setUint8(offset + 2, (value >> 16) & 0xFF);
+      } else {
+        view.setInt16(offset, sample * 0x7FFF, true);
+      }
+      offset += bytesPerSample;
     }
     
     return buffer;
   }
   
+  /**
+   * Trigger download of a WAV buffer
+   * @private
+   */
+  static downloadWAV(wavBuffer, filename) {
+    const blob = new Blob([wavBuffer], { type: 'audio/wav' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+  
   /**
    * Write string to DataView
    * @private
@@ -0,0 +1,566 @@
+import { Waveform } from './Waveform.js';
+import { FrequencySpectrum } from './FrequencySpectrum.js';
+import { Wavetable, MAX_FRAMES } from './Wavetable.js';
+import { WaveformTransform } from './WaveformTransform.js';
+
+/**
+ * Longest source accepted as a single cycle before it is decimated
+ */
+const MAX_CYCLE_LENGTH = 65536;
+
+/**
+ * Half-width of the decimation low-pass kernel, in output samples
+ */
+const DECIMATION_TAPS = 8;
+
+/**
+ * WaveformImporter
+ * Import waveforms and wavetables from external formats
+ */
+export class WaveformImporter {
+  /**
+   * Parse WAV file data
+   * Supports 8/16/24/32-bit PCM and 32/64-bit float, reading the first channel
+   * @param {ArrayBuffer} buffer - WAV file contents
+   * @returns {{sampleRate: number, channels: number, bitsPerSample: number, samples: Float32Array, frameSize: number|null}} Parsed audio
+   */
+  static parseWAV(buffer) {
+    const view = new DataView(buffer);
+
+    if (buffer.byteLength < 12 ||
+        this.readString(view, 0, 4) !== 'RIFF' ||
+        this.readString(view, 8, 4) !== 'WAVE') {
+      throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let data = null;
+    let frameSize = null;
+
+    // Walk chunks
+    let offset = 12;
+    while (offset + 8 <= buffer.byteLength) {
+      const id = this.readString(view, offset, 4);
+      const size = view.getUint32(offset + 4, true);
+      const start = offset + 8;
+      const end = Math.min(start + size, buffer.byteLength);
+
+      if (id === 'fmt ') {
+        format = this.parseFormatChunk(view, start);
+      } else if (id === 'data') {
+        data = { start, end };
+      } else if (id === 'clm ') {
+        frameSize = this.parseClmChunk(view, start, end);
+      }
+
+      // Chunks are padded to an even number of bytes
+      offset = start + size + (size % 2);
+    }
+
+    if (!format) {
+      throw new Error('WAV file has no format chunk');
+    }
+    if (!data) {
+      throw new Error('WAV file has no data chunk');
+    }
+
+    return {
+      sampleRate: format.sampleRate,
+      channels: format.channels,
+      bitsPerSample: format.bitsPerSample,
+      samples: this.decodeSamples(view, data.start, data.end, format),
+      frameSize
+    };
+  }
+
+  /**
+   * Parse JSON written by WaveformExporter.toJSON or toProjectJSON
+   * @param {string} text - JSON text
+   * @returns {{name: string|null, sampleRate: number, selectedIndex: number, settings: Object, frames: Array<{samples: Float32Array, spectrum: Array|null}>}} Parsed project
+   */
+  static parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('JSON must be an object');
+    }
+
+    const sampleRate = data.sampleRate;
+    if (!Number.isInteger(sampleRate) || sampleRate < 2 || (sampleRate & (sampleRate - 1)) !== 0) {
+      throw new Error('"sampleRate" must be a power of 2');
+    }
+
+    // Plain export carries a single frame at the top level
+    const rawFrames = Array.isArray(data.frames) ? data.frames : [{ samples: data.samples }];
+    if (rawFrames.length === 0) {
+      throw new Error('"frames" must contain at least one frame');
+    }
+
+    const frames = rawFrames.map((frame, i) => {
+      const label = Array.isArray(data.frames) ? `Frame ${i + 1}: ` : '';
+      return {
+        samples: this.parseSamples(frame?.samples, sampleRate, label),
+        spectrum: this.parseSpectrum(frame?.spectrum, label)
+      };
+    });
+
+    // Spectra are only kept when every frame has one of the same size
+    const harmonicCount = frames[0].spectrum?.length;
+    const spectraUsable = frames.every(frame => frame.spectrum && frame.spectrum.length === harmonicCount);
+
+    const selectedIndex = Number.isInteger(data.selectedIndex) &&
+      data.selectedIndex >= 0 && data.selectedIndex < frames.length
+      ? data.selectedIndex
+      : 0;
+
+    return {
+      name: typeof data.name === 'string' ? data.name : null,
+      sampleRate,
+      selectedIndex,
+      settings: data.settings && typeof data.settings === 'object' ? data.settings : {},
+      frames: frames.map(frame => ({
+        samples: frame.samples,
+        spectrum: spectraUsable ? frame.spectrum : null
+      }))
+    };
+  }
+
+  /**
+   * Build wavetable from a parsed JSON project
+   * @param {Object} project - Result of parseJSON
+   * @returns {Wavetable} Imported wavetable
+   */
+  static toWavetable(project) {
+    const spectrum = project.frames[0].spectrum;
+    const wavetable = new Wavetable(
+      project.sampleRate,
+      spectrum ? spectrum.length : Wavetable.harmonicCountFor(project.sampleRate)
+    );
+
+    for (const frame of project.frames) {
+      const waveform = this.createWaveform(frame.samples);
+      let frameSpectrum = null;
+
+      if (frame.spectrum) {
+        frameSpectrum = new FrequencySpectrum(frame.spectrum.length);
+        frame.spectrum.forEach((h, i) => frameSpectrum.setHarmonic(i, h.amplitude, h.phase));
+      }
+
+      wavetable.addFrame(waveform, frameSpectrum);
+    }
+
+    wavetable.selectFrame(project.selectedIndex);
+    if (project.name) {
+      wavetable.name = project.name;
+    }
+
+    return wavetable;
+  }
+
+  /**
+   * Treat the whole sample as one cycle, resampled to the table size
+   * @param {Float32Array} samples - Source samples
+   * @param {number} tableSize - Samples per frame (power of 2)
+   * @returns {Waveform} Imported waveform
+   */
+  static toWaveform(samples, tableSize) {
+    if (samples.length === 0) {
+      throw new Error('WAV file contains no samples');
+    }
+
+    return this.resampleCycle(samples, tableSize);
+  }
+
+  /**
+   * Split the sample into consecutive frames
+   * When the sample holds more than maxFrames, evenly spaced frames are kept
+   * @param {Float32Array} samples - Source samples
+   * @param {number} frameSize - Source samples per frame
+   * @param {number} tableSize - Samples per frame in the editor (power of 2)
+   * @param {number} maxFrames - Most frames to return
+   * @returns {{frames: Array<Waveform>, sourceCount: number}} Imported frames and the number in the sample
+   */
+  static toFrames(samples, frameSize, tableSize, maxFrames = MAX_FRAMES) {
+    if (!Number.isInteger(frameSize) || frameSize < 2) {
+      throw new Error(`Invalid frame size: ${frameSize}`);
+    }
+
+    const frameCount = Math.floor(samples.length / frameSize);
+    if (frameCount === 0) {
+      throw new Error(`WAV file is shorter than one ${frameSize}-sample frame`);
+    }
+
+    const keptCount = Math.min(frameCount, maxFrames);
+    const frames = [];
+    for (let i = 0; i < keptCount; i++) {
+      const source = keptCount === 1 ? 0 : Math.round(i * (frameCount - 1) / (keptCount - 1));
+      const cycle = samples.subarray(source * frameSize, (source + 1) * frameSize);
+      frames.push(this.resampleCycle(cycle, tableSize));
+    }
+
+    return { frames, sourceCount: frameCount };
+  }
+
+  /**
+   * Detect the pitch of a recorded note and extract one cycle
+   * @param {Float32Array} samples - Source samples
+   * @param {number} sampleRate - Source sample rate (Hz)
+   * @param {number} tableSize - Samples per frame (power of 2)
+   * @returns {{waveform: Waveform, frequency: number}} Extracted cycle and detected pitch
+   */
+  static extractCycle(samples, sampleRate, tableSize) {
+    // Analyse the middle of the file, past any attack transient
+    const windowSize = Math.min(4096, samples.length);
+    const windowStart = Math.floor((samples.length - windowSize) / 2);
+    const window = samples.subarray(windowStart, windowStart + windowSize);
+
+    const period = this.detectPeriod(window, sampleRate);
+    if (period === null) {
+      throw new Error('Could not detect a pitch in the WAV file');
+    }
+
+    // Start the cycle at a rising zero crossing near the middle
+    let start = windowStart;
+    const searchEnd = Math.min(samples.length - Math.ceil(period) - 1, windowStart + Math.ceil(period));
+    for (let i = windowStart; i < searchEnd; i++) {
+      if (samples[i] <= 0 && samples[i + 1] > 0) {
+        start = i + samples[i] / (samples[i] - samples[i + 1]);
+        break;
+      }
+    }
+
+    // Read exactly one (fractional) period at a power-of-2 resolution
+    const length = this.nextPowerOfTwo(Math.ceil(period));
+    const cycle = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      cycle[i] = this.readInterpolated(samples, start + (i / length) * period);
+    }
+
+    return {
+      waveform: WaveformTransform.resample(this.createWaveform(cycle), tableSize),
+      frequency: sampleRate / period
+    };
+  }
+
+  /**
+   * Scale waveforms by a common gain so the loudest peak is 1
+   * Keeps relative levels between frames
+   * @param {Array<Waveform>} waveforms - Waveforms to scale in place
+   */
+  static normalizeTogether(waveforms) {
+    let peak = 0;
+    for (const waveform of waveforms) {
+      for (let i = 0; i < waveform.sampleRate; i++) {
+        peak = Math.max(peak, Math.abs(waveform.samples[i]));
+      }
+    }
+
+    if (peak > 0 && peak !== 1) {
+      for (const waveform of waveforms) {
+        for (let i = 0; i < waveform.sampleRate; i++) {
+          waveform.samples[i] /= peak;
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate sample array
+   * @private
+   */
+  static parseSamples(samples, sampleRate, label) {
+    if (!Array.isArray(samples)) {
+      throw new Error(`${label}"samples" must be an array of numbers`);
+    }
+    if (samples.length !== sampleRate) {
+      throw new Error(`${label}"samples" has ${samples.length} values, expected ${sampleRate}`);
+    }
+
+    const index = samples.findIndex(v => typeof v !== 'number' || !Number.isFinite(v));
+    if (index !== -1) {
+      throw new Error(`${label}sample ${index} is not a number`);
+    }
+
+    return Float32Array.from(samples, v => Math.max(-1, Math.min(1, v)));
+  }
+
+  /**
+   * Validate optional spectrum array of {amplitude, phase}
+   * @private
+   */
+  static parseSpectrum(spectrum, label) {
+    if (spectrum === undefined || spectrum === null) {
+      return null;
+    }
+    if (!Array.isArray(spectrum) || spectrum.length === 0) {
+      throw new Error(`${label}"spectrum" must be a non-empty array`);
+    }
+
+    spectrum.forEach((h, i) => {
+      if (!h || !Number.isFinite(h.amplitude) || !Number.isFinite(h.phase)) {
+        throw new Error(`${label}harmonic ${i + 1} needs numeric "amplitude" and "phase"`);
+      }
+    });
+
+    return spectrum;
+  }
+
+  /**
+   * Detect fundamental period using the YIN difference function
+   * @private
+   * @returns {number|null} Period in samples (fractional) or null if unpitched
+   */
+  static detectPeriod(window, sampleRate) {
+    const minLag = Math.max(2, Math.floor(sampleRate / 4000));
+    const maxLag = Math.min(Math.floor(sampleRate / 20), Math.floor(window.length / 2));
+    const size = window.length - maxLag;
+    const threshold = 0.15;
+
+    if (maxLag <= minLag || size <= 0) {
+      return null;
+    }
+
+    // Cumulative mean normalized difference
+    const difference = new Float64Array(maxLag + 1);
+    let runningSum = 0;
+    difference[0] = 1;
+
+    for (let lag = 1; lag <= maxLag; lag++) {
+      let sum = 0;
+      for (let i = 0; i < size; i++) {
+        const delta = window[i] - window[i + lag];
+        sum += delta * delta;
+      }
+      runningSum += sum;
+      difference[lag] = runningSum > 0 ? (sum * lag) / runningSum : 1;
+    }
+
+    // First dip below threshold, else the global minimum
+    let best = -1;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      if (difference[lag] < threshold) {
+        while (lag + 1 <= maxLag && difference[lag + 1] < difference[lag]) {
+          lag++;
+        }
+        best = lag;
+        break;
+      }
+    }
+
+    if (best === -1) {
+      let minimum = Infinity;
+      for (let lag = minLag; lag <= maxLag; lag++) {
+        if (difference[lag] < minimum) {
+          minimum = difference[lag];
+          best = lag;
+        }
+      }
+      if (minimum > 0.5) {
+        return null;
+      }
+    }
+
+    // Parabolic interpolation around the dip
+    if (best > minLag && best < maxLag) {
+      const a = difference[best - 1];
+      const b = difference[best];
+      const c = difference[best + 1];
+      const denominator = a - 2 * b + c;
+      if (denominator !== 0) {
+        return best + (a - c) / (2 * denominator);
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Resample one cycle of arbitrary length to the table size
+   * The cycle is first brought to a power-of-2 length, then band-limited to
+   * the table size through the spectrum. Short cycles are interpolated up;
+   * cycles longer than MAX_CYCLE_LENGTH are low-pass filtered as they are
+   * decimated, so nothing above the new Nyquist folds back into the table
+   * @private
+   */
+  static resampleCycle(cycle, tableSize) {
+    const length = Math.min(this.nextPowerOfTwo(cycle.length), MAX_CYCLE_LENGTH);
+
+    if (length === cycle.length) {
+      return WaveformTransform.resample(this.createWaveform(cycle), tableSize);
+    }
+
+    const stretched = new Float32Array(length);
+    const step = cycle.length / length;
+    for (let i = 0; i < length; i++) {
+      stretched[i] = step > 1
+        ? this.readFiltered(cycle, i * step, step)
+        : this.readInterpolated(cycle, i * step, true);
+    }
+
+    return WaveformTransform.resample(this.createWaveform(stretched), tableSize);
+  }
+
+  /**
+   * Create waveform from power-of-2 length samples without clamping
+   * @private
+   */
+  static createWaveform(samples) {
+    const waveform = new Waveform(samples.length);
+    waveform.samples.set(samples);
+    return waveform;
+  }
+
+  /**
+   * Linear interpolation at fractional position
+   * @private
+   */
+  static readInterpolated(samples, position, wrap = false) {
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const next = wrap
+      ? (index + 1) % samples.length
+      : Math.min(index + 1, samples.length - 1);
+
+    return samples[index] * (1 - fraction) + samples[next] * fraction;
+  }
+
+  /**
+   * Low-pass filtered value at fractional position in a looping cycle
+   * Blackman-windowed sinc with its cutoff at the Nyquist frequency of the
+   * decimated cycle; the stopband starts well before the frequencies that
+   * would fold onto the harmonics a table keeps
+   * @param {Float32Array} samples - Cycle
+   * @param {number} position - Position in samples
+   * @param {number} step - Input samples per output sample
+   * @private
+   */
+  static readFiltered(samples, position, step) {
+    const size = samples.length;
+    const reach = DECIMATION_TAPS * step;
+    let sum = 0;
+    let weights = 0;
+
+    for (let n = Math.ceil(position - reach); n <= Math.floor(position + reach); n++) {
+      const x = (n - position) / step; // Distance in output samples
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const t = x / DECIMATION_TAPS; // -1 to 1 across the window
+      const window = 0.42 + 0.5 * Math.cos(Math.PI * t) + 0.08 * Math.cos(2 * Math.PI * t);
+      const weight = sinc * window;
+
+      sum += samples[((n % size) + size) % size] * weight;
+      weights += weight;
+    }
+
+    return sum / weights;
+  }
+
+  /**
+   * Smallest power of 2 greater than or equal to n
+   * @private
+   */
+  static nextPowerOfTwo(n) {
+    return Math.pow(2, Math.ceil(Math.log2(Math.max(2, n))));
+  }
+
+  /**
+   * Parse 'fmt ' chunk
+   * @private
+   */
+  static parseFormatChunk(view, offset) {
+    let formatTag = view.getUint16(offset, true);
+    const channels = view.getUint16(offset + 2, true);
+    const sampleRate = view.getUint32(offset + 4, true);
+    const bitsPerSample = view.getUint16(offset + 14, true);
+
+    // WAVE_FORMAT_EXTENSIBLE stores the real format in the sub-format GUID
+    if (formatTag === 0xFFFE) {
+      formatTag = view.getUint16(offset + 24, true);
+    }
+
+    if (formatTag !== 1 && formatTag !== 3) {
+      throw new Error(`Unsupported WAV encoding (format ${formatTag})`);
+    }
+    if (formatTag === 1 && ![8, 16, 24, 32].includes(bitsPerSample)) {
+      throw new Error(`Unsupported PCM bit depth: ${bitsPerSample}`);
+    }
+    if (formatTag === 3 && ![32, 64].includes(bitsPerSample)) {
+      throw new Error(`Unsupported float bit depth: ${bitsPerSample}`);
+    }
+
+    return {
+      isFloat: formatTag === 3,
+      channels,
+      sampleRate,
+      bitsPerSample
+    };
+  }
+
+  /**
+   * Read frame size from a 'clm ' chunk ("<!>2048 ...")
+   * @private
+   */
+  static parseClmChunk(view, start, end) {
+    const text = this.readString(view, start, end - start);
+    const match = text.match(/^<!>(\d+)/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Decode first channel of sample data to floats (-1 to 1)
+   * @private
+   */
+  static decodeSamples(view, start, end, format) {
+    const bytesPerSample = format.bitsPerSample / 8;
+    const blockAlign = bytesPerSample * format.channels;
+    const count = Math.floor((end - start) / blockAlign);
+    const samples = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+      const offset = start + i * blockAlign;
+
+      if (format.isFloat) {
+        samples[i] = format.bitsPerSample === 64
+          ? view.getFloat64(offset, true)
+          : view.getFloat32(offset, true);
+      } else {
+        switch (format.bitsPerSample) {
+          case 8:
+            samples[i] = (view.getUint8(offset) - 128) / 128;
+            break;
+          case 16:
+            samples[i] = view.getInt16(offset, true) / 0x8000;
+            break;
+          case 24: {
+            const value = view.getUint8(offset) |
+              (view.getUint8(offset + 1) << 8) |
+              (view.getInt8(offset + 2) << 16);
+            samples[i] = value / 0x800000;
+            break;
+          }
+          case 32:
+            samples[i] = view.getInt32(offset, true) / 0x80000000;
+            break;
+        }
+      }
+    }
+
+    return samples;
+  }
+
+  /**
+   * Read ASCII string from DataView
+   * @private
+   */
+  static readString(view, offset, length) {
+    let string = '';
+    for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+      string += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return string;
+  }
+}
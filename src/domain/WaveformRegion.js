@@ -0,0 +1,179 @@
+/**
+ * WaveformRegion
+ * Editing operations on a range of samples, used by the selection tools
+ *
+ * A region runs from start up to but not including end. Clipboard data is a
+ * plain array of sample values, so it can move between frames and tables of
+ * any size, and travel through the system clipboard as text.
+ */
+export class WaveformRegion {
+  /**
+   * Copy a region's samples
+   * @param {Waveform} waveform - Source waveform
+   * @param {number} start - First sample
+   * @param {number} end - Sample after the last
+   * @returns {Float32Array} Sample values
+   */
+  static extract(waveform, start, end) {
+    return Float32Array.from(waveform.samples.subarray(start, end));
+  }
+
+  /**
+   * Write clipboard data into a waveform
+   * Data fills a region of two or more samples, stretched or squeezed to fit;
+   * otherwise it goes in at its own length from start, up to the end of the cycle
+   * @param {Waveform} waveform - Target waveform
+   * @param {number} start - First sample
+   * @param {number} end - Sample after the last
+   * @param {Float32Array} data - Sample values
+   * @param {boolean} mix - Add to the existing samples instead of replacing them
+   * @returns {{start: number, end: number}} Region written
+   */
+  static paste(waveform, start, end, data, mix = false) {
+    if (data.length === 0) {
+      return { start, end };
+    }
+
+    if (end - start < 2) {
+      end = Math.min(waveform.sampleRate, start + data.length);
+    }
+
+    const length = end - start;
+    const step = length > 1 ? (data.length - 1) / (length - 1) : 0;
+
+    for (let i = 0; i < length; i++) {
+      const position = i * step;
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, data.length - 1);
+      const value = data[index] + (data[next] - data[index]) * (position - index);
+
+      waveform.setSample(start + i, mix ? waveform.samples[start + i] + value : value);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Set a region to silence
+   */
+  static clear(waveform, start, end) {
+    waveform.samples.fill(0, start, end);
+  }
+
+  /**
+   * Play a region backwards
+   */
+  static reverse(waveform, start, end) {
+    waveform.samples.subarray(start, end).reverse();
+  }
+
+  /**
+   * Flip a region's polarity
+   */
+  static invert(waveform, start, end) {
+    this.scale(waveform, start, end, -1);
+  }
+
+  /**
+   * Multiply a region by a gain
+   * @param {number} gain - Factor, clipped at ±1 afterwards
+   */
+  static scale(waveform, start, end, gain) {
+    for (let i = start; i < end; i++) {
+      waveform.setSample(i, waveform.samples[i] * gain);
+    }
+  }
+
+  /**
+   * Scale a region so its peak reaches full level
+   */
+  static normalize(waveform, start, end) {
+    let peak = 0;
+    for (let i = start; i < end; i++) {
+      peak = Math.max(peak, Math.abs(waveform.samples[i]));
+    }
+
+    if (peak > 0) {
+      this.scale(waveform, start, end, 1 / peak);
+    }
+  }
+
+  /**
+   * Ramp a region up from silence
+   */
+  static fadeIn(waveform, start, end) {
+    const length = end - start;
+    for (let i = start; i < end; i++) {
+      waveform.samples[i] *= length > 1 ? (i - start) / (length - 1) : 0;
+    }
+  }
+
+  /**
+   * Ramp a region down to silence
+   */
+  static fadeOut(waveform, start, end) {
+    const length = end - start;
+    for (let i = start; i < end; i++) {
+      waveform.samples[i] *= length > 1 ? (end - 1 - i) / (length - 1) : 0;
+    }
+  }
+
+  /**
+   * Centre a region on zero by subtracting its mean
+   */
+  static removeDC(waveform, start, end) {
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      sum += waveform.samples[i];
+    }
+
+    const mean = sum / Math.max(1, end - start);
+    for (let i = start; i < end; i++) {
+      waveform.setSample(i, waveform.samples[i] - mean);
+    }
+  }
+
+  /**
+   * Average each sample of a region with its neighbours
+   * Neighbours outside the region are read but left untouched, and the
+   * cycle wraps, so the region blends into its surroundings
+   * @param {number} amount - Blend towards the average, 0 to 1
+   */
+  static smooth(waveform, start, end, amount = 0.5) {
+    const size = waveform.sampleRate;
+    const source = Float32Array.from(waveform.samples);
+
+    for (let i = start; i < end; i++) {
+      const prev = source[(i - 1 + size) % size];
+      const next = source[(i + 1) % size];
+      waveform.setSample(i, source[i] * (1 - amount) + (prev + source[i] + next) / 3 * amount);
+    }
+  }
+
+  /**
+   * Format sample values as text, one per line
+   * @param {Float32Array} data - Sample values
+   * @returns {string} Text for the system clipboard
+   */
+  static toText(data) {
+    return Array.from(data, value => value.toFixed(6)).join('\n');
+  }
+
+  /**
+   * Read sample values from text
+   * Numbers may be separated by whitespace, commas or semicolons, and
+   * brackets are ignored, so SuperCollider and JSON arrays paste too
+   * @param {string} text - Clipboard text
+   * @returns {Float32Array|null} Sample values, or null if the text is not a list of numbers
+   */
+  static parseText(text) {
+    const tokens = text.replace(/[[\]]/g, ' ').split(/[\s,;]+/).filter(Boolean);
+    const values = tokens.map(Number);
+
+    if (values.length === 0 || values.some(value => !Number.isFinite(value))) {
+      return null;
+    }
+
+    return Float32Array.from(values);
+  }
+}
@@ -1,84 +1,87 @@
 import { Waveform } from './Waveform.js';
 import { FrequencySpectrum } from './FrequencySpectrum.js';
+import { FFT } from './FFT.js';
 
 /**
  * WaveformTransform
  * Bidirectional conversion between time and frequency domains
- * Uses additive synthesis (inverse FFT) and basic FFT analysis
+ * Uses radix-2 FFT for analysis and inverse FFT for synthesis
  */
 export class WaveformTransform {
   /**
-   * Convert frequency spectrum to time domain waveform using additive synthesis
+   * Convert frequency spectrum to time domain waveform using inverse FFT
    * @param {FrequencySpectrum} spectrum - Frequency spectrum
    * @param {number} sampleRate - Desired sample rate for output waveform
    * @returns {Waveform} Generated waveform
    */
   static toTimeDomain(spectrum, sampleRate = 1024) {
     const waveform = new Waveform(sampleRate);
-    
-    // Additive synthesis: sum of sine waves
-    for (let sample = 0; sample < sampleRate; sample++) {
-      let value = 0;
-      
-      // Add contribution from each harmonic
-      for (let harmonic = 0; harmonic < spectrum.harmonicCount; harmonic++) {
-        const { amplitude, phase } = spectrum.harmonics[harmonic];
-        
-        if (amplitude > 0) {
-          // Harmonic number (1-based for frequency calculation)
-          const harmonicNum = harmonic + 1;
-          
-          // Calculate sine wave contribution
-          const angle = (2 * Math.PI * harmonicNum * sample) / sampleRate + phase;
-          value += amplitude * Math.sin(angle);
-        }
-      }
-      
-      waveform.setSample(sample, value);
-    }
-    
+    const { real, imag } = spectrum.toBins(sampleRate);
+
+    waveform.samples.set(FFT.synthesise(real, imag));
+
     // Normalize to prevent clipping
     waveform.normalize();
-    
+
     return waveform;
   }
-  
+
   /**
-   * Convert time domain waveform to frequency spectrum using DFT
+   * Convert time domain waveform to frequency spectrum using FFT
    * @param {Waveform} waveform - Input waveform
    * @param {number} harmonicCount - Number of harmonics to extract
    * @returns {FrequencySpectrum} Generated spectrum
    */
   static toFrequencyDomain(waveform, harmonicCount = 64) {
-    const spectrum = new FrequencySpectrum(harmonicCount);
-    const N = waveform.sampleRate;
-    
-    // Perform DFT for each harmonic
-    for (let k = 0; k < harmonicCount; k++) {
-      let real = 0;
-      let imag = 0;
-      
-      // Sum over all samples
-      for (let n = 0; n < N; n++) {
-        const angle = (-2 * Math.PI * (k + 1) * n) / N;
-        real += waveform.samples[n] * Math.cos(angle);
-        imag += waveform.samples[n] * Math.sin(angle);
-      }
-      
-      // Normalize by sample count
-      real /= N;
-      imag /= N;
-      
-      // Calculate amplitude and phase
-      const amplitude = 2 * Math.sqrt(real * real + imag * imag);
-      const phase = Math.atan2(imag, real);
-      
-      spectrum.setHarmonic(k, amplitude, phase);
+    const { real, imag } = FFT.analyse(waveform.samples);
+    return FrequencySpectrum.fromBins(real, imag, harmonicCount);
+  }
+
+  /**
+   * Resample waveform to a new size through the spectrum
+   * Harmonics that do not fit below the new Nyquist are discarded, so
+   * downsampling is band-limited instead of dropping samples
+   * @param {Waveform} waveform - Input waveform
+   * @param {number} sampleRate - Target number of samples (must be power of 2)
+   * @returns {Waveform} Resampled waveform
+   */
+  static resample(waveform, sampleRate) {
+    if (sampleRate === waveform.sampleRate) {
+      return waveform.clone();
     }
-    
-    return spectrum;
+
+    const resampled = new Waveform(sampleRate);
+    const source = FFT.analyse(waveform.samples);
+    const real = new Float64Array(sampleRate);
+    const imag = new Float64Array(sampleRate);
+
+    // Bins keep their amplitude when rescaled to the new length
+    const scale = sampleRate / waveform.sampleRate;
+    const binCount = Math.min(waveform.sampleRate, sampleRate) / 2;
+
+    real[0] = source.real[0] * scale;
+
+    for (let bin = 1; bin < binCount; bin++) {
+      real[bin] = source.real[bin] * scale;
+      imag[bin] = source.imag[bin] * scale;
+      real[sampleRate - bin] = real[bin];
+      imag[sampleRate - bin] = -imag[bin];
+    }
+
+    resampled.samples.set(FFT.synthesise(real, imag));
+
+    // Band-limiting can overshoot (Gibbs ripple); scale down rather than clip
+    let peak = 0;
+    for (let i = 0; i < sampleRate; i++) {
+      peak = Math.max(peak, Math.abs(resampled.samples[i]));
+    }
+    if (peak > 1) {
+      resampled.normalize();
+    }
+
+    return resampled;
   }
-  
+
   /**
    * Apply smoothing to waveform to reduce high-frequency content
    * @param {Waveform} waveform - Waveform to smooth
@@ -0,0 +1,226 @@
+import { Waveform } from './Waveform.js';
+import { FrequencySpectrum } from './FrequencySpectrum.js';
+import { WaveformTransform } from './WaveformTransform.js';
+
+/**
+ * Table sizes supported by the editor
+ */
+export const TABLE_SIZES = [256, 512, 1024, 2048, 4096, 8192];
+
+/**
+ * Most frames an imported wavetable may hold
+ */
+export const MAX_FRAMES = 256;
+
+/**
+ * Wavetable
+ * Ordered stack of single-cycle frames, each holding a waveform and its spectrum
+ */
+export class Wavetable {
+  /**
+   * @param {number} sampleRate - Number of samples per frame (must be power of 2)
+   * @param {number} harmonicCount - Number of harmonics analysed per frame
+   */
+  constructor(sampleRate = 1024, harmonicCount = Wavetable.harmonicCountFor(sampleRate)) {
+    this.sampleRate = sampleRate;
+    this.harmonicCount = harmonicCount;
+    this.selectedIndex = 0;
+    this.name = 'Untitled';
+
+    // Array of {waveform, spectrum} objects
+    this.frames = [];
+  }
+
+  /**
+   * Number of frames in the table
+   * @returns {number} Frame count
+   */
+  get frameCount() {
+    return this.frames.length;
+  }
+
+  /**
+   * Get frame at specific index
+   * @param {number} index - Frame index
+   * @returns {{waveform: Waveform, spectrum: FrequencySpectrum}} Frame data
+   */
+  getFrame(index) {
+    if (index < 0 || index >= this.frames.length) {
+      throw new Error(`Frame index ${index} out of bounds`);
+    }
+    return this.frames[index];
+  }
+
+  /**
+   * Get the currently selected frame
+   * @returns {{waveform: Waveform, spectrum: FrequencySpectrum}} Frame data
+   */
+  getSelectedFrame() {
+    return this.getFrame(this.selectedIndex);
+  }
+
+  /**
+   * Insert a new frame
+   * @param {Waveform} waveform - Frame waveform
+   * @param {FrequencySpectrum} spectrum - Frame spectrum (analysed from waveform if omitted)
+   * @param {number} index - Insert position (defaults to end of table)
+   * @returns {number} Index of the inserted frame
+   */
+  addFrame(waveform, spectrum = null, index = this.frames.length) {
+    this.validateWaveform(waveform);
+
+    if (index < 0 || index > this.frames.length) {
+      throw new Error(`Frame index ${index} out of bounds`);
+    }
+
+    this.frames.splice(index, 0, this.createFrame(waveform, spectrum));
+    return index;
+  }
+
+  /**
+   * Replace frame at specific index
+   * @param {number} index - Frame index
+   * @param {Waveform} waveform - New waveform
+   * @param {FrequencySpectrum} spectrum - New spectrum (analysed from waveform if omitted)
+   */
+  setFrame(index, waveform, spectrum = null) {
+    this.getFrame(index);
+    this.validateWaveform(waveform);
+
+    this.frames[index] = this.createFrame(waveform, spectrum);
+  }
+
+  /**
+   * Insert a copy of a frame directly after it
+   * @param {number} index - Frame index to duplicate
+   * @returns {number} Index of the new frame
+   */
+  duplicateFrame(index) {
+    const frame = this.getFrame(index);
+    return this.addFrame(frame.waveform.clone(), frame.spectrum.clone(), index + 1);
+  }
+
+  /**
+   * Remove frame at specific index
+   * A wavetable always keeps at least one frame
+   * @param {number} index - Frame index
+   */
+  removeFrame(index) {
+    this.getFrame(index);
+
+    if (this.frames.length === 1) {
+      throw new Error('Cannot remove the last frame of a wavetable');
+    }
+
+    this.frames.splice(index, 1);
+
+    // Keep the selection on the same frame where possible
+    if (this.selectedIndex > index || this.selectedIndex >= this.frames.length) {
+      this.selectedIndex--;
+    }
+  }
+
+  /**
+   * Move frame to a new position
+   * @param {number} fromIndex - Current frame index
+   * @param {number} toIndex - Target frame index
+   */
+  moveFrame(fromIndex, toIndex) {
+    this.getFrame(fromIndex);
+    this.getFrame(toIndex);
+
+    const selected = this.frames[this.selectedIndex];
+    const [frame] = this.frames.splice(fromIndex, 1);
+    this.frames.splice(toIndex, 0, frame);
+
+    // Selection follows the frame it pointed to
+    this.selectedIndex = this.frames.indexOf(selected);
+  }
+
+  /**
+   * Select frame for editing
+   * @param {number} index - Frame index
+   */
+  selectFrame(index) {
+    this.getFrame(index);
+    this.selectedIndex = index;
+  }
+
+  /**
+   * Create a copy of this wavetable with every frame resampled to a new size
+   * @param {number} sampleRate - New number of samples per frame
+   * @param {number} harmonicCount - Number of harmonics analysed per frame
+   * @returns {Wavetable} Resampled wavetable
+   */
+  resample(sampleRate, harmonicCount = Wavetable.harmonicCountFor(sampleRate)) {
+    const resampled = new Wavetable(sampleRate, harmonicCount);
+
+    for (const frame of this.frames) {
+      resampled.addFrame(WaveformTransform.resample(frame.waveform, sampleRate));
+    }
+
+    resampled.selectedIndex = this.selectedIndex;
+    resampled.name = this.name;
+    return resampled;
+  }
+
+  /**
+   * Create a deep copy of this wavetable
+   * @returns {Wavetable} Cloned wavetable
+   */
+  clone() {
+    const cloned = new Wavetable(this.sampleRate, this.harmonicCount);
+    cloned.frames = this.frames.map(frame => ({
+      waveform: frame.waveform.clone(),
+      spectrum: frame.spectrum.clone()
+    }));
+    cloned.selectedIndex = this.selectedIndex;
+    cloned.name = this.name;
+    return cloned;
+  }
+
+  /**
+   * Create a single-frame wavetable from a waveform
+   * @param {Waveform} waveform - Initial frame
+   * @param {number} harmonicCount - Number of harmonics analysed per frame
+   * @returns {Wavetable} New wavetable
+   */
+  static fromWaveform(waveform, harmonicCount = Wavetable.harmonicCountFor(waveform.sampleRate)) {
+    const wavetable = new Wavetable(waveform.sampleRate, harmonicCount);
+    wavetable.addFrame(waveform);
+    return wavetable;
+  }
+
+  /**
+   * Number of harmonics analysed for a table size
+   * Keeps the 1024 samples : 64 harmonics ratio at every size
+   * @param {number} sampleRate - Number of samples per frame
+   * @returns {number} Harmonic count
+   */
+  static harmonicCountFor(sampleRate) {
+    return Math.max(1, sampleRate / 16);
+  }
+
+  /**
+   * Build frame object, analysing the waveform when no spectrum is given
+   * @private
+   */
+  createFrame(waveform, spectrum) {
+    return {
+      waveform,
+      spectrum: spectrum || WaveformTransform.toFrequencyDomain(waveform, this.harmonicCount)
+    };
+  }
+
+  /**
+   * Ensure waveform matches the table's frame size
+   * @private
+   */
+  validateWaveform(waveform) {
+    if (waveform.sampleRate !== this.sampleRate) {
+      throw new Error(
+        `Frame has ${waveform.sampleRate} samples, wavetable expects ${this.sampleRate}`
+      );
+    }
+  }
+}
@@ -12,7 +12,7 @@ export class HistoryManager {
 
   /**
    * Push a new state to history
-   * @param {Object} state - State to save (waveform and spectrum data)
+   * @param {Object} state - State to save (wavetable frames with waveform and spectrum data)
    */
   push(state) {
     // Remove any history after current index (when pushing after undo)
@@ -108,14 +108,20 @@ export class HistoryManager {
    */
   cloneState(state) {
     return {
-      waveform: {
-        sampleRate: state.waveform.sampleRate,
-        samples: new Float32Array(state.waveform.samples)
-      },
-      spectrum: {
-        harmonicCount: state.spectrum.harmonicCount,
-        harmonics: state.spectrum.harmonics.map(h => ({ ...h }))
-      },
+      sampleRate: state.sampleRate,
+      harmonicCount: state.harmonicCount,
+      selectedIndex: state.selectedIndex,
+      name: state.name,
+      frames: state.frames.map(frame => ({
+        waveform: {
+          sampleRate: frame.waveform.sampleRate,
+          samples: new Float32Array(frame.waveform.samples)
+        },
+        spectrum: {
+          harmonicCount: frame.spectrum.harmonicCount,
+          harmonics: frame.spectrum.harmonics.map(h => ({ ...h }))
+        }
+      })),
       timestamp: Date.now()
     };
   }
@@ -0,0 +1,140 @@
+/**
+ * JSONImportModal
+ * Dialog for pasting or loading exported JSON
+ */
+export class JSONImportModal {
+  constructor() {
+    this.modal = null;
+    this.form = null;
+    this.textArea = null;
+    this.fileInput = null;
+    this.onImport = null;
+
+    this.createModal();
+    this.bindEvents();
+  }
+
+  /**
+   * Create modal DOM structure
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'export-modal';
+    this.modal.innerHTML = `
+      <div class="export-modal-content">
+        <div class="export-modal-header">
+          <h3 class="export-modal-title">JSON Import</h3>
+          <button type="button" class="export-modal-close" aria-label="Close">×</button>
+        </div>
+        <form class="export-form">
+          <div class="export-modal-body">
+            <textarea class="export-code import-text" name="json" spellcheck="false"
+              placeholder="Paste exported JSON here, or drop a .json file"></textarea>
+            <input type="file" class="import-file" accept=".json,application/json" hidden>
+          </div>
+          <div class="export-modal-footer">
+            <button type="button" class="action-button choose-file-button">Choose File…</button>
+            <button type="submit" class="action-button">Import</button>
+            <button type="button" class="action-button cancel-button">Cancel</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(this.modal);
+
+    this.form = this.modal.querySelector('.export-form');
+    this.textArea = this.modal.querySelector('.import-text');
+    this.fileInput = this.modal.querySelector('.import-file');
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    // Close buttons
+    this.modal.querySelector('.export-modal-close').addEventListener('click', () => {
+      this.hide();
+    });
+
+    this.modal.querySelector('.cancel-button').addEventListener('click', () => {
+      this.hide();
+    });
+
+    // File picker
+    this.modal.querySelector('.choose-file-button').addEventListener('click', () => {
+      this.fileInput.click();
+    });
+
+    this.fileInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) {
+        this.textArea.value = await file.text();
+        this.submit();
+      }
+    });
+
+    // Dropping a file on the text area loads it for review
+    this.textArea.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    });
+
+    this.textArea.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const file = e.dataTransfer.files[0];
+      if (file) {
+        this.textArea.value = await file.text();
+      }
+    });
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+
+    // Click outside to close
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.hide();
+      }
+    });
+
+    // Escape key to close
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.modal.classList.contains('visible')) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * Show dialog
+   * @param {Function} onImport - Called with the JSON text, returns true when imported
+   */
+  show(onImport) {
+    this.onImport = onImport;
+    this.textArea.value = '';
+    this.modal.classList.add('visible');
+    this.textArea.focus();
+  }
+
+  /**
+   * Hide dialog
+   */
+  hide() {
+    this.modal.classList.remove('visible');
+  }
+
+  /**
+   * Import current text, keeping the dialog open on errors
+   * @private
+   */
+  submit() {
+    if (this.onImport && this.onImport(this.textArea.value)) {
+      this.hide();
+    }
+  }
+}
@@ -6,18 +6,15 @@
 export class StorageManager {
   constructor() {
     this.storageKey = 'wavetable-editor-state';
+    this.framesKey = 'wavetable-editor-frames';
+    this.isFailing = false; // Last write failed
   }
   
   /**
    * Save complete application state
    */
   saveState(state) {
-    try {
-      const serialized = JSON.stringify(state);
-      localStorage.setItem(this.storageKey, serialized);
-    } catch (error) {
-      console.warn('Could not save state to localStorage:', error);
-    }
+    this.writeItem(this.storageKey, JSON.stringify(state));
   }
   
   /**
@@ -41,51 +38,94 @@ export class StorageManager {
   clearState() {
     try {
       localStorage.removeItem(this.storageKey);
+      localStorage.removeItem(this.framesKey);
     } catch (error) {
       console.warn('Could not clear state:', error);
     }
   }
   
   /**
-   * Save waveform data
+   * Write one localStorage entry
+   * The first failure after a working write, usually the quota, is
+   * announced with a storageerror event on window, so the user is told once
+   * that their work is not being kept
+   * @private
+   * @returns {boolean} True if the entry was written
    */
-  saveWaveform(waveform) {
-    const state = this.loadState() || {};
-    state.waveform = {
-      sampleRate: waveform.sampleRate,
-      samples: Array.from(waveform.samples)
-    };
-    this.saveState(state);
+  writeItem(key, serialized) {
+    try {
+      localStorage.setItem(key, serialized);
+      this.isFailing = false;
+      return true;
+    } catch (error) {
+      console.warn('Could not save state to localStorage:', error);
+      if (!this.isFailing) {
+        this.isFailing = true;
+        window.dispatchEvent(new CustomEvent('storageerror', {
+          detail: { key, error }
+        }));
+      }
+      return false;
+    }
   }
   
   /**
-   * Load waveform data
+   * Save wavetable data
+   * Frames go in their own entry as base64 Float32 samples, so a large table
+   * stays well under the quota and never blocks saving settings; spectra
+   * are analysed again on load
+   * @returns {boolean} True if the wavetable was saved
    */
-  loadWaveform() {
+  saveWavetable(wavetable) {
+    const saved = this.writeItem(this.framesKey, JSON.stringify({
+      sampleRate: wavetable.sampleRate,
+      harmonicCount: wavetable.harmonicCount,
+      selectedIndex: wavetable.selectedIndex,
+      name: wavetable.name,
+      frames: wavetable.frames.map(frame => encodeSamples(frame.waveform.samples))
+    }));
+
+    // Superseded by the frames entry
     const state = this.loadState();
-    return state?.waveform || null;
+    if (saved && state && (state.wavetable || state.waveform || state.spectrum)) {
+      delete state.wavetable;
+      delete state.waveform;
+      delete state.spectrum;
+      this.saveState(state);
+    }
+
+    return saved;
   }
-  
+
   /**
-   * Save frequency spectrum data
+   * Load wavetable data
+   * @returns {Object|null} {sampleRate, harmonicCount, selectedIndex, name,
+   *   frames: [{samples, harmonics}]}; harmonics only in older saves
    */
-  saveSpectrum(spectrum) {
-    const state = this.loadState() || {};
-    state.spectrum = {
-      harmonicCount: spectrum.harmonicCount,
-      harmonics: spectrum.harmonics.map(h => ({ ...h }))
-    };
-    this.saveState(state);
+  loadWavetable() {
+    try {
+      const serialized = localStorage.getItem(this.framesKey);
+      if (serialized) {
+        const data = JSON.parse(serialized);
+        return { ...data, frames: data.frames.map(frame => ({ samples: decodeSamples(frame) })) };
+      }
+    } catch (error) {
+      console.warn('Could not load wavetable from localStorage:', error);
+    }
+
+    // Earlier versions kept the wavetable in the state entry
+    const state = this.loadState();
+    return state?.wavetable || null;
   }
-  
+
   /**
-   * Load frequency spectrum data
+   * Load single waveform data saved by earlier versions
    */
-  loadSpectrum() {
+  loadWaveform() {
     const state = this.loadState();
-    return state?.spectrum || null;
+    return state?.waveform || null;
   }
-  
+
   /**
    * Save preview frequency
    */
@@ -120,6 +160,159 @@ export class StorageManager {
     return state?.volume !== undefined ? state.volume : 0.05; // Default to 5%
   }
   
+  /**
+   * Save preview interpolation mode
+   */
+  saveInterpolation(interpolation) {
+    const state = this.loadState() || {};
+    state.interpolation = interpolation;
+    this.saveState(state);
+  }
+  
+  /**
+   * Load preview interpolation mode
+   */
+  loadInterpolation() {
+    const state = this.loadState();
+    return state?.interpolation || 'linear'; // Default matches SuperCollider's Osc
+  }
+  
+  /**
+   * Save preview band-limiting
+   */
+  saveBandLimited(bandLimited) {
+    const state = this.loadState() || {};
+    state.bandLimited = bandLimited;
+    this.saveState(state);
+  }
+  
+  /**
+   * Load preview band-limiting
+   */
+  loadBandLimited() {
+    const state = this.loadState();
+    return state?.bandLimited !== undefined ? state.bandLimited : true;
+  }
+  
+  /**
+   * Save drone engine options
+   */
+  saveAudioOptions(options) {
+    const state = this.loadState() || {};
+    state.audioOptions = { ...options };
+    this.saveState(state);
+  }
+  
+  /**
+   * Load drone engine options
+   */
+  loadAudioOptions() {
+    const state = this.loadState();
+    return state?.audioOptions || null;
+  }
+  
+  /**
+   * Save drawing tool options
+   */
+  saveToolOptions(options) {
+    const state = this.loadState() || {};
+    state.toolOptions = { ...options };
+    this.saveState(state);
+  }
+  
+  /**
+   * Load drawing tool options
+   */
+  loadToolOptions() {
+    const state = this.loadState();
+    return state?.toolOptions || null;
+  }
+  
+  /**
+   * Save symmetry mode
+   */
+  saveSymmetryOptions(options) {
+    const state = this.loadState() || {};
+    state.symmetryOptions = { ...options };
+    this.saveState(state);
+  }
+  
+  /**
+   * Load symmetry mode
+   */
+  loadSymmetryOptions() {
+    const state = this.loadState();
+    return state?.symmetryOptions || null;
+  }
+  
+  /**
+   * Save what the table view lists
+   */
+  saveTableMode(mode) {
+    const state = this.loadState() || {};
+    state.tableMode = mode;
+    this.saveState(state);
+  }
+  
+  /**
+   * Load what the table view lists
+   */
+  loadTableMode() {
+    const state = this.loadState();
+    return state?.tableMode || 'samples';
+  }
+  
+  /**
+   * Save preview keyboard options
+   */
+  saveKeyboardOptions(options) {
+    const state = this.loadState() || {};
+    state.keyboardOptions = { ...options };
+    this.saveState(state);
+  }
+  
+  /**
+   * Load preview keyboard options
+   */
+  loadKeyboardOptions() {
+    const state = this.loadState();
+    return state?.keyboardOptions || null;
+  }
+  
+  /**
+   * Save MIDI input options
+   */
+  saveMIDIOptions(options) {
+    const state = this.loadState() || {};
+    state.midiOptions = { ...options };
+    this.saveState(state);
+  }
+  
+  /**
+   * Load MIDI input options
+   */
+  loadMIDIOptions() {
+    const state = this.loadState();
+    return state?.midiOptions || null;
+  }
+  
+  /**
+   * Save WAV export options
+   */
+  saveWAVOptions(options) {
+    const state = this.loadState() || {};
+    state.wavOptions = { ...options };
+    this.saveState(state);
+  }
+  
+  /**
+   * Load WAV export options
+   */
+  loadWAVOptions() {
+    const state = this.loadState();
+    return state?.wavOptions || null;
+  }
+  
   /**
    * Save active view
    */
@@ -137,3 +330,34 @@ export class StorageManager {
     return state?.activeView || 'time';
   }
 }
+
+/**
+ * Float32 samples as base64 text
+ * @param {Float32Array} samples - Sample values
+ * @returns {string} Base64 of the raw bytes
+ */
+function encodeSamples(samples) {
+  const bytes = new Uint8Array(samples.buffer, samples.byteOffset, samples.byteLength);
+  let binary = '';
+
+  // Chunked, as spreading a whole large table overflows the call stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Float32 samples from base64 text
+ * @param {string} text - Base64 written by encodeSamples
+ * @returns {Float32Array} Sample values
+ */
+function decodeSamples(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Float32Array(bytes.buffer);
+}
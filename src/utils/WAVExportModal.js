@@ -0,0 +1,184 @@
+/**
+ * WAVExportModal
+ * Dialog for choosing WAV export mode, length, pitch and sample format
+ */
+export class WAVExportModal {
+  constructor() {
+    this.modal = null;
+    this.form = null;
+    this.onExport = null;
+
+    this.createModal();
+    this.bindEvents();
+  }
+
+  /**
+   * Create modal DOM structure
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'export-modal';
+    this.modal.innerHTML = `
+      <div class="export-modal-content">
+        <div class="export-modal-header">
+          <h3 class="export-modal-title">WAV Export</h3>
+          <button type="button" class="export-modal-close" aria-label="Close">×</button>
+        </div>
+        <form class="export-form">
+          <div class="export-modal-body">
+            <fieldset class="export-fieldset">
+              <legend class="control-label">Content</legend>
+              <label class="export-option">
+                <input type="radio" name="mode" value="cycle">
+                Single cycle (exactly one table length, loopable)
+              </label>
+              <label class="export-option">
+                <input type="radio" name="mode" value="note">
+                Rendered note
+              </label>
+              <label class="export-option">
+                <input type="radio" name="mode" value="wavetable">
+                Wavetable (all frames, 2048 samples each, for Serum/Bitwig/Vital)
+              </label>
+              <label class="export-option">
+                <input type="radio" name="mode" value="octaves">
+                Octave set (current frame band-limited per octave, one frame each)
+              </label>
+            </fieldset>
+            <div class="export-fields">
+              <label class="export-field">
+                <span class="control-label">Length (s)</span>
+                <input type="number" name="duration" min="0.01" max="60" step="0.01" required>
+              </label>
+              <label class="export-field">
+                <span class="control-label">Pitch (Hz)</span>
+                <input type="number" name="frequency" min="1" max="20000" step="0.01" required>
+              </label>
+              <label class="export-field">
+                <span class="control-label">Format</span>
+                <select name="format" class="view-select">
+                  <option value="pcm16">16-bit PCM</option>
+                  <option value="pcm24">24-bit PCM</option>
+                  <option value="float32">32-bit float</option>
+                </select>
+              </label>
+              <label class="export-field">
+                <span class="control-label">Sample rate</span>
+                <select name="sampleRate" class="view-select">
+                  <option value="44100">44.1 kHz</option>
+                  <option value="48000">48 kHz</option>
+                  <option value="96000">96 kHz</option>
+                </select>
+              </label>
+            </div>
+          </div>
+          <div class="export-modal-footer">
+            <button type="submit" class="action-button">Export</button>
+            <button type="button" class="action-button cancel-button">Cancel</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(this.modal);
+
+    this.form = this.modal.querySelector('.export-form');
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    // Close buttons
+    this.modal.querySelector('.export-modal-close').addEventListener('click', () => {
+      this.hide();
+    });
+
+    this.modal.querySelector('.cancel-button').addEventListener('click', () => {
+      this.hide();
+    });
+
+    // Note settings only apply to rendered notes
+    this.form.addEventListener('change', (e) => {
+      if (e.target.name === 'mode') {
+        this.updateFieldStates();
+      }
+    });
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+
+      const options = this.getOptions();
+      this.hide();
+
+      if (this.onExport) {
+        this.onExport(options);
+      }
+    });
+
+    // Click outside to close
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.hide();
+      }
+    });
+
+    // Escape key to close
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.modal.classList.contains('visible')) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * Show dialog
+   * @param {Object} options - Initial option values
+   * @param {Function} onExport - Called with the chosen options
+   */
+  show(options, onExport) {
+    this.onExport = onExport;
+
+    this.form.elements.mode.value = options.mode;
+    this.form.elements.duration.value = options.duration;
+    this.form.elements.frequency.value = options.frequency;
+    this.form.elements.format.value = options.format;
+    this.form.elements.sampleRate.value = options.sampleRate;
+    this.updateFieldStates();
+
+    this.modal.classList.add('visible');
+  }
+
+  /**
+   * Hide dialog
+   */
+  hide() {
+    this.modal.classList.remove('visible');
+  }
+
+  /**
+   * Read options from form
+   * @private
+   */
+  getOptions() {
+    const elements = this.form.elements;
+
+    return {
+      mode: elements.mode.value,
+      duration: parseFloat(elements.duration.value),
+      frequency: parseFloat(elements.frequency.value),
+      format: elements.format.value,
+      sampleRate: parseInt(elements.sampleRate.value)
+    };
+  }
+
+  /**
+   * Enable note fields only for rendered notes
+   * @private
+   */
+  updateFieldStates() {
+    const isNote = this.form.elements.mode.value === 'note';
+    this.form.elements.duration.disabled = !isNote;
+    this.form.elements.frequency.disabled = !isNote;
+  }
+}
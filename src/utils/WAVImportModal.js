@@ -0,0 +1,176 @@
+/**
+ * WAVImportModal
+ * Dialog for choosing how an imported WAV file becomes frames
+ */
+export class WAVImportModal {
+  constructor() {
+    this.modal = null;
+    this.form = null;
+    this.infoElement = null;
+    this.onImport = null;
+
+    this.createModal();
+    this.bindEvents();
+  }
+
+  /**
+   * Create modal DOM structure
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'export-modal';
+    this.modal.innerHTML = `
+      <div class="export-modal-content">
+        <div class="export-modal-header">
+          <h3 class="export-modal-title">WAV Import</h3>
+          <button type="button" class="export-modal-close" aria-label="Close">×</button>
+        </div>
+        <form class="export-form">
+          <div class="export-modal-body">
+            <p class="import-info"></p>
+            <fieldset class="export-fieldset">
+              <legend class="control-label">Interpret as</legend>
+              <label class="export-option">
+                <input type="radio" name="mode" value="cycle">
+                One cycle, resampled to the table size
+              </label>
+              <label class="export-option">
+                <input type="radio" name="mode" value="frames">
+                Wavetable, split into frames
+              </label>
+              <label class="export-option">
+                <input type="radio" name="mode" value="pitch">
+                Recorded note, extract one cycle at the detected pitch
+              </label>
+            </fieldset>
+            <div class="export-fields">
+              <label class="export-field">
+                <span class="control-label">Frame size (samples)</span>
+                <input type="number" name="frameSize" min="2" max="65536" step="1" required>
+              </label>
+              <label class="export-option">
+                <input type="checkbox" name="append">
+                Append as new frames
+              </label>
+            </div>
+          </div>
+          <div class="export-modal-footer">
+            <button type="submit" class="action-button">Import</button>
+            <button type="button" class="action-button cancel-button">Cancel</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(this.modal);
+
+    this.form = this.modal.querySelector('.export-form');
+    this.infoElement = this.modal.querySelector('.import-info');
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    // Close buttons
+    this.modal.querySelector('.export-modal-close').addEventListener('click', () => {
+      this.hide();
+    });
+
+    this.modal.querySelector('.cancel-button').addEventListener('click', () => {
+      this.hide();
+    });
+
+    // Frame size only applies when splitting
+    this.form.addEventListener('change', (e) => {
+      if (e.target.name === 'mode') {
+        this.updateFieldStates();
+      }
+    });
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+
+      const options = this.getOptions();
+      this.hide();
+
+      if (this.onImport) {
+        this.onImport(options);
+      }
+    });
+
+    // Click outside to close
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.hide();
+      }
+    });
+
+    // Escape key to close
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.modal.classList.contains('visible')) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * Show dialog for a parsed WAV file
+   * @param {string} fileName - Name of the imported file
+   * @param {Object} wav - Parsed WAV data from WaveformImporter.parseWAV
+   * @param {Function} onImport - Called with the chosen options
+   */
+  show(fileName, wav, onImport) {
+    this.onImport = onImport;
+
+    const seconds = (wav.samples.length / wav.sampleRate).toFixed(3);
+    const clm = wav.frameSize ? `, clm frame size ${wav.frameSize}` : '';
+    this.infoElement.textContent =
+      `${fileName}: ${wav.samples.length} samples (${seconds} s) at ${wav.sampleRate} Hz, ` +
+      `${wav.bitsPerSample}-bit, ${wav.channels} channel${wav.channels === 1 ? '' : 's'}${clm}`;
+
+    // Guess the most likely interpretation
+    let mode = 'pitch';
+    if (wav.frameSize) {
+      mode = 'frames';
+    } else if (wav.samples.length <= 8192) {
+      mode = 'cycle';
+    }
+
+    this.form.elements.mode.value = mode;
+    this.form.elements.frameSize.value = wav.frameSize || 2048;
+    this.form.elements.append.checked = false;
+    this.updateFieldStates();
+
+    this.modal.classList.add('visible');
+  }
+
+  /**
+   * Hide dialog
+   */
+  hide() {
+    this.modal.classList.remove('visible');
+  }
+
+  /**
+   * Read options from form
+   * @private
+   */
+  getOptions() {
+    const elements = this.form.elements;
+
+    return {
+      mode: elements.mode.value,
+      frameSize: parseInt(elements.frameSize.value),
+      append: elements.append.checked
+    };
+  }
+
+  /**
+   * Enable frame size only for frame splitting
+   * @private
+   */
+  updateFieldStates() {
+    this.form.elements.frameSize.disabled = this.form.elements.mode.value !== 'frames';
+  }
+}
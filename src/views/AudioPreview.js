@@ -1,36 +1,88 @@
 import * as Tone from 'tone';
 import { Waveform } from '../domain/Waveform.js';
+import { BandLimitedSet } from '../domain/BandLimitedSet.js';
+import { AudioBackend } from '../audio/AudioBackend.js';
+import processorUrl from '../audio/WavetableOscillatorProcessor.js?worker&url';
+
+/**
+ * Table interpolation modes understood by the oscillator worklet
+ * 'linear' is what SuperCollider's Osc uses
+ */
+export const INTERPOLATION_MODES = ['none', 'linear', 'cubic'];
+
+/**
+ * Length of the crossfade between old and new tables during live edits
+ */
+const CROSSFADE_SECONDS = 0.01;
+
+/**
+ * Maximum simultaneous keyboard voices; the oldest is stolen beyond this
+ */
+const MAX_VOICES = 16;
 
 /**
  * AudioPreview
  * Audio playback abstraction layer using Tone.js
- * Designed to be easily swappable with other audio libraries (e.g., scsynth.js)
+ * Plays the sample table itself through AudioWorklet oscillators, either as
+ * a single drone or as polyphonic enveloped notes
+ * The drone is the in-browser AudioBackend; keyboard notes and the output
+ * analyser are only available here
+ * A pinned reference table can stand in for the current one (A/B), switched
+ * with the same crossfade as live edits so sounding notes carry on
  */
-export class AudioPreview {
+export class AudioPreview extends AudioBackend {
   constructor() {
+    super();
     this.isPlaying = false;
     this.currentOscillator = null;
     this.currentWaveform = null;
     this.frequency = 440; // A4
     this.volume = 0.05; // Default 50%
+    this.interpolation = 'linear';
+    this.bandLimited = true; // Play octave tables free of aliasing
+    this.tableLevels = null; // Table data sent to oscillators for currentWaveform
+    this.referenceWaveform = null;
+    this.referenceLevels = null; // Table data for referenceWaveform, built once
+    this.playingReference = false; // A/B: play referenceWaveform instead
     this.gainNode = null;
-    this.periodicWave = null;
-    
+    this.analyser = null;
+
+    // Keyboard voices: sounding notes by MIDI note number, plus voices in release
+    this.voices = new Map();
+    this.releasingVoices = new Set();
+    this.heldNotes = new Set();
+    this.envelope = { attack: 0.01, decay: 0.2, sustain: 0.7, release: 0.3 };
+    this.pitchBend = 0; // Semitones applied to keyboard voices
+
     // Audio context will be started on first user interaction
     this.audioContextStarted = false;
+    this.audioContextReady = null;
   }
-  
+
   /**
-   * Ensure audio context is started (required by browsers)
+   * Ensure audio context is started (required by browsers),
+   * the oscillator worklet is loaded and the output gain and analyser exist
    */
   async ensureAudioContext() {
-    if (!this.audioContextStarted) {
-      await Tone.start();
-      this.audioContextStarted = true;
-      console.log('Audio context started');
+    if (!this.audioContextReady) {
+      this.audioContextReady = (async () => {
+        await Tone.start();
+        await Tone.getContext().addAudioWorkletModule(processorUrl);
+        this.gainNode = new Tone.Gain(this.volume).toDestination();
+
+        // Taps the final output for visual monitoring
+        this.analyser = Tone.getContext().createAnalyser();
+        this.analyser.fftSize = 8192;
+        this.analyser.smoothingTimeConstant = 0.5;
+        Tone.connect(this.gainNode, this.analyser);
+        this.audioContextStarted = true;
+        console.log('Audio context started');
+      })();
     }
+
+    await this.audioContextReady;
   }
-  
+
   /**
    * Play waveform preview
    * @param {Waveform} waveform - Waveform to play
@@ -40,178 +92,378 @@ export class AudioPreview {
   async play(waveform, frequency = null, duration = 0) {
     // Ensure audio context is running
     await this.ensureAudioContext();
-    
+
     // Stop any current playback
     this.stop();
-    
+
     // Update frequency if provided
     if (frequency !== null) {
       this.frequency = frequency;
     }
-    
+
     // Store current waveform
-    this.currentWaveform = waveform;
-    
-    // Create periodic wave from waveform
-    this.createPeriodicWave(waveform);
-
-    // Create gain node for volume control
-    this.gainNode = new Tone.Gain(this.volume).toDestination();
-
-    // Create and start oscillator using Tone.js
-    this.currentOscillator = new Tone.Oscillator({
-      frequency: this.frequency,
-      type: 'custom',
-      partials: this.getPartials(waveform)
-    }).connect(this.gainNode);
-    
-    this.currentOscillator.start();
+    this.setCurrentWaveform(waveform);
+
+    // Create oscillator reading the table; it starts running immediately
+    this.currentOscillator = this.createOscillator(this.frequency);
+    Tone.connect(this.currentOscillator, this.gainNode);
+
     this.isPlaying = true;
-    
+
     // If duration specified, stop after that time
     if (duration > 0) {
       setTimeout(() => {
         this.stop();
       }, duration * 1000);
     }
-    
-    console.log(`Playing at ${this.frequency} Hz, volume ${Math.round(this.volume * 100)}%`);
+
+    console.log(`Playing at ${this.frequency} Hz, volume ${Math.round(this.volume * 1000)}%`);
   }
-  
+
   /**
    * Stop playback
    */
   stop() {
     if (this.currentOscillator) {
-      this.currentOscillator.stop();
-      this.currentOscillator.dispose();
+      this.disposeOscillator(this.currentOscillator);
       this.currentOscillator = null;
     }
-    if (this.gainNode) {
-      this.gainNode.dispose();
-      this.gainNode = null;
-    }
     this.isPlaying = false;
     console.log('Stopped playback');
   }
-  
+
+  /**
+   * Start an enveloped note
+   * @param {Waveform} waveform - Waveform to play
+   * @param {number} note - MIDI note number
+   * @param {number} velocity - Velocity, 0 to 1
+   */
+  async noteOn(waveform, note, velocity = 1) {
+    this.heldNotes.add(note);
+    await this.ensureAudioContext();
+
+    // Released while the audio context was starting
+    if (!this.heldNotes.has(note)) {
+      return;
+    }
+
+    if (this.voices.has(note)) {
+      this.releaseVoice(this.voices.get(note));
+    }
+
+    // Steal the oldest voice
+    if (this.voices.size >= MAX_VOICES) {
+      const oldest = this.voices.values().next().value;
+      this.voices.delete(oldest.note);
+      this.disposeVoice(oldest);
+    }
+
+    // Sounding voices already follow every edit through updateWaveform
+    if (waveform !== this.currentWaveform || !this.getIsPlaying()) {
+      this.setCurrentWaveform(waveform);
+    }
+
+    const envelope = new Tone.AmplitudeEnvelope(this.envelope).connect(this.gainNode);
+    const oscillator = this.createOscillator(this.voiceFrequency(note));
+    Tone.connect(oscillator, envelope);
+    envelope.triggerAttack(Tone.immediate(), velocity);
+
+    this.voices.set(note, { note, oscillator, envelope, releaseTimer: null });
+  }
+
+  /**
+   * Release an enveloped note
+   * @param {number} note - MIDI note number
+   */
+  noteOff(note) {
+    this.heldNotes.delete(note);
+
+    const voice = this.voices.get(note);
+    if (voice) {
+      this.releaseVoice(voice);
+    }
+  }
+
+  /**
+   * Release every sounding note
+   */
+  allNotesOff() {
+    this.heldNotes.clear();
+    for (const voice of [...this.voices.values()]) {
+      this.releaseVoice(voice);
+    }
+  }
+
+  /**
+   * Set the amplitude envelope used by new notes
+   * @param {Object} envelope - {attack, decay, release} in seconds, sustain 0 to 1
+   */
+  setEnvelope(envelope) {
+    const { attack, decay, sustain, release } = { ...this.envelope, ...envelope };
+    this.envelope = { attack, decay, sustain, release };
+  }
+
+  /**
+   * Bend the pitch of all keyboard voices
+   * @param {number} semitones - Offset from the played notes
+   */
+  setPitchBend(semitones) {
+    this.pitchBend = semitones;
+
+    const now = Tone.getContext().currentTime;
+    for (const voice of [...this.voices.values(), ...this.releasingVoices]) {
+      voice.oscillator.parameters.get('frequency')
+        .setTargetAtTime(this.voiceFrequency(voice.note), now, 0.005);
+    }
+  }
+
   /**
    * Update the waveform while playing
+   * Oscillators keep running and crossfade to the new table
+   * During a drag only the full table is sent, played at every pitch, and the
+   * octave tables follow once the drag ends
    * @param {Waveform} waveform - New waveform
+   * @param {boolean} interim - Whether more edits follow at once
    */
-  updateWaveform(waveform) {
-    if (this.isPlaying && this.currentOscillator) {
-      // For Tone.js, we need to restart the oscillator with new partials
-      const wasPlaying = this.isPlaying;
-      const currentFreq = this.frequency;
-      
-      this.stop();
-      
-      if (wasPlaying) {
-        this.play(waveform, currentFreq);
-      }
+  updateWaveform(waveform, interim = false) {
+    const previous = this.tableLevels;
+    this.setCurrentWaveform(waveform, interim);
+
+    // While the reference plays, edits leave the sounding table as it is
+    if (this.tableLevels !== previous) {
+      this.postTable();
+    }
+  }
+
+  /**
+   * Set the table to compare against, or remove it
+   * @param {Waveform|null} waveform - Reference waveform
+   */
+  setReference(waveform) {
+    this.referenceWaveform = waveform;
+    this.referenceLevels = null;
+    this.setPlayingReference(this.playingReference && waveform !== null);
+  }
+
+  /**
+   * Play the reference (B) or the current table (A), keeping notes sounding
+   * Edits to the current table while B plays are kept and heard on return to A
+   * @param {boolean} playingReference - Whether to play the reference
+   */
+  setPlayingReference(playingReference) {
+    this.playingReference = playingReference && this.referenceWaveform !== null;
+
+    if (this.currentWaveform) {
+      this.setCurrentWaveform(this.currentWaveform);
+      this.postTable();
     }
-    
-    this.currentWaveform = waveform;
   }
-  
+
   /**
-   * Set playback frequency
+   * Switch between octave band-limited tables and the raw table
+   * The raw table aliases at high pitches exactly as a single Osc buffer does
+   * @param {boolean} bandLimited - Whether to play band-limited tables
+   */
+  setBandLimited(bandLimited) {
+    this.bandLimited = bandLimited;
+    this.referenceLevels = null;
+
+    if (this.currentWaveform) {
+      this.setCurrentWaveform(this.currentWaveform);
+      this.postTable();
+    }
+  }
+
+  /**
+   * Set playback frequency of the drone
    * @param {number} frequency - Frequency in Hz
    */
   setFrequency(frequency) {
     this.frequency = frequency;
-    
+
     if (this.isPlaying && this.currentOscillator) {
-      this.currentOscillator.frequency.value = frequency;
+      this.currentOscillator.parameters.get('frequency').value = frequency;
+    }
+  }
+
+  /**
+   * Set how the oscillators read between table samples
+   * @param {string} interpolation - One of INTERPOLATION_MODES
+   */
+  setInterpolation(interpolation) {
+    if (!INTERPOLATION_MODES.includes(interpolation)) {
+      throw new Error(`Unknown interpolation: ${interpolation}`);
     }
+
+    this.interpolation = interpolation;
+    this.forEachOscillator(oscillator => {
+      oscillator.port.postMessage({ type: 'interpolation', interpolation });
+    });
   }
 
   setVolume(volume) {
     this.volume = Math.max(0, Math.min(0.1, volume));
 
-    if (this.isPlaying && this.gainNode) {
+    if (this.gainNode) {
       this.gainNode.gain.value = this.volume;
     }
   }
 
   /**
-   * Create Web Audio API PeriodicWave from waveform
+   * Analyser node on the output, null until audio has started
+   * @returns {AnalyserNode|null}
+   */
+  getAnalyser() {
+    return this.analyser;
+  }
+
+  /**
+   * Check if audio is currently playing, as a drone or as notes
+   */
+  getIsPlaying() {
+    return this.isPlaying || this.voices.size > 0 || this.releasingVoices.size > 0;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.stop();
+    for (const voice of [...this.voices.values(), ...this.releasingVoices]) {
+      this.disposeVoice(voice);
+    }
+    this.voices.clear();
+    this.releasingVoices.clear();
+
+    if (this.analyser) {
+      this.analyser.disconnect();
+      this.analyser = null;
+    }
+
+    if (this.gainNode) {
+      this.gainNode.dispose();
+      this.gainNode = null;
+    }
+  }
+
+  /**
+   * Equal-tempered frequency of a MIDI note
+   * @param {number} note - MIDI note number (69 = A4)
+   * @returns {number} Frequency in Hz
+   */
+  static noteToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+  }
+
+  /**
+   * Frequency of a keyboard voice including pitch bend
    * @private
    */
-  createPeriodicWave(waveform) {
-    // Get Fourier coefficients using FFT
-    const real = new Float32Array(waveform.sampleRate / 2);
-    const imag = new Float32Array(waveform.sampleRate / 2);
-    
-    // Perform FFT to get frequency domain representation
-    this.fft(waveform.samples, real, imag);
-    
-    // Store for Web Audio API (if needed for direct access)
-    this.periodicWave = { real, imag };
+  voiceFrequency(note) {
+    return AudioPreview.noteToFrequency(note + this.pitchBend);
   }
-  
+
   /**
-   * Get harmonic partials for Tone.js oscillator
+   * Create a table oscillator for the current waveform
    * @private
    */
-  getPartials(waveform) {
-    // Extract first 32 harmonics as partials
-    const partials = [];
-    const N = waveform.sampleRate;
-    
-    for (let k = 1; k <= 32; k++) {
-      let real = 0;
-      let imag = 0;
-      
-      // DFT for this harmonic
-      for (let n = 0; n < N; n++) {
-        const angle = (-2 * Math.PI * k * n) / N;
-        real += waveform.samples[n] * Math.cos(angle);
-        imag += waveform.samples[n] * Math.sin(angle);
+  createOscillator(frequency) {
+    return Tone.getContext().createAudioWorkletNode('wavetable-oscillator', {
+      numberOfInputs: 0,
+      outputChannelCount: [1],
+      parameterData: { frequency },
+      processorOptions: {
+        levels: this.tableLevels,
+        interpolation: this.interpolation,
+        crossfade: CROSSFADE_SECONDS
       }
-      
-      real /= N;
-      imag /= N;
-      
-      // Calculate amplitude (normalized)
-      const amplitude = 2 * Math.sqrt(real * real + imag * imag);
-      partials.push(amplitude);
+    });
+  }
+
+  /**
+   * Store waveform and prepare the table data oscillators play, which is
+   * the reference's while it is being compared
+   * @private
+   */
+  setCurrentWaveform(waveform, interim = false) {
+    this.currentWaveform = waveform;
+
+    if (this.playingReference) {
+      this.referenceLevels ??= this.buildLevels(this.referenceWaveform);
+      this.tableLevels = this.referenceLevels;
+    } else {
+      this.tableLevels = this.buildLevels(waveform, interim);
     }
-    
-    return partials;
   }
-  
+
   /**
-   * Simple FFT implementation
+   * Table data for a waveform: its octave tables, or the raw table alone
    * @private
    */
-  fft(samples, real, imag) {
-    const N = samples.length;
-    
-    for (let k = 0; k < real.length; k++) {
-      real[k] = 0;
-      imag[k] = 0;
-      
-      for (let n = 0; n < N; n++) {
-        const angle = (-2 * Math.PI * k * n) / N;
-        real[k] += samples[n] * Math.cos(angle);
-        imag[k] += samples[n] * Math.sin(angle);
-      }
+  buildLevels(waveform, fullOnly = false) {
+    if (!this.bandLimited || fullOnly) {
+      return [Float32Array.from(waveform.samples)];
     }
+
+    return BandLimitedSet.fromWaveform(waveform).levels.map(level => level.waveform.samples);
   }
-  
+
   /**
-   * Check if audio is currently playing
+   * Send current table data to every running oscillator
+   * @private
    */
-  getIsPlaying() {
-    return this.isPlaying;
+  postTable() {
+    const levels = this.tableLevels;
+    this.forEachOscillator(oscillator => {
+      oscillator.port.postMessage({ type: 'table', levels });
+    });
   }
-  
+
   /**
-   * Clean up resources
+   * Stop and disconnect a table oscillator
+   * @private
    */
-  dispose() {
-    this.stop();
+  disposeOscillator(oscillator) {
+    oscillator.port.postMessage({ type: 'stop' });
+    oscillator.disconnect();
+  }
+
+  /**
+   * Call back with every running oscillator
+   * @private
+   */
+  forEachOscillator(callback) {
+    if (this.currentOscillator) {
+      callback(this.currentOscillator);
+    }
+    for (const voice of [...this.voices.values(), ...this.releasingVoices]) {
+      callback(voice.oscillator);
+    }
+  }
+
+  /**
+   * Start a voice's release and dispose it once silent
+   * @private
+   */
+  releaseVoice(voice) {
+    this.voices.delete(voice.note);
+    this.releasingVoices.add(voice);
+    voice.envelope.triggerRelease(Tone.immediate());
+
+    const release = Tone.Time(voice.envelope.release).toSeconds();
+    voice.releaseTimer = setTimeout(() => {
+      this.releasingVoices.delete(voice);
+      this.disposeVoice(voice);
+    }, (release + 0.05) * 1000);
+  }
+
+  /**
+   * Free a voice's audio nodes
+   * @private
+   */
+  disposeVoice(voice) {
+    clearTimeout(voice.releaseTimer);
+    this.disposeOscillator(voice.oscillator);
+    voice.envelope.dispose();
   }
 }
@@ -0,0 +1,188 @@
+/**
+ * FrameList
+ * Thumbnail strip of wavetable frames with selection
+ */
+export class FrameList {
+  /**
+   * @param {HTMLElement} container - List container element
+   * @param {Wavetable} wavetable - Initial wavetable
+   */
+  constructor(container, wavetable) {
+    this.container = container;
+    this.wavetable = wavetable;
+
+    // Display settings
+    this.thumbnailWidth = 96;
+    this.thumbnailHeight = 40;
+
+    // Colors (will be updated by theme changes)
+    this.updateColors();
+
+    // Setup
+    this.bindEvents();
+    this.render();
+
+    // Listen for theme changes
+    window.addEventListener('themechange', () => {
+      this.updateColors();
+      this.render();
+    });
+  }
+
+  /**
+   * Update colors from CSS variables
+   */
+  updateColors() {
+    const root = getComputedStyle(document.documentElement);
+    this.colors = {
+      canvasBg: root.getPropertyValue('--canvas-bg').trim(),
+      waveformLine: root.getPropertyValue('--waveform-line').trim(),
+      gridLine: root.getPropertyValue('--grid-line').trim()
+    };
+  }
+
+  /**
+   * Bind click and keyboard events
+   */
+  bindEvents() {
+    this.container.addEventListener('click', (e) => {
+      const item = e.target.closest('.frame-item');
+      if (item) {
+        this.emitSelect(parseInt(item.dataset.index));
+      }
+    });
+
+    this.container.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+        e.preventDefault();
+        this.emitSelect(Math.max(0, this.wavetable.selectedIndex - 1));
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        this.emitSelect(Math.min(this.wavetable.frameCount - 1, this.wavetable.selectedIndex + 1));
+      }
+    });
+  }
+
+  /**
+   * Rebuild frame items
+   */
+  render() {
+    const hadFocus = this.container.contains(document.activeElement);
+    this.container.innerHTML = '';
+
+    for (let i = 0; i < this.wavetable.frameCount; i++) {
+      const item = document.createElement('button');
+      item.className = 'frame-item';
+      item.dataset.index = i;
+      item.title = `Frame ${i + 1}`;
+
+      if (i === this.wavetable.selectedIndex) {
+        item.classList.add('selected');
+        item.setAttribute('aria-current', 'true');
+      }
+
+      const label = document.createElement('span');
+      label.className = 'frame-label';
+      label.textContent = i + 1;
+
+      item.appendChild(label);
+      item.appendChild(this.createThumbnail(this.wavetable.getFrame(i).waveform));
+      this.container.appendChild(item);
+    }
+
+    const selected = this.container.querySelector('.frame-item.selected');
+    if (selected) {
+      selected.scrollIntoView({ block: 'nearest' });
+
+      // Keep keyboard navigation working after the list is rebuilt
+      if (hadFocus) {
+        selected.focus();
+      }
+    }
+  }
+
+  /**
+   * Redraw a single frame thumbnail without rebuilding the list
+   * @param {number} index - Frame index
+   */
+  renderFrame(index) {
+    const item = this.container.querySelector(`.frame-item[data-index="${index}"]`);
+    if (!item) {
+      this.render();
+      return;
+    }
+
+    item.replaceChild(
+      this.createThumbnail(this.wavetable.getFrame(index).waveform),
+      item.querySelector('canvas')
+    );
+  }
+
+  /**
+   * Draw waveform thumbnail
+   * @private
+   */
+  createThumbnail(waveform) {
+    const dpr = window.devicePixelRatio || 1;
+    const w = this.thumbnailWidth;
+    const h = this.thumbnailHeight;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'frame-thumbnail';
+    canvas.width = w * dpr;
+    canvas.height = h * dpr;
+
+    const ctx = canvas.getContext('2d', { alpha: false });
+    ctx.scale(dpr, dpr);
+
+    ctx.fillStyle = this.colors.canvasBg;
+    ctx.fillRect(0, 0, w, h);
+
+    // Center line
+    ctx.strokeStyle = this.colors.gridLine;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, h / 2);
+    ctx.lineTo(w, h / 2);
+    ctx.stroke();
+
+    // Waveform
+    ctx.strokeStyle = this.colors.waveformLine;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+
+    for (let x = 0; x <= w; x++) {
+      const value = waveform.interpolate((x / w) * waveform.sampleRate);
+      const y = h / 2 - value * h * 0.4;
+
+      if (x === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+
+    ctx.stroke();
+    return canvas;
+  }
+
+  /**
+   * Update wavetable and re-render
+   */
+  updateFromWavetable(wavetable) {
+    this.wavetable = wavetable;
+    this.render();
+  }
+
+  /**
+   * Emit frame selection event
+   */
+  emitSelect(index) {
+    if (index === this.wavetable.selectedIndex) return;
+
+    const event = new CustomEvent('frameselect', {
+      detail: { index }
+    });
+    this.container.dispatchEvent(event);
+  }
+}
@@ -1,8 +1,23 @@
 import { FrequencySpectrum } from '../domain/FrequencySpectrum.js';
+import { WaveformTransform } from '../domain/WaveformTransform.js';
+import { Symmetry } from '../domain/Symmetry.js';
+import { Viewport, MINIMAP_HEIGHT } from './Viewport.js';
 
 /**
  * FrequencyCanvas
  * Visual editing of waveforms in frequency domain (additive synthesis)
+ *
+ * Shows the first 32 harmonics; the wheel, pinch, middle-drag, Space-drag
+ * and the minimap reach the rest.
+ *
+ * Dragging paints every bar the cursor sweeps over, filling in bars a fast
+ * movement skips. In the bar area, Shift-drag draws a straight line from
+ * the pressed bar to the cursor, and Alt-drag scales the bars between
+ * them (up to double or halve per quarter of the bar height), leaving
+ * silent ones silent.
+ *
+ * A symmetry mode holds some harmonics at zero and some phases to the
+ * values the symmetry allows; edits snap to them.
  */
 export class FrequencyCanvas {
   /**
@@ -15,13 +30,28 @@ export class FrequencyCanvas {
     this.spectrum = spectrum;
     
     // Display settings
-    this.visibleHarmonics = 32; // Show first 32 harmonics
+    this.defaultVisibleHarmonics = 32; // Harmonics shown before zooming
+    this.viewport = new Viewport(spectrum.harmonicCount, 4);
+    this.viewport.setView(0, this.defaultVisibleHarmonics);
+    
+    // Symmetry edits are held to, {mode, repeats}
+    this.symmetry = { mode: 'none', repeats: 2 };
+    
+    // Pinned spectrum drawn as a ghost behind the bars
+    this.reference = null;
     this.barPadding = 0.2; // Padding between bars (ratio)
+    this.baselineRatio = 0.6; // Bars grow upward from 60% down, phase lane below
+    this.phaseLaneGap = 28; // Space for harmonic labels between bars and phase lane
+    this.previewSize = 512; // Samples in the live time-domain preview
     
     // Interaction state
     this.hoveredHarmonic = null;
+    this.hoveredLane = null;
     this.draggedHarmonic = null;
+    this.dragLane = null;
     this.isDragging = false;
+    this.stroke = null; // {mode, startHarmonic, startY, lastHarmonic, lastY, base}
+    this.phaseInput = null;
     
     // Colors (will be updated by theme changes)
     this.updateColors();
@@ -75,11 +105,19 @@ export class FrequencyCanvas {
    * Bind mouse and touch events
    */
   bindEvents() {
+    // Zoom and pan, ahead of the editing handlers
+    this.viewport.bind(this.canvas, {
+      size: () => ({ width: this.displayWidth, height: this.displayHeight }),
+      change: () => this.onViewChange(),
+      pinchStart: () => this.handleMouseUp({})
+    });
+    
     // Mouse events
     this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
     this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-    this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+    window.addEventListener('mouseup', this.handleMouseUp.bind(this)); // Ends strokes released outside the canvas
     this.canvas.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
+    this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
     
     // Touch events
     this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
@@ -96,13 +134,32 @@ export class FrequencyCanvas {
   handleMouseDown(e) {
     const pos = this.getMousePos(e);
     const harmonic = this.findHarmonicAtPosition(pos.x, pos.y);
+    const lane = this.findLaneAtPosition(pos.y);
+    
+    if (harmonic === null) return;
     
-    if (harmonic !== null) {
-      this.isDragging = true;
-      this.draggedHarmonic = harmonic;
-      this.canvas.classList.add('dragging');
-      this.updateHarmonicAtPosition(harmonic, pos.y);
+    if (lane === 'phase' && (e.altKey || e.shiftKey)) {
+      // Alt-click zeroes the phase, Shift-click randomizes it
+      const phase = e.altKey ? 0 : Math.random() * Math.PI * 2;
+      this.setPhase(harmonic, phase);
+      this.render();
+      this.emitChange();
+      return;
     }
+    
+    this.isDragging = true;
+    this.draggedHarmonic = harmonic;
+    this.dragLane = lane;
+    this.stroke = {
+      mode: e.shiftKey ? 'line' : e.altKey ? 'scale' : 'paint',
+      startHarmonic: harmonic,
+      startY: pos.y,
+      lastHarmonic: harmonic,
+      lastY: pos.y,
+      base: this.spectrum.clone() // Restored under line and scale ranges as they change
+    };
+    this.canvas.classList.add('dragging');
+    this.continueStroke(harmonic, pos.y);
   }
   
   /**
@@ -111,13 +168,15 @@ export class FrequencyCanvas {
   handleMouseMove(e) {
     const pos = this.getMousePos(e);
     
-    if (this.isDragging && this.draggedHarmonic !== null) {
-      this.updateHarmonicAtPosition(this.draggedHarmonic, pos.y);
+    if (this.isDragging && this.stroke) {
+      this.continueStroke(this.harmonicAtX(pos.x), pos.y);
     } else {
       // Update hover state
       const harmonic = this.findHarmonicAtPosition(pos.x, pos.y);
-      if (harmonic !== this.hoveredHarmonic) {
+      const lane = harmonic !== null ? this.findLaneAtPosition(pos.y) : null;
+      if (harmonic !== this.hoveredHarmonic || lane !== this.hoveredLane) {
         this.hoveredHarmonic = harmonic;
+        this.hoveredLane = lane;
         this.render();
       }
     }
@@ -130,6 +189,9 @@ export class FrequencyCanvas {
     if (this.isDragging) {
       this.isDragging = false;
       this.draggedHarmonic = null;
+      this.dragLane = null;
+      this.stroke = null;
+      this.render();
       this.canvas.classList.remove('dragging');
       this.emitChange();
     }
@@ -140,9 +202,22 @@ export class FrequencyCanvas {
    */
   handleMouseLeave(e) {
     this.hoveredHarmonic = null;
+    this.hoveredLane = null;
     this.render();
   }
   
+  /**
+   * Handle double click (type a phase value)
+   */
+  handleDoubleClick(e) {
+    const pos = this.getMousePos(e);
+    const harmonic = this.findHarmonicAtPosition(pos.x, pos.y);
+    
+    if (harmonic !== null && this.findLaneAtPosition(pos.y) === 'phase') {
+      this.showPhaseInput(harmonic);
+    }
+  }
+  
   /**
    * Handle touch start
    */
@@ -189,17 +264,67 @@ export class FrequencyCanvas {
     };
   }
   
+  /**
+   * Get lane geometry for current display size
+   */
+  getLayout() {
+    const centerY = this.displayHeight * this.baselineRatio;
+    
+    // The minimap takes the bottom strip while zoomed in
+    const bottom = this.displayHeight - (this.viewport.isZoomed ? MINIMAP_HEIGHT : 0);
+    
+    return {
+      centerY,
+      maxBarHeight: centerY - 20, // Leave margin at top
+      phaseTop: centerY + this.phaseLaneGap,
+      phaseBottom: bottom - 10
+    };
+  }
+  
+  /**
+   * Width of one harmonic on screen
+   */
+  getBarWidth() {
+    return this.displayWidth / this.viewport.span;
+  }
+  
+  /**
+   * First and last harmonic at least partly on screen
+   */
+  getVisibleRange() {
+    return {
+      first: Math.max(0, Math.floor(this.viewport.start)),
+      last: Math.min(this.spectrum.harmonicCount - 1, Math.ceil(this.viewport.end) - 1)
+    };
+  }
+  
+  /**
+   * Harmonic spacing of grid lines and labels, at least 4 and 20 pixels apart
+   */
+  getLabelStep() {
+    let step = 4;
+    while (step * this.getBarWidth() < 20) {
+      step *= 2;
+    }
+    return step;
+  }
+  
+  /**
+   * Screen X of a harmonic's left edge
+   */
+  harmonicToScreen(harmonic) {
+    return this.viewport.toScreen(harmonic, this.displayWidth);
+  }
+  
   /**
    * Find harmonic at screen position
    */
   findHarmonicAtPosition(x, y) {
-    const barWidth = this.displayWidth / this.visibleHarmonics;
-    const harmonic = Math.floor(x / barWidth);
+    const harmonic = Math.floor(this.viewport.fromScreen(x, this.displayWidth));
     
-    if (harmonic >= 0 && harmonic < this.visibleHarmonics) {
-      // Check if Y is within the bar area (below the center line)
-      const centerY = this.displayHeight * 0.85; // Bars grow upward from 85% down
-      if (y <= centerY) {
+    if (harmonic >= 0 && harmonic < this.spectrum.harmonicCount) {
+      // Check if Y is within the bar area or the phase lane
+      if (this.findLaneAtPosition(y) !== null) {
         return harmonic;
       }
     }
@@ -208,20 +333,227 @@ export class FrequencyCanvas {
   }
   
   /**
-   * Update harmonic amplitude at screen Y position
+   * Whether a harmonic is being edited in a lane: the one under the cursor
+   * while painting, or the whole range of a line or scale stroke
    */
-  updateHarmonicAtPosition(harmonic, y) {
-    const centerY = this.displayHeight * 0.85;
-    const maxBarHeight = centerY - 20; // Leave margin at top
+  isDraggedHarmonic(harmonic, lane) {
+    if (!this.stroke || this.dragLane !== lane) return false;
+    
+    if (this.stroke.mode === 'paint') {
+      return harmonic === this.draggedHarmonic;
+    }
     
-    // Calculate amplitude (0 to 1)
-    let amplitude = Math.max(0, Math.min(1, (centerY - y) / maxBarHeight));
+    const { startHarmonic, lastHarmonic } = this.stroke;
+    return harmonic >= Math.min(startHarmonic, lastHarmonic) && harmonic <= Math.max(startHarmonic, lastHarmonic);
+  }
+  
+  /**
+   * Find lane ('amplitude' or 'phase') at screen Y position
+   */
+  findLaneAtPosition(y) {
+    const { centerY, phaseTop, phaseBottom } = this.getLayout();
     
-    // Set harmonic amplitude (keep existing phase)
-    const current = this.spectrum.getHarmonic(harmonic);
-    this.spectrum.setHarmonic(harmonic, amplitude, current.phase);
+    if (y <= centerY) {
+      return 'amplitude';
+    }
+    if (y >= phaseTop && y <= phaseBottom) {
+      return 'phase';
+    }
+    return null;
+  }
+  
+  /**
+   * Nearest harmonic to a screen X, even outside the bars
+   */
+  harmonicAtX(x) {
+    const harmonic = Math.floor(this.viewport.fromScreen(x, this.displayWidth));
+    return Math.max(0, Math.min(this.spectrum.harmonicCount - 1, harmonic));
+  }
+  
+  /**
+   * Apply the stroke in progress with the cursor at a harmonic and screen Y
+   */
+  continueStroke(harmonic, y) {
+    const stroke = this.stroke;
+    
+    switch (stroke.mode) {
+      case 'line':
+        this.restoreRange(stroke.startHarmonic, stroke.lastHarmonic);
+        this.paintLine(stroke.startHarmonic, stroke.startY, harmonic, y);
+        break;
+      case 'scale':
+        this.restoreRange(stroke.startHarmonic, stroke.lastHarmonic);
+        this.scaleRange(stroke.startHarmonic, harmonic, this.getStrokeGain(y));
+        break;
+      default:
+        // Fill in the bars between the last position and this one
+        this.paintLine(stroke.lastHarmonic, stroke.lastY, harmonic, y);
+    }
+    
+    stroke.lastHarmonic = harmonic;
+    stroke.lastY = y;
+    this.draggedHarmonic = harmonic;
     
     this.render();
+    this.emitInput();
+  }
+  
+  /**
+   * Set the dragged lane of every harmonic between two points on a straight line
+   */
+  paintLine(h0, y0, h1, y1) {
+    const step = h1 >= h0 ? 1 : -1;
+    
+    for (let h = h0; h !== h1 + step; h += step) {
+      const t = h1 === h0 ? 1 : (h - h0) / (h1 - h0);
+      this.setLaneAtPosition(h, y0 + (y1 - y0) * t);
+    }
+  }
+  
+  /**
+   * Put a range of harmonics back as they were when the stroke started
+   */
+  restoreRange(h0, h1) {
+    for (let h = Math.min(h0, h1); h <= Math.max(h0, h1); h++) {
+      const { amplitude, phase } = this.stroke.base.getHarmonic(h);
+      this.spectrum.setHarmonic(h, amplitude, phase);
+    }
+  }
+  
+  /**
+   * Scale the stroke's starting amplitudes over a range of harmonics
+   */
+  scaleRange(h0, h1, gain) {
+    for (let h = Math.min(h0, h1); h <= Math.max(h0, h1); h++) {
+      this.setAmplitude(h, this.stroke.base.getHarmonic(h).amplitude * gain);
+    }
+  }
+  
+  /**
+   * Gain of a scale stroke: dragging up a quarter of the bar height doubles
+   */
+  getStrokeGain(y) {
+    const { maxBarHeight } = this.getLayout();
+    return Math.pow(2, (this.stroke.startY - y) / (maxBarHeight / 4));
+  }
+  
+  /**
+   * Set the dragged lane of a harmonic from a screen Y position
+   */
+  setLaneAtPosition(harmonic, y) {
+    if (this.dragLane === 'phase') {
+      const { phaseTop, phaseBottom } = this.getLayout();
+      
+      // Bottom of the lane is 0, top is a full cycle
+      const ratio = Math.max(0, Math.min(1, (phaseBottom - y) / (phaseBottom - phaseTop)));
+      this.setPhase(harmonic, ratio * Math.PI * 2);
+    } else {
+      const { centerY, maxBarHeight } = this.getLayout();
+      this.setAmplitude(harmonic, (centerY - y) / maxBarHeight);
+    }
+  }
+  
+  /**
+   * Set harmonic amplitude (keep existing phase)
+   * @param {number} harmonic - Harmonic index
+   * @param {number} amplitude - Amplitude, clamped to 0..1
+   */
+  setAmplitude(harmonic, amplitude) {
+    const current = this.spectrum.getHarmonic(harmonic);
+    const allowed = Symmetry.constrainHarmonic(
+      harmonic, Math.max(0, Math.min(1, amplitude)), current.phase, this.symmetry
+    );
+    this.spectrum.setHarmonic(harmonic, allowed.amplitude, allowed.phase);
+  }
+  
+  /**
+   * Set harmonic phase (keep existing amplitude)
+   * @param {number} harmonic - Harmonic index
+   * @param {number} phase - Phase in radians
+   */
+  setPhase(harmonic, phase) {
+    const current = this.spectrum.getHarmonic(harmonic);
+    const allowed = Symmetry.constrainHarmonic(harmonic, current.amplitude, phase, this.symmetry);
+    this.spectrum.setHarmonic(harmonic, allowed.amplitude, allowed.phase);
+  }
+  
+  /**
+   * Pin a spectrum to compare against, or remove it
+   * @param {FrequencySpectrum|null} spectrum - Reference spectrum
+   */
+  setReference(spectrum) {
+    this.reference = spectrum;
+    this.render();
+  }
+  
+  /**
+   * Hold further edits to a symmetry mode
+   * @param {Object} symmetry - {mode, repeats}
+   */
+  setSymmetry(symmetry) {
+    this.symmetry = { ...this.symmetry, ...symmetry };
+    this.render();
+  }
+  
+  /**
+   * Show inline input for typing a phase in degrees
+   */
+  showPhaseInput(harmonic) {
+    this.hidePhaseInput();
+    
+    const { phaseTop, phaseBottom } = this.getLayout();
+    const phase = this.spectrum.getHarmonic(harmonic).phase;
+    
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'phase-input';
+    input.min = '0';
+    input.max = '360';
+    input.step = '1';
+    input.value = Math.round((phase * 180) / Math.PI);
+    input.title = `Harmonic ${harmonic + 1} phase (degrees)`;
+    input.style.left = `${Math.max(0, Math.min(this.displayWidth - 64, this.harmonicToScreen(harmonic)))}px`;
+    input.style.top = `${(phaseTop + phaseBottom) / 2 - 12}px`;
+    
+    let done = false;
+    const commit = (apply) => {
+      if (done) return;
+      done = true;
+      
+      const degrees = parseFloat(input.value);
+      if (apply && !isNaN(degrees)) {
+        this.setPhase(harmonic, (degrees * Math.PI) / 180);
+        this.render();
+        this.emitChange();
+      }
+      this.hidePhaseInput();
+    };
+    
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        commit(true);
+      } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        commit(false);
+      }
+    });
+    input.addEventListener('blur', () => commit(true));
+    
+    this.canvas.parentElement.appendChild(input);
+    this.phaseInput = input;
+    input.focus();
+    input.select();
+  }
+  
+  /**
+   * Remove inline phase input
+   */
+  hidePhaseInput() {
+    if (this.phaseInput) {
+      const input = this.phaseInput;
+      this.phaseInput = null;
+      input.remove();
+    }
   }
   
   /**
@@ -239,11 +571,23 @@ export class FrequencyCanvas {
     // Draw grid
     this.drawGrid();
     
-    // Draw harmonic bars
+    // Draw reference outlines, then harmonic bars
+    this.drawReferenceBars();
     this.drawHarmonicBars();
+    this.drawStrokeGuide();
+    
+    // Draw phase lane
+    this.drawPhaseLane();
+    this.drawReferencePhases();
     
     // Draw labels
     this.drawLabels();
+    
+    // Draw resulting time-domain shape
+    this.drawTimePreview();
+    
+    // All harmonics overview while zoomed in
+    this.viewport.drawMinimap(ctx, w, h, this.colors, rect => this.drawOverview(rect));
   }
   
   /**
@@ -252,8 +596,7 @@ export class FrequencyCanvas {
   drawGrid() {
     const ctx = this.ctx;
     const w = this.displayWidth;
-    const h = this.displayHeight;
-    const centerY = h * 0.85;
+    const { centerY, maxBarHeight } = this.getLayout();
     
     ctx.strokeStyle = this.colors.gridLine;
     ctx.lineWidth = 1;
@@ -267,7 +610,6 @@ export class FrequencyCanvas {
     // Horizontal grid lines (25%, 50%, 75%, 100% amplitude)
     for (let i = 1; i <= 4; i++) {
       const ratio = i / 4;
-      const maxBarHeight = centerY - 20;
       const y = centerY - (maxBarHeight * ratio);
       
       ctx.save();
@@ -279,10 +621,11 @@ export class FrequencyCanvas {
       ctx.restore();
     }
     
-    // Vertical lines every 4 harmonics
-    const barWidth = w / this.visibleHarmonics;
-    for (let i = 4; i < this.visibleHarmonics; i += 4) {
-      const x = i * barWidth;
+    // Vertical lines every few harmonics
+    const step = this.getLabelStep();
+    const { first, last } = this.getVisibleRange();
+    for (let i = Math.max(step, Math.ceil(first / step) * step); i <= last; i += step) {
+      const x = this.harmonicToScreen(i);
       
       ctx.save();
       ctx.globalAlpha = 0.3;
@@ -294,30 +637,99 @@ export class FrequencyCanvas {
     }
   }
   
+  /**
+   * Draw the reference spectrum's amplitudes as outlines
+   */
+  drawReferenceBars() {
+    if (!this.reference) return;
+    
+    const ctx = this.ctx;
+    const { centerY, maxBarHeight } = this.getLayout();
+    const barWidth = this.getBarWidth();
+    const padding = barWidth * this.barPadding;
+    const { first, last } = this.getVisibleRange();
+    
+    ctx.save();
+    ctx.strokeStyle = this.colors.textSecondary;
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    
+    for (let i = first; i <= Math.min(last, this.reference.harmonicCount - 1); i++) {
+      const { amplitude } = this.reference.getHarmonic(i);
+      if (amplitude === 0) continue;
+      
+      const barHeight = amplitude * maxBarHeight;
+      ctx.strokeRect(this.harmonicToScreen(i) + padding / 2, centerY - barHeight, barWidth - padding, barHeight);
+    }
+    
+    ctx.restore();
+  }
+  
+  /**
+   * Draw the reference spectrum's phases as ticks in the phase lane
+   */
+  drawReferencePhases() {
+    if (!this.reference) return;
+    
+    const ctx = this.ctx;
+    const { phaseTop, phaseBottom } = this.getLayout();
+    const laneHeight = phaseBottom - phaseTop;
+    const barWidth = this.getBarWidth();
+    const { first, last } = this.getVisibleRange();
+    
+    ctx.save();
+    ctx.strokeStyle = this.colors.textSecondary;
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    
+    for (let i = first; i <= Math.min(last, this.reference.harmonicCount - 1); i++) {
+      const { amplitude, phase } = this.reference.getHarmonic(i);
+      if (amplitude === 0) continue;
+      
+      const x = this.harmonicToScreen(i);
+      const y = phaseBottom - (phase / (Math.PI * 2)) * laneHeight;
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + barWidth, y);
+    }
+    
+    ctx.stroke();
+    ctx.restore();
+  }
+  
   /**
    * Draw harmonic bars
    */
   drawHarmonicBars() {
     const ctx = this.ctx;
     const w = this.displayWidth;
-    const h = this.displayHeight;
-    const centerY = h * 0.85;
-    const maxBarHeight = centerY - 20;
+    const { centerY, maxBarHeight } = this.getLayout();
     
-    const barWidth = w / this.visibleHarmonics;
+    const barWidth = this.getBarWidth();
     const padding = barWidth * this.barPadding;
     const actualBarWidth = barWidth - padding;
+    const { first, last } = this.getVisibleRange();
     
-    for (let i = 0; i < this.visibleHarmonics; i++) {
+    for (let i = first; i <= last; i++) {
       const harmonic = this.spectrum.getHarmonic(i);
       const amplitude = harmonic.amplitude;
       
-      const x = i * barWidth + padding / 2;
+      const x = this.harmonicToScreen(i) + padding / 2;
       const barHeight = amplitude * maxBarHeight;
       const y = centerY - barHeight;
       
-      const isHovered = i === this.hoveredHarmonic;
-      const isDragged = i === this.draggedHarmonic;
+      const isHovered = i === this.hoveredHarmonic && this.hoveredLane === 'amplitude';
+      const isDragged = this.isDraggedHarmonic(i, 'amplitude');
+      
+      // Shade harmonics the symmetry mode holds at zero
+      if (!Symmetry.allowsHarmonic(i, this.symmetry)) {
+        ctx.save();
+        ctx.globalAlpha = 0.12;
+        ctx.fillStyle = this.colors.gridLine;
+        ctx.fillRect(x, centerY - maxBarHeight, actualBarWidth, maxBarHeight);
+        ctx.restore();
+      }
       
       // Bar fill
       if (amplitude > 0) {
@@ -351,38 +763,131 @@ export class FrequencyCanvas {
     }
   }
   
+  /**
+   * Draw phase lane with one marker per harmonic
+   */
+  drawPhaseLane() {
+    const ctx = this.ctx;
+    const w = this.displayWidth;
+    const { phaseTop, phaseBottom } = this.getLayout();
+    const laneHeight = phaseBottom - phaseTop;
+    
+    // Lane outline and quarter-cycle grid lines
+    ctx.strokeStyle = this.colors.gridLine;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(0.5, phaseTop, w - 1, laneHeight);
+    
+    for (let i = 1; i < 4; i++) {
+      const y = phaseBottom - laneHeight * (i / 4);
+      
+      ctx.save();
+      ctx.globalAlpha = 0.3;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(w, y);
+      ctx.stroke();
+      ctx.restore();
+    }
+    
+    const barWidth = this.getBarWidth();
+    const markerWidth = Math.max(2, barWidth * (1 - this.barPadding));
+    const { first, last } = this.getVisibleRange();
+    
+    for (let i = first; i <= last; i++) {
+      const { amplitude, phase } = this.spectrum.getHarmonic(i);
+      const x = this.harmonicToScreen(i) + barWidth / 2;
+      const y = phaseBottom - (phase / (Math.PI * 2)) * laneHeight;
+      
+      const isHovered = i === this.hoveredHarmonic && this.hoveredLane === 'phase';
+      const isDragged = this.isDraggedHarmonic(i, 'phase');
+      
+      ctx.save();
+      
+      // Phase of silent harmonics has no audible effect
+      ctx.globalAlpha = amplitude > 0 ? 1 : 0.3;
+      
+      // Stem from zero phase
+      ctx.strokeStyle = this.colors.waveformFill;
+      ctx.lineWidth = markerWidth;
+      ctx.beginPath();
+      ctx.moveTo(x, phaseBottom);
+      ctx.lineTo(x, y);
+      ctx.stroke();
+      
+      // Marker
+      ctx.fillStyle = isHovered || isDragged ? this.colors.controlPointHover : this.colors.controlPoint;
+      ctx.fillRect(x - markerWidth / 2, y - 2, markerWidth, 4);
+      
+      ctx.restore();
+    }
+  }
+  
+  /**
+   * Draw small preview of the resulting time-domain waveform
+   */
+  drawTimePreview() {
+    const ctx = this.ctx;
+    const previewWidth = 160;
+    const previewHeight = 48;
+    const x0 = this.displayWidth - previewWidth - 48;
+    const y0 = 8;
+    
+    const waveform = WaveformTransform.toTimeDomain(this.spectrum, this.previewSize);
+    
+    ctx.save();
+    ctx.fillStyle = this.colors.canvasBg;
+    ctx.globalAlpha = 0.85;
+    ctx.fillRect(x0, y0, previewWidth, previewHeight);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = this.colors.gridLine;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x0, y0, previewWidth, previewHeight);
+    
+    ctx.strokeStyle = this.colors.waveformLine;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    
+    for (let x = 0; x <= previewWidth; x++) {
+      const value = waveform.interpolate((x / previewWidth) * waveform.sampleRate);
+      const y = y0 + previewHeight / 2 - value * previewHeight * 0.4;
+      
+      if (x === 0) {
+        ctx.moveTo(x0 + x, y);
+      } else {
+        ctx.lineTo(x0 + x, y);
+      }
+    }
+    
+    ctx.stroke();
+    ctx.restore();
+  }
+  
   /**
    * Draw harmonic labels
    */
   drawLabels() {
     const ctx = this.ctx;
     const w = this.displayWidth;
-    const h = this.displayHeight;
-    const centerY = h * 0.85;
+    const { centerY, maxBarHeight, phaseTop, phaseBottom } = this.getLayout();
     
     ctx.fillStyle = this.colors.textSecondary;
     ctx.font = '10px "Plus Jakarta Sans", sans-serif';
     ctx.textAlign = 'center';
     
-    const barWidth = w / this.visibleHarmonics;
+    const barWidth = this.getBarWidth();
+    const step = this.getLabelStep();
+    const { first, last } = this.getVisibleRange();
     
-    // Label every 4th harmonic
-    for (let i = 0; i < this.visibleHarmonics; i += 4) {
-      const x = i * barWidth + barWidth / 2;
+    // Label every few harmonics (1, 5, 9, ... when not zoomed)
+    for (let i = Math.ceil(first / step) * step; i <= last; i += step) {
+      const x = this.harmonicToScreen(i) + barWidth / 2;
       const harmonicNum = i + 1;
       
       ctx.fillText(harmonicNum.toString(), x, centerY + 15);
     }
     
-    // Label last harmonic if not already labeled
-    if (this.visibleHarmonics % 4 !== 0) {
-      const x = (this.visibleHarmonics - 1) * barWidth + barWidth / 2;
-      ctx.fillText(this.visibleHarmonics.toString(), x, centerY + 15);
-    }
-    
     // Amplitude labels on the left
     ctx.textAlign = 'right';
-    const maxBarHeight = centerY - 20;
     
     for (let i = 1; i <= 4; i++) {
       const ratio = i / 4;
@@ -392,21 +897,156 @@ export class FrequencyCanvas {
       ctx.fillText(label, w - 5, y + 4);
     }
     
+    // Phase labels (degrees)
+    const laneHeight = phaseBottom - phaseTop;
+    for (let i = 1; i <= 3; i++) {
+      const y = phaseBottom - laneHeight * (i / 4);
+      ctx.fillText(`${i * 90}°`, w - 5, y + 4);
+    }
+    
+    ctx.textAlign = 'left';
+    ctx.fillText('Phase · drag, double-click to type, Alt-click zero, Shift-click random', 10, phaseTop + 14);
+    
     // Title
     ctx.textAlign = 'left';
     ctx.font = '12px "Space Grotesk", sans-serif';
     ctx.fillStyle = this.colors.textSecondary;
     ctx.fillText('Harmonics (Additive Synthesis)', 10, 20);
+    
+    ctx.font = '10px "Plus Jakarta Sans", sans-serif';
+    ctx.fillText('Drag across bars to paint · Shift-drag straight line · Alt-drag scale', 10, 36);
+  }
+  
+  /**
+   * Draw the straight line or gain of a Shift- or Alt-drag in progress
+   */
+  drawStrokeGuide() {
+    const stroke = this.stroke;
+    if (!stroke || stroke.mode === 'paint') return;
+    
+    const ctx = this.ctx;
+    const barWidth = this.getBarWidth();
+    const x0 = this.harmonicToScreen(stroke.startHarmonic) + barWidth / 2;
+    const x1 = this.harmonicToScreen(stroke.lastHarmonic) + barWidth / 2;
+    
+    ctx.save();
+    ctx.strokeStyle = this.colors.controlPointHover;
+    ctx.fillStyle = this.colors.controlPointHover;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    
+    if (stroke.mode === 'line') {
+      ctx.moveTo(x0, stroke.startY);
+      ctx.lineTo(x1, stroke.lastY);
+      ctx.stroke();
+    } else {
+      // Gain readout above the scaled range
+      ctx.moveTo(x0, stroke.startY);
+      ctx.lineTo(x1, stroke.startY);
+      ctx.stroke();
+      
+      ctx.font = '11px "JetBrains Mono", monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(`×${this.getStrokeGain(stroke.lastY).toFixed(2)}`, (x0 + x1) / 2, Math.max(12, stroke.startY - 8));
+    }
+    
+    ctx.restore();
   }
   
   /**
    * Update spectrum and re-render
    */
   updateFromSpectrum(spectrum) {
+    this.hidePhaseInput();
     this.spectrum = spectrum;
+    
+    // A new harmonic count invalidates the visible range
+    if (spectrum.harmonicCount !== this.viewport.total) {
+      this.viewport.reset(spectrum.harmonicCount, this.defaultVisibleHarmonics);
+      this.emitViewChange();
+    }
+    
     this.render();
   }
   
+  /**
+   * Draw every harmonic's amplitude into the minimap, loudest per pixel column
+   */
+  drawOverview(rect) {
+    const ctx = this.ctx;
+    const count = this.spectrum.harmonicCount;
+    
+    ctx.strokeStyle = this.colors.waveformLine;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    
+    for (let x = 0; x < rect.width; x++) {
+      const from = Math.floor((x / rect.width) * count);
+      const to = Math.max(from + 1, Math.floor(((x + 1) / rect.width) * count));
+      let amplitude = 0;
+      
+      for (let i = from; i < Math.min(to, count); i++) {
+        amplitude = Math.max(amplitude, this.spectrum.getHarmonic(i).amplitude);
+      }
+      
+      if (amplitude > 0) {
+        ctx.moveTo(rect.x + x + 0.5, rect.y + rect.height - 2);
+        ctx.lineTo(rect.x + x + 0.5, rect.y + rect.height - 2 - amplitude * (rect.height - 4));
+      }
+    }
+    
+    ctx.stroke();
+  }
+  
+  /**
+   * Zoom around the middle of the view
+   * @param {number} factor - Magnification, above 1 zooms in
+   */
+  zoomBy(factor) {
+    const { start, end } = this.viewport;
+    this.viewport.zoomAt((start + end) / 2, factor);
+    this.onViewChange();
+  }
+  
+  /**
+   * Show every harmonic
+   */
+  fitView() {
+    this.viewport.fit();
+    this.onViewChange();
+  }
+  
+  /**
+   * Redraw after zooming or panning
+   * @private
+   */
+  onViewChange() {
+    this.hidePhaseInput();
+    this.render();
+    this.emitViewChange();
+  }
+  
+  /**
+   * Emit visible range change event
+   */
+  emitViewChange() {
+    const event = new CustomEvent('viewchange', {
+      detail: { start: this.viewport.start, end: this.viewport.end, total: this.viewport.total }
+    });
+    this.canvas.dispatchEvent(event);
+  }
+  
+  /**
+   * Emit live input event while dragging
+   */
+  emitInput() {
+    const event = new CustomEvent('spectruminput', {
+      detail: { spectrum: this.spectrum }
+    });
+    this.canvas.dispatchEvent(event);
+  }
+  
   /**
    * Emit change event
    */
@@ -0,0 +1,285 @@
+import { AudioPreview } from './AudioPreview.js';
+
+/**
+ * OutputAnalyser
+ * Oscilloscope and spectrum display of what the preview actually outputs
+ *
+ * Both displays are compensated for the preview volume, so a full-scale
+ * table fills the scope. The scope is marked when the real output clips.
+ */
+export class OutputAnalyser {
+  /**
+   * @param {HTMLCanvasElement} scopeCanvas - Oscilloscope canvas
+   * @param {HTMLCanvasElement} spectrumCanvas - Spectrum canvas
+   * @param {AudioPreview} audioPreview - Preview whose output is shown
+   */
+  constructor(scopeCanvas, spectrumCanvas, audioPreview) {
+    this.scopeCanvas = scopeCanvas;
+    this.spectrumCanvas = spectrumCanvas;
+    this.audioPreview = audioPreview;
+
+    // Display settings
+    this.scopeLength = 1024; // Samples shown after the trigger
+    this.minFrequency = 20;
+    this.minDecibels = -120;
+    this.maxDecibels = 0;
+
+    // Animation state
+    this.animationFrame = null;
+    this.timeData = null;
+    this.frequencyData = null;
+
+    // Colors (will be updated by theme changes)
+    this.updateColors();
+
+    this.render();
+
+    window.addEventListener('resize', () => this.render());
+    window.addEventListener('themechange', () => {
+      this.updateColors();
+      this.render();
+    });
+  }
+
+  /**
+   * Update colors from CSS variables
+   */
+  updateColors() {
+    const root = getComputedStyle(document.documentElement);
+    this.colors = {
+      canvasBg: root.getPropertyValue('--canvas-bg').trim(),
+      waveformLine: root.getPropertyValue('--waveform-line').trim(),
+      waveformFill: root.getPropertyValue('--waveform-fill').trim(),
+      gridLine: root.getPropertyValue('--grid-line').trim(),
+      textSecondary: root.getPropertyValue('--text-secondary').trim(),
+      warning: root.getPropertyValue('--accent-secondary').trim()
+    };
+  }
+
+  /**
+   * Start drawing; stops by itself once the preview falls silent
+   */
+  start() {
+    if (this.animationFrame === null) {
+      this.animationFrame = requestAnimationFrame(() => this.tick());
+    }
+  }
+
+  /**
+   * Stop drawing and clear the displays
+   */
+  stop() {
+    if (this.animationFrame !== null) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+    this.render();
+  }
+
+  /**
+   * Draw one animation frame
+   * @private
+   */
+  tick() {
+    const analyser = this.audioPreview.getAnalyser();
+
+    if (!analyser || !this.audioPreview.getIsPlaying()) {
+      this.animationFrame = null;
+      this.render();
+      return;
+    }
+
+    if (!this.timeData || this.timeData.length !== analyser.fftSize) {
+      this.timeData = new Float32Array(analyser.fftSize);
+      this.frequencyData = new Float32Array(analyser.frequencyBinCount);
+    }
+
+    analyser.getFloatTimeDomainData(this.timeData);
+    analyser.getFloatFrequencyData(this.frequencyData);
+
+    this.render(analyser.context.sampleRate);
+    this.animationFrame = requestAnimationFrame(() => this.tick());
+  }
+
+  /**
+   * Draw both displays, empty when no data is given
+   * @param {number} sampleRate - Output sample rate, omitted when idle
+   */
+  render(sampleRate = null) {
+    const active = sampleRate !== null;
+    this.drawScope(active);
+    this.drawSpectrum(active ? sampleRate : null);
+  }
+
+  /**
+   * Draw oscilloscope triggered on a rising zero crossing
+   * @private
+   */
+  drawScope(active) {
+    const { ctx, width, height } = this.prepareCanvas(this.scopeCanvas);
+    const mid = height / 2;
+
+    // Center and full-scale lines
+    ctx.strokeStyle = this.colors.gridLine;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (const y of [mid, mid - height * 0.45, mid + height * 0.45]) {
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+
+    if (!active) return;
+
+    const data = this.timeData;
+    const length = Math.min(this.scopeLength, data.length / 2);
+    const trigger = this.findTrigger(data, data.length - length);
+    const gain = this.volumeCompensation();
+
+    let peak = 0;
+    for (let i = 0; i < data.length; i++) {
+      peak = Math.max(peak, Math.abs(data[i]));
+    }
+
+    ctx.strokeStyle = this.colors.waveformLine;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+
+    for (let x = 0; x <= width; x++) {
+      const value = data[trigger + Math.floor((x / width) * (length - 1))] * gain;
+      const y = mid - value * height * 0.45;
+
+      if (x === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+
+    ctx.stroke();
+
+    // The real output, not the compensated trace, is what clips
+    if (peak >= 1) {
+      this.drawLabel(ctx, 'CLIP', width - 4, 14, 'right', this.colors.warning);
+    }
+  }
+
+  /**
+   * Draw output spectrum on a logarithmic frequency axis
+   * @private
+   */
+  drawSpectrum(sampleRate) {
+    const { ctx, width, height } = this.prepareCanvas(this.spectrumCanvas);
+    const nyquist = (sampleRate || 48000) / 2;
+    const logMin = Math.log10(this.minFrequency);
+    const logRange = Math.log10(nyquist) - logMin;
+    const dbRange = this.maxDecibels - this.minDecibels;
+
+    const frequencyToX = (frequency) => ((Math.log10(frequency) - logMin) / logRange) * width;
+
+    // Decade and 20 dB grid
+    ctx.strokeStyle = this.colors.gridLine;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (const frequency of [100, 1000, 10000]) {
+      const x = frequencyToX(frequency);
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+    }
+    for (let db = this.maxDecibels - 20; db > this.minDecibels; db -= 20) {
+      const y = ((this.maxDecibels - db) / dbRange) * height;
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+
+    for (const [frequency, label] of [[100, '100'], [1000, '1k'], [10000, '10k']]) {
+      this.drawLabel(ctx, label, frequencyToX(frequency) + 3, height - 4, 'left', this.colors.textSecondary);
+    }
+
+    if (sampleRate === null) return;
+
+    const data = this.frequencyData;
+    const binWidth = nyquist / data.length;
+    const offset = 20 * Math.log10(this.volumeCompensation());
+
+    ctx.fillStyle = this.colors.waveformFill;
+    ctx.strokeStyle = this.colors.waveformLine;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+
+    // Loudest bin under each pixel column, so narrow harmonics are not skipped
+    for (let x = 0; x < width; x++) {
+      const lower = Math.pow(10, logMin + (x / width) * logRange) / binWidth;
+      const upper = Math.pow(10, logMin + ((x + 1) / width) * logRange) / binWidth;
+      const first = Math.min(data.length - 1, Math.round(lower));
+      const last = Math.min(data.length - 1, Math.max(first, Math.ceil(upper) - 1));
+      let db = -Infinity;
+
+      for (let bin = first; bin <= last; bin++) {
+        db = Math.max(db, data[bin]);
+      }
+
+      const level = Math.max(this.minDecibels, Math.min(this.maxDecibels, db + offset));
+      ctx.lineTo(x, ((this.maxDecibels - level) / dbRange) * height);
+    }
+
+    ctx.lineTo(width, height);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  /**
+   * First rising zero crossing, so periodic signals stand still
+   * @private
+   */
+  findTrigger(data, limit) {
+    for (let i = 1; i < limit; i++) {
+      if (data[i - 1] < 0 && data[i] >= 0) {
+        return i;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Gain undoing the preview volume
+   * @private
+   */
+  volumeCompensation() {
+    return this.audioPreview.volume > 0 ? 1 / this.audioPreview.volume : 1;
+  }
+
+  /**
+   * Size canvas to its element with DPI scaling and clear it
+   * @private
+   */
+  prepareCanvas(canvas) {
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+
+    if (canvas.width !== Math.round(rect.width * dpr) || canvas.height !== Math.round(rect.height * dpr)) {
+      canvas.width = Math.round(rect.width * dpr);
+      canvas.height = Math.round(rect.height * dpr);
+    }
+
+    const ctx = canvas.getContext('2d', { alpha: false });
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = this.colors.canvasBg;
+    ctx.fillRect(0, 0, rect.width, rect.height);
+
+    return { ctx, width: rect.width, height: rect.height };
+  }
+
+  /**
+   * Draw small text label
+   * @private
+   */
+  drawLabel(ctx, text, x, y, align, color) {
+    ctx.font = '10px "JetBrains Mono", monospace';
+    ctx.textAlign = align;
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+  }
+}
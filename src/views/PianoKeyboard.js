@@ -0,0 +1,311 @@
+/**
+ * Computer keys mapped to semitones above the keyboard's lowest C
+ * Uses physical key codes so the layout is the same on every keyboard language
+ */
+const KEY_MAP = {
+  KeyA: 0, KeyW: 1, KeyS: 2, KeyE: 3, KeyD: 4, KeyF: 5, KeyT: 6, KeyG: 7,
+  KeyY: 8, KeyH: 9, KeyU: 10, KeyJ: 11, KeyK: 12, KeyO: 13, KeyL: 14, KeyP: 15,
+  Semicolon: 16
+};
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+
+export const MIN_OCTAVE = 0;
+export const MAX_OCTAVE = 7;
+
+/**
+ * PianoKeyboard
+ * Clickable two-octave keyboard, also played from the computer keyboard
+ *
+ * Z/X shift the octave and C/V change the velocity used by computer keys.
+ * Clicking a key plays louder towards its bottom edge.
+ */
+export class PianoKeyboard {
+  /**
+   * @param {HTMLElement} container - Keyboard container element
+   * @param {Object} options - Initial {octave, velocity}
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.octave = options.octave ?? 4;
+    this.velocity = options.velocity ?? 0.8;
+    this.octaves = 2;
+
+    // Sounding notes by source, so each release matches its press
+    this.pointerNotes = new Map(); // pointerId -> note
+    this.keyNotes = new Map(); // key code -> note
+    this.activeNotes = new Set();
+
+    this.bindEvents();
+    this.render();
+  }
+
+  /**
+   * MIDI note number of the lowest key
+   */
+  get lowestNote() {
+    return (this.octave + 1) * 12;
+  }
+
+  /**
+   * Bind pointer and computer keyboard events
+   */
+  bindEvents() {
+    this.container.addEventListener('pointerdown', (e) => {
+      const key = e.target.closest('.piano-key');
+      if (!key || e.button !== 0) return;
+
+      e.preventDefault();
+
+      // Touch captures the pointer to the first key, which would stop gliding
+      if (e.target.hasPointerCapture(e.pointerId)) {
+        e.target.releasePointerCapture(e.pointerId);
+      }
+      this.pressPointer(e.pointerId, key, e.clientY);
+    });
+
+    // Glide across keys while the button is held
+    this.container.addEventListener('pointerover', (e) => {
+      if (!this.pointerNotes.has(e.pointerId)) return;
+
+      const key = e.target.closest('.piano-key');
+      if (key && parseInt(key.dataset.note) !== this.pointerNotes.get(e.pointerId)) {
+        this.releasePointer(e.pointerId);
+        this.pressPointer(e.pointerId, key, e.clientY);
+      }
+    });
+
+    window.addEventListener('pointerup', (e) => this.releasePointer(e.pointerId));
+    window.addEventListener('pointercancel', (e) => this.releasePointer(e.pointerId));
+
+    window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    window.addEventListener('keyup', (e) => this.handleKeyUp(e));
+
+    // Keys released while the window is in the background never send keyup
+    window.addEventListener('blur', () => this.releaseAll());
+  }
+
+  /**
+   * Build key elements for the current octave
+   */
+  render() {
+    this.container.innerHTML = '';
+
+    const labels = Object.fromEntries(
+      Object.entries(KEY_MAP).map(([code, offset]) => [offset, this.keyLabel(code)])
+    );
+
+    const keyCount = this.octaves * 12 + 1;
+    const whiteCount = this.octaves * 7 + 1;
+    let whiteIndex = 0;
+
+    for (let offset = 0; offset < keyCount; offset++) {
+      const note = this.lowestNote + offset;
+      const isBlack = BLACK_KEYS.includes(offset % 12);
+
+      const key = document.createElement('div');
+      key.className = `piano-key ${isBlack ? 'black' : 'white'}`;
+      key.dataset.note = note;
+      key.title = this.noteName(note);
+
+      if (isBlack) {
+        // Centred on the boundary between the surrounding white keys
+        key.style.left = `${((whiteIndex - 0.3) / whiteCount) * 100}%`;
+        key.style.width = `${(0.6 / whiteCount) * 100}%`;
+      } else {
+        whiteIndex++;
+      }
+
+      if (this.activeNotes.has(note)) {
+        key.classList.add('active');
+      }
+
+      const label = document.createElement('span');
+      label.className = 'piano-key-label';
+      label.textContent = labels[offset] ?? (offset % 12 === 0 ? this.noteName(note) : '');
+      key.appendChild(label);
+
+      this.container.appendChild(key);
+    }
+  }
+
+  /**
+   * Shift the keyboard range, releasing held keys
+   * @param {number} octave - Octave of the lowest C
+   */
+  setOctave(octave) {
+    const clamped = Math.max(MIN_OCTAVE, Math.min(MAX_OCTAVE, octave));
+    if (clamped === this.octave) return;
+
+    this.releaseAll();
+    this.octave = clamped;
+    this.render();
+    this.emitChange();
+  }
+
+  /**
+   * Set velocity used by computer keys
+   * @param {number} velocity - Velocity, 0 to 1
+   */
+  setVelocity(velocity) {
+    const clamped = Math.max(0.05, Math.min(1, velocity));
+    if (clamped === this.velocity) return;
+
+    this.velocity = clamped;
+    this.emitChange();
+  }
+
+  /**
+   * Highlight or clear a key, for notes played from any source
+   * @param {number} note - MIDI note number
+   * @param {boolean} active - Whether the note is sounding
+   */
+  setNoteActive(note, active) {
+    if (active) {
+      this.activeNotes.add(note);
+    } else {
+      this.activeNotes.delete(note);
+    }
+
+    const key = this.container.querySelector(`.piano-key[data-note="${note}"]`);
+    if (key) {
+      key.classList.toggle('active', active);
+    }
+  }
+
+  /**
+   * Release every note started from this keyboard
+   */
+  releaseAll() {
+    for (const pointerId of [...this.pointerNotes.keys()]) {
+      this.releasePointer(pointerId);
+    }
+    for (const code of [...this.keyNotes.keys()]) {
+      this.emitNoteOff(this.keyNotes.get(code));
+      this.keyNotes.delete(code);
+    }
+  }
+
+  /**
+   * Play note under computer key
+   * @private
+   */
+  handleKeyDown(e) {
+    if (e.repeat || e.ctrlKey || e.metaKey || e.altKey || this.isTextEntry(e.target)) return;
+
+    if (e.code === 'KeyZ') {
+      this.setOctave(this.octave - 1);
+    } else if (e.code === 'KeyX') {
+      this.setOctave(this.octave + 1);
+    } else if (e.code === 'KeyC') {
+      this.setVelocity(Math.round((this.velocity - 0.1) * 20) / 20);
+    } else if (e.code === 'KeyV') {
+      this.setVelocity(Math.round((this.velocity + 0.1) * 20) / 20);
+    } else if (e.code in KEY_MAP && !this.keyNotes.has(e.code)) {
+      const note = this.lowestNote + KEY_MAP[e.code];
+      this.keyNotes.set(e.code, note);
+      this.emitNoteOn(note, this.velocity);
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+  }
+
+  /**
+   * Release note under computer key
+   * @private
+   */
+  handleKeyUp(e) {
+    if (!this.keyNotes.has(e.code)) return;
+
+    this.emitNoteOff(this.keyNotes.get(e.code));
+    this.keyNotes.delete(e.code);
+  }
+
+  /**
+   * Start note for a pointer, louder towards the bottom of the key
+   * @private
+   */
+  pressPointer(pointerId, key, clientY) {
+    const note = parseInt(key.dataset.note);
+    const rect = key.getBoundingClientRect();
+    const position = Math.max(0, Math.min(1, (clientY - rect.top) / rect.height));
+
+    this.pointerNotes.set(pointerId, note);
+    this.emitNoteOn(note, 0.2 + 0.8 * position);
+  }
+
+  /**
+   * Release note held by a pointer
+   * @private
+   */
+  releasePointer(pointerId) {
+    if (!this.pointerNotes.has(pointerId)) return;
+
+    this.emitNoteOff(this.pointerNotes.get(pointerId));
+    this.pointerNotes.delete(pointerId);
+  }
+
+  /**
+   * Whether key presses are meant for a text field
+   * @private
+   */
+  isTextEntry(target) {
+    if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') {
+      return true;
+    }
+    return target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button'].includes(target.type);
+  }
+
+  /**
+   * Label for a key code
+   * @private
+   */
+  keyLabel(code) {
+    return code === 'Semicolon' ? ';' : code.replace('Key', '');
+  }
+
+  /**
+   * Scientific pitch name of a MIDI note
+   * @private
+   */
+  noteName(note) {
+    return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+  }
+
+  /**
+   * Emit note on event
+   */
+  emitNoteOn(note, velocity) {
+    this.setNoteActive(note, true);
+
+    const event = new CustomEvent('noteon', {
+      detail: { note, velocity }
+    });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Emit note off event
+   */
+  emitNoteOff(note) {
+    this.setNoteActive(note, false);
+
+    const event = new CustomEvent('noteoff', {
+      detail: { note }
+    });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Emit octave or velocity change event
+   */
+  emitChange() {
+    const event = new CustomEvent('keyboardchange', {
+      detail: { octave: this.octave, velocity: this.velocity }
+    });
+    this.container.dispatchEvent(event);
+  }
+}
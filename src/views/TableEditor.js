@@ -0,0 +1,656 @@
+import { Symmetry } from '../domain/Symmetry.js';
+
+/**
+ * What the table can list
+ * - samples: one row per sample of the cycle
+ * - harmonics: one row per harmonic, with amplitude, level and phase
+ */
+export const TABLE_MODES = ['samples', 'harmonics'];
+
+/**
+ * Editable columns of each mode
+ */
+const COLUMNS = {
+  samples: [
+    { key: 'value', label: 'Value' }
+  ],
+  harmonics: [
+    { key: 'amplitude', label: 'Amplitude' },
+    { key: 'db', label: 'dB' },
+    { key: 'phase', label: 'Phase °' }
+  ]
+};
+
+const ROW_HEIGHT = 28; // Pixels, matches .table-row
+const OVERSCAN = 8; // Rows built beyond each edge of the visible window
+
+/**
+ * TableEditor
+ * Numeric editing of the current frame, one row per sample or harmonic
+ *
+ * Only the rows in view are built, so 4096-sample tables scroll smoothly.
+ * Enter or the arrow keys commit a cell and move down or up; Escape puts
+ * the value back. Clicking row numbers selects a range (Shift-click
+ * extends it) for fill and interpolate, and columns pasted from a
+ * spreadsheet fill down from the focused cell.
+ *
+ * Edits emit waveformchange or spectrumchange on the container, like the
+ * canvases, and follow the symmetry mode the same way.
+ */
+export class TableEditor {
+  /**
+   * @param {HTMLElement} container - Element to build the table in
+   * @param {Waveform} waveform - Initial waveform
+   * @param {FrequencySpectrum} spectrum - Initial spectrum
+   */
+  constructor(container, waveform, spectrum) {
+    this.container = container;
+    this.waveform = waveform;
+    this.spectrum = spectrum;
+    this.mode = 'samples';
+
+    // Symmetry edits are held to, {mode, repeats}
+    this.symmetry = { mode: 'none', repeats: 2 };
+
+    // Selected rows (inclusive) and the row Shift-click extends from
+    this.range = null;
+    this.rangeAnchor = null;
+    this.activeKey = 'value'; // Column fill and interpolate act on
+
+    // Rows currently built
+    this.window = { first: 0, last: 0 };
+
+    this.build();
+    this.bindEvents();
+    this.render();
+  }
+
+  /**
+   * Create header and scrolling body
+   * @private
+   */
+  build() {
+    this.container.innerHTML = '';
+
+    this.header = document.createElement('div');
+    this.header.className = 'table-row table-header';
+
+    this.scroller = document.createElement('div');
+    this.scroller.className = 'table-scroll';
+
+    this.spacer = document.createElement('div');
+    this.spacer.className = 'table-spacer';
+
+    this.rows = document.createElement('div');
+    this.rows.className = 'table-rows';
+
+    this.spacer.appendChild(this.rows);
+    this.scroller.appendChild(this.spacer);
+    this.container.append(this.header, this.scroller);
+  }
+
+  /**
+   * Bind scrolling, keyboard, selection and paste handlers
+   * @private
+   */
+  bindEvents() {
+    this.scroller.addEventListener('scroll', () => this.renderRows());
+
+    this.rows.addEventListener('keydown', (e) => {
+      if (e.target.tagName === 'INPUT') {
+        this.handleKeyDown(e);
+      }
+    });
+
+    this.rows.addEventListener('change', (e) => {
+      if (e.target.tagName === 'INPUT') {
+        this.commitInput(e.target);
+      }
+    });
+
+    this.rows.addEventListener('focusin', (e) => {
+      if (e.target.tagName === 'INPUT') {
+        this.activeKey = e.target.dataset.key;
+        this.emitRangeChange();
+      }
+    });
+
+    this.rows.addEventListener('click', (e) => {
+      const cell = e.target.closest('.table-index');
+      if (cell) {
+        this.selectRow(parseInt(cell.dataset.row), e.shiftKey);
+      }
+    });
+
+    this.rows.addEventListener('paste', (e) => {
+      if (e.target.tagName !== 'INPUT') return;
+
+      const text = e.clipboardData?.getData('text/plain') ?? '';
+      const cells = this.parseCells(text);
+
+      // A single value is typed into the cell like any other input
+      if (cells.length === 1 && cells[0].length === 1) return;
+
+      e.preventDefault();
+      this.pasteCells(parseInt(e.target.dataset.row), e.target.dataset.key, cells);
+    });
+
+    window.addEventListener('resize', () => this.renderRows());
+  }
+
+  /**
+   * Switch between listing samples and harmonics
+   * @param {string} mode - One of TABLE_MODES
+   */
+  setMode(mode) {
+    if (mode === this.mode) return;
+
+    this.mode = mode;
+    this.activeKey = COLUMNS[mode][0].key;
+    this.range = null;
+    this.rangeAnchor = null;
+    this.scroller.scrollTop = 0;
+    this.render();
+    this.emitRangeChange();
+  }
+
+  /**
+   * Set the symmetry mode edits are held to
+   * @param {Object} options - {mode, repeats}
+   */
+  setSymmetry(options) {
+    this.symmetry = { ...this.symmetry, ...options };
+  }
+
+  /**
+   * Show another waveform and spectrum
+   * Values are refreshed in place so the focused cell keeps focus
+   * @param {Waveform} waveform - Current waveform
+   * @param {FrequencySpectrum} spectrum - Current spectrum
+   */
+  update(waveform, spectrum) {
+    const resized = this.rowCount() !== this.rowCount(waveform, spectrum);
+
+    this.waveform = waveform;
+    this.spectrum = spectrum;
+
+    if (resized) {
+      this.range = null;
+      this.rangeAnchor = null;
+      this.render();
+      this.emitRangeChange();
+    } else {
+      this.refreshValues();
+    }
+  }
+
+  /**
+   * Rebuild header and rows
+   */
+  render() {
+    const columns = COLUMNS[this.mode];
+
+    this.container.style.setProperty('--table-columns', columns.length);
+    this.header.innerHTML = '';
+    this.header.appendChild(this.createCell('span', 'table-index', this.mode === 'samples' ? 'Sample' : 'Harmonic'));
+    columns.forEach(column => {
+      this.header.appendChild(this.createCell('span', 'table-heading', column.label));
+    });
+
+    this.renderRows(true);
+  }
+
+  /**
+   * Build the rows in and near view
+   * @param {boolean} force - Rebuild even if the window has not moved
+   */
+  renderRows(force = false) {
+    const count = this.rowCount();
+    const top = this.scroller.scrollTop;
+    const height = this.scroller.clientHeight;
+    const first = Math.max(0, Math.floor(top / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(count, Math.ceil((top + height) / ROW_HEIGHT) + OVERSCAN);
+
+    this.spacer.style.height = `${count * ROW_HEIGHT}px`;
+
+    if (!force && first === this.window.first && last === this.window.last) return;
+
+    // Rebuilding replaces the inputs, so keep the one being typed in
+    const focused = this.rows.contains(document.activeElement) ? document.activeElement : null;
+    const typing = focused && { row: focused.dataset.row, key: focused.dataset.key, text: focused.value };
+
+    this.window = { first, last };
+    this.rows.style.transform = `translateY(${first * ROW_HEIGHT}px)`;
+
+    const fragment = document.createDocumentFragment();
+    for (let row = first; row < last; row++) {
+      fragment.appendChild(this.createRow(row));
+    }
+    this.rows.replaceChildren(fragment);
+
+    if (typing) {
+      const input = this.findInput(typing.row, typing.key);
+      if (input) {
+        input.value = typing.text;
+        input.focus();
+      }
+    }
+  }
+
+  /**
+   * Create one row
+   * @private
+   */
+  createRow(row) {
+    const element = document.createElement('div');
+    element.className = 'table-row';
+    element.classList.toggle('selected', this.isSelected(row));
+
+    // Samples count from 0, harmonics from 1, as in the zoom display
+    const index = this.createCell('span', 'table-index', this.mode === 'samples' ? row : row + 1);
+    index.dataset.row = row;
+    index.title = 'Select row (Shift-click extends)';
+    element.appendChild(index);
+
+    for (const column of COLUMNS[this.mode]) {
+      const input = this.createCell('input', 'table-input');
+      input.type = 'text';
+      input.inputMode = 'decimal';
+      input.spellcheck = false;
+      input.dataset.row = row;
+      input.dataset.key = column.key;
+      input.defaultValue = this.formatValue(column.key, this.getValue(row, column.key));
+      input.setAttribute('aria-label', `${column.label}, row ${index.textContent}`);
+      element.appendChild(input);
+    }
+
+    if (this.mode === 'harmonics' && !Symmetry.allowsHarmonic(row, this.symmetry)) {
+      element.classList.add('locked');
+    }
+
+    return element;
+  }
+
+  /**
+   * Create a cell element
+   * @private
+   */
+  createCell(tag, className, text) {
+    const cell = document.createElement(tag);
+    cell.className = className;
+    if (text !== undefined) {
+      cell.textContent = text;
+    }
+    return cell;
+  }
+
+  /**
+   * Write current values into the built rows
+   * @param {boolean} all - Also overwrite text being typed in the focused cell
+   * @private
+   */
+  refreshValues(all = false) {
+    this.rows.querySelectorAll('.table-input').forEach(input => {
+      if (!all && input === document.activeElement && input.value !== input.defaultValue) return;
+
+      const value = this.formatValue(input.dataset.key, this.getValue(parseInt(input.dataset.row), input.dataset.key));
+      input.value = value;
+      input.defaultValue = value;
+    });
+
+    this.rows.querySelectorAll('.table-row').forEach((element, i) => {
+      const row = this.window.first + i;
+      element.classList.toggle('selected', this.isSelected(row));
+      element.classList.toggle('locked', this.mode === 'harmonics' && !Symmetry.allowsHarmonic(row, this.symmetry));
+    });
+  }
+
+  /**
+   * Commit, move or revert from the keyboard
+   * @private
+   */
+  handleKeyDown(e) {
+    const input = e.target;
+    const row = parseInt(input.dataset.row);
+
+    if (e.key === 'Enter' || e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      this.commitInput(input);
+
+      const step = e.key === 'ArrowUp' || (e.key === 'Enter' && e.shiftKey) ? -1 : 1;
+      this.focusCell(row + step, input.dataset.key);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      input.value = this.formatValue(input.dataset.key, this.getValue(row, input.dataset.key));
+      input.select();
+    }
+  }
+
+  /**
+   * Apply a cell's text if it changed
+   * Text that is not a number puts the value back
+   * @private
+   */
+  commitInput(input) {
+    const row = parseInt(input.dataset.row);
+    const key = input.dataset.key;
+    const shown = this.formatValue(key, this.getValue(row, key));
+
+    if (input.value.trim() === shown) return;
+
+    const value = this.parseValue(key, input.value);
+    if (value === null) {
+      input.value = shown;
+      return;
+    }
+
+    this.edit([{ row, key, value }], row);
+  }
+
+  /**
+   * Focus a cell, scrolling it into view
+   * @param {number} row - Row index
+   * @param {string} key - Column key
+   */
+  focusCell(row, key) {
+    if (row < 0 || row >= this.rowCount()) return;
+
+    const top = row * ROW_HEIGHT;
+    if (top < this.scroller.scrollTop) {
+      this.scroller.scrollTop = top;
+    } else if (top + ROW_HEIGHT > this.scroller.scrollTop + this.scroller.clientHeight) {
+      this.scroller.scrollTop = top + ROW_HEIGHT - this.scroller.clientHeight;
+    }
+    this.renderRows();
+
+    const input = this.findInput(row, key);
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  }
+
+  /**
+   * Built input for a cell
+   * @private
+   */
+  findInput(row, key) {
+    return this.rows.querySelector(`.table-input[data-row="${row}"][data-key="${key}"]`);
+  }
+
+  /**
+   * Select a row, or extend the selection to it
+   * @param {number} row - Row index
+   * @param {boolean} extend - Extend from the last selected row
+   */
+  selectRow(row, extend = false) {
+    if (extend && this.rangeAnchor !== null) {
+      this.range = { start: Math.min(this.rangeAnchor, row), end: Math.max(this.rangeAnchor, row) };
+    } else {
+      this.rangeAnchor = row;
+      this.range = { start: row, end: row };
+    }
+
+    this.refreshValues();
+    this.emitRangeChange();
+  }
+
+  /**
+   * Whether a row is in the selected range
+   * @private
+   */
+  isSelected(row) {
+    return this.range !== null && row >= this.range.start && row <= this.range.end;
+  }
+
+  /**
+   * Set every selected row of the active column to one value
+   * @param {string} text - Value as typed
+   * @returns {boolean} False if there is no range or the text is not a number
+   */
+  fillSelection(text) {
+    const value = this.parseValue(this.activeKey, text);
+    if (!this.range || value === null) return false;
+
+    const changes = [];
+    for (let row = this.range.start; row <= this.range.end; row++) {
+      changes.push({ row, key: this.activeKey, value });
+    }
+
+    this.edit(changes, this.range.start);
+    return true;
+  }
+
+  /**
+   * Ramp the active column straight from the first selected row to the last
+   * Levels in dB ramp in dB, so harmonic rolloffs come out as curves
+   * @returns {boolean} False if fewer than three rows are selected
+   */
+  interpolateSelection() {
+    if (!this.range || this.range.end - this.range.start < 2) return false;
+
+    const { start, end } = this.range;
+    const key = this.activeKey;
+    const from = this.getValue(start, key);
+    const to = this.getValue(end, key);
+
+    // Silence has no level to ramp from; start at the floor the display shows,
+    // or keep the rows silent when both ends are
+    const floor = -120;
+    const silent = key === 'db' && from === -Infinity && to === -Infinity;
+    const a = key === 'db' ? Math.max(floor, from) : from;
+    const b = key === 'db' ? Math.max(floor, to) : to;
+
+    const changes = [];
+    for (let row = start + 1; row < end; row++) {
+      const t = (row - start) / (end - start);
+      changes.push({ row, key, value: silent ? -Infinity : a + (b - a) * t });
+    }
+
+    this.edit(changes, start);
+    return true;
+  }
+
+  /**
+   * Split spreadsheet text into rows of cells
+   * @private
+   */
+  parseCells(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    return lines.map(line => line.split('\t'));
+  }
+
+  /**
+   * Write pasted cells down and across from a cell
+   * A first line naming this table's columns (e.g. "Amplitude<tab>Phase")
+   * maps the columns below it by name, skipping any it does not name.
+   * Otherwise columns follow the table's own order from the cell, except that
+   * two columns pasted at Amplitude are taken as amplitude and phase. Cells
+   * that are not numbers and rows past the end are skipped
+   * @param {number} row - First row
+   * @param {string} key - Column of the first cell
+   * @param {Array<Array<string>>} cells - Rows of cell text
+   */
+  pasteCells(row, key, cells) {
+    let keys = this.parseHeader(cells[0]);
+    if (keys) {
+      cells = cells.slice(1);
+    } else if (key === 'amplitude' && cells.every(line => line.length === 2)) {
+      keys = ['amplitude', 'phase'];
+    } else {
+      const columns = COLUMNS[this.mode].map(column => column.key);
+      keys = columns.slice(columns.indexOf(key));
+    }
+
+    const count = this.rowCount();
+    const changes = [];
+
+    cells.forEach((line, i) => {
+      if (row + i >= count) return;
+
+      line.slice(0, keys.length).forEach((text, column) => {
+        if (!keys[column]) return;
+
+        const value = this.parseValue(keys[column], text);
+        if (value !== null) {
+          changes.push({ row: row + i, key: keys[column], value });
+        }
+      });
+    });
+
+    if (changes.length > 0) {
+      this.edit(changes, row);
+      this.range = { start: row, end: Math.min(count, row + cells.length) - 1 };
+      this.rangeAnchor = row;
+      this.refreshValues();
+      this.emitRangeChange();
+    }
+  }
+
+  /**
+   * Column keys named by a header line, or null when it names none
+   * @param {Array<string>} line - First pasted row
+   * @returns {Array<string|null>|null} Key for each cell, null where unnamed
+   * @private
+   */
+  parseHeader(line) {
+    const keys = line.map(text => {
+      const name = text.toLowerCase().replace(/[^a-z]/g, '');
+      const column = COLUMNS[this.mode].find(column =>
+        column.key === name || column.label.toLowerCase().replace(/[^a-z]/g, '') === name
+      );
+      return name && column ? column.key : null;
+    });
+
+    return keys.some(key => key !== null) ? keys : null;
+  }
+
+  /**
+   * Apply cell changes as one edit
+   * @param {Array<Object>} changes - {row, key, value}
+   * @param {number} focus - Row the edit centres on, for symmetry
+   * @private
+   */
+  edit(changes, focus) {
+    if (this.mode === 'samples') {
+      const before = Float32Array.from(this.waveform.samples);
+      changes.forEach(({ row, value }) => this.waveform.setSample(row, value));
+      Symmetry.propagate(this.waveform, before, this.symmetry, focus);
+    } else {
+      changes.forEach(({ row, key, value }) => this.setHarmonicValue(row, key, value));
+    }
+
+    this.refreshValues(true);
+    this.emitChange();
+  }
+
+  /**
+   * Number of rows in a mode
+   * @private
+   */
+  rowCount(waveform = this.waveform, spectrum = this.spectrum) {
+    return this.mode === 'samples' ? waveform.sampleRate : spectrum.harmonicCount;
+  }
+
+  /**
+   * Value of a cell
+   * @private
+   */
+  getValue(row, key) {
+    if (key === 'value') {
+      return this.waveform.samples[row];
+    }
+
+    const { amplitude, phase } = this.spectrum.getHarmonic(row);
+    switch (key) {
+      case 'db':
+        return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+      case 'phase':
+        return (phase * 180) / Math.PI;
+      default:
+        return amplitude;
+    }
+  }
+
+  /**
+   * Set one field of a harmonic, within the symmetry mode
+   * @private
+   */
+  setHarmonicValue(row, key, value) {
+    let { amplitude, phase } = this.spectrum.getHarmonic(row);
+
+    switch (key) {
+      case 'db':
+        amplitude = value === -Infinity ? 0 : Math.pow(10, value / 20);
+        break;
+      case 'phase':
+        phase = (value * Math.PI) / 180;
+        break;
+      default:
+        amplitude = value;
+    }
+
+    const allowed = Symmetry.constrainHarmonic(row, Math.max(0, Math.min(1, amplitude)), phase, this.symmetry);
+    this.spectrum.setHarmonic(row, allowed.amplitude, allowed.phase);
+  }
+
+  /**
+   * Cell text for a value
+   * @private
+   */
+  formatValue(key, value) {
+    if (key === 'db') {
+      return value === -Infinity ? '-inf' : value.toFixed(2);
+    }
+    return value.toFixed(key === 'phase' ? 2 : 6);
+  }
+
+  /**
+   * Value from cell text
+   * Decimal commas are accepted, and dB cells take -inf for silence
+   * @returns {number|null} Value, or null if the text is not a number
+   * @private
+   */
+  parseValue(key, text) {
+    const trimmed = text.trim().replace(',', '.');
+
+    if (key === 'db' && /^-inf(inity)?$/i.test(trimmed)) {
+      return -Infinity;
+    }
+
+    const value = trimmed === '' ? NaN : Number(trimmed);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Notify listeners of a finished edit
+   * @private
+   */
+  emitChange() {
+    const [type, detail] = this.mode === 'samples'
+      ? ['waveformchange', { waveform: this.waveform }]
+      : ['spectrumchange', { spectrum: this.spectrum }];
+
+    this.container.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Heading of the column fill and interpolate act on
+   */
+  getColumnLabel() {
+    return COLUMNS[this.mode].find(column => column.key === this.activeKey).label;
+  }
+
+  /**
+   * Notify listeners of a new range or active column
+   * @private
+   */
+  emitRangeChange() {
+    this.container.dispatchEvent(new CustomEvent('rangechange', {
+      detail: { range: this.range, column: this.getColumnLabel() }
+    }));
+  }
+}
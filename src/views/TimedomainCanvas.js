@@ -1,8 +1,40 @@
 import { Waveform } from '../domain/Waveform.js';
+import { ControlCurve, SEGMENT_TYPES } from '../domain/ControlCurve.js';
+import { WaveformBrush } from '../domain/WaveformBrush.js';
+import { Symmetry } from '../domain/Symmetry.js';
+import { Viewport } from './Viewport.js';
+
+/**
+ * Drawing tools of the time-domain editor
+ * - pencil: freehand, also drags control points
+ * - line, curve: straight line, then quadratic curve bent after release
+ * - smooth, amplify, noise: brushes with a radius (Alt attenuates with amplify)
+ * - select: drag to select a range of samples (Shift extends)
+ */
+export const DRAWING_TOOLS = ['pencil', 'line', 'curve', 'smooth', 'amplify', 'noise', 'select'];
 
 /**
  * TimedomainCanvas
  * Visual editing of waveforms in time domain
+ *
+ * Control points can be dragged in both directions. Shift-click adds a
+ * point, Alt-click or Delete removes one, and each point's segment type
+ * shapes the curve up to the next point.
+ *
+ * Every stroke or drag emits waveforminput while it runs and a single
+ * waveformchange when it ends, so it is one undo step.
+ *
+ * Snap divisions split the cycle and the -1 to 1 range into a grid that
+ * the pencil, line and curve tools, control points and selections snap to.
+ *
+ * In a symmetry mode, every edit is copied to the samples the mode ties
+ * to the edited ones as it happens.
+ *
+ * The select tool marks a range of samples that region operations apply
+ * to; Ctrl+A selects the whole cycle and Escape clears the selection.
+ *
+ * The wheel zooms around the cursor; middle-drag, Space-drag or the minimap
+ * pan; two fingers pinch. Zooming in far enough shows individual samples.
  */
 export class TimedomainCanvas {
   /**
@@ -17,12 +49,40 @@ export class TimedomainCanvas {
     // Drawing state
     this.controlPoints = [];
     this.controlPointRadius = 6;
+    this.handleRadius = 4;
+    this.pointCount = 64;
+    this.segmentType = 'linear'; // For evenly spaced layouts from initializeControlPoints
     this.hoveredPoint = null;
     this.draggedPoint = null;
+    this.selectedPoint = null;
+    this.draggedHandle = null; // {point, key} of a Bézier handle
     
     // Interaction state
     this.isDragging = false;
     this.isDrawing = false;
+    this.tool = 'pencil';
+    this.brush = { radius: 20, strength: 0.5 }; // Radius in screen pixels
+    this.stroke = null; // {start, last, base, phase} of the stroke in progress
+    this.hoverPos = null;
+    
+    // Selected samples, {start, end} with end exclusive; empty marks a paste position
+    this.selection = null;
+    this.selectionAnchor = null; // Sample where the selecting drag began
+    
+    // Symmetry edits are held to, {mode, repeats}
+    this.symmetry = { mode: 'none', repeats: 2 };
+    
+    // Snap divisions per cycle (x) and over the value range (y), 0 for free
+    this.snap = { x: 0, y: 0 };
+    
+    // Result of a pending operation, drawn over the waveform
+    this.preview = null;
+    
+    // Pinned waveform drawn as a ghost behind the waveform
+    this.reference = null;
+    
+    // Visible sample range
+    this.viewport = new Viewport(waveform.sampleRate, 8);
     
     // Colors (will be updated by theme changes)
     this.updateColors();
@@ -73,31 +133,188 @@ export class TimedomainCanvas {
   }
   
   /**
-   * Initialize control points from waveform
+   * Initialize evenly spaced control points from waveform
    */
   initializeControlPoints() {
-    this.controlPoints = [];
-    const pointCount = Math.min(64, this.waveform.sampleRate); // Limit for performance
-    const step = this.waveform.sampleRate / pointCount;
+    this.controlPoints = ControlCurve.fromWaveform(this.waveform, this.pointCount, this.segmentType);
+    this.selectPoint(null);
+  }
+  
+  /**
+   * Move control points onto the waveform after it changed elsewhere
+   * Positions, segment types and handles are kept, so points the user added,
+   * moved or retyped survive strokes, region operations and frame switches;
+   * a new table size starts over with evenly spaced points
+   */
+  refitControlPoints() {
+    const size = this.waveform.sampleRate;
+    
+    if (this.controlPoints.some(point => point.sampleIndex >= size)) {
+      this.initializeControlPoints();
+      return;
+    }
+    
+    for (const point of this.controlPoints) {
+      point.value = this.waveform.getSample(point.sampleIndex);
+    }
+  }
+  
+  /**
+   * Replace control points with a new number of evenly spaced ones
+   * @param {number} count - Number of points
+   */
+  setPointCount(count) {
+    this.pointCount = count;
+    this.initializeControlPoints();
+    this.render();
+  }
+  
+  /**
+   * Set segment type of the selected point, or of every point
+   * @param {string} type - One of SEGMENT_TYPES
+   * @param {boolean} all - Apply to every point instead of the selected one
+   */
+  setSegmentType(type, all = false) {
+    if (!SEGMENT_TYPES.includes(type)) {
+      throw new Error(`Unknown segment type: ${type}`);
+    }
+    
+    // Only a change to every point sets the type for new layouts
+    if (all) {
+      this.segmentType = type;
+    }
+    
+    const points = all ? this.controlPoints : [this.selectedPoint].filter(Boolean);
+    if (points.length === 0) return;
+    
+    for (const point of points) {
+      point.segment = type;
+      if (type === 'bezier') {
+        ControlCurve.resetHandles(this.controlPoints, this.controlPoints.indexOf(point), this.waveform.sampleRate);
+      }
+    }
+    
+    this.applyPoints();
+  }
+  
+  /**
+   * Add a control point at a screen position, splitting the segment there
+   */
+  addPoint(x, y) {
+    const size = this.waveform.sampleRate;
+    const sampleIndex = Math.max(0, Math.min(size - 1, Math.round(this.snapSample(this.screenToSample(x)))));
+    
+    if (this.controlPoints.some(point => point.sampleIndex === sampleIndex)) return;
+    
+    const segment = this.controlPoints[ControlCurve.segmentAt(this.controlPoints, size, sampleIndex)];
+    const point = {
+      sampleIndex,
+      value: Math.max(-1, Math.min(1, this.snapValue(this.screenToValue(y)))),
+      segment: segment.segment
+    };
+    
+    this.controlPoints.push(point);
+    this.controlPoints.sort((a, b) => a.sampleIndex - b.sampleIndex);
+    
+    // Fit handles of the split segment to its two new halves
+    const index = this.controlPoints.indexOf(point);
+    const prevIndex = (index - 1 + this.controlPoints.length) % this.controlPoints.length;
+    for (const i of [prevIndex, index]) {
+      if (this.controlPoints[i].segment === 'bezier') {
+        ControlCurve.resetHandles(this.controlPoints, i, size);
+      }
+    }
+    
+    this.selectPoint(point);
+    this.applyPoints();
+  }
+  
+  /**
+   * Remove a control point, keeping at least two
+   */
+  deletePoint(point) {
+    if (this.controlPoints.length <= 2) return;
     
-    for (let i = 0; i < pointCount; i++) {
-      const sampleIndex = Math.floor(i * step);
-      this.controlPoints.push({
-        sampleIndex,
-        value: this.waveform.getSample(sampleIndex)
-      });
+    this.controlPoints.splice(this.controlPoints.indexOf(point), 1);
+    if (point === this.selectedPoint) {
+      this.selectPoint(null);
     }
+    if (point === this.hoveredPoint) {
+      this.hoveredPoint = null;
+    }
+    
+    this.applyPoints(point.sampleIndex);
+  }
+  
+  /**
+   * Move a control point, keeping it between its neighbours
+   */
+  movePoint(point, sampleIndex, value) {
+    const index = this.controlPoints.indexOf(point);
+    const prev = this.controlPoints[index - 1];
+    const next = this.controlPoints[index + 1];
+    const min = prev ? prev.sampleIndex + 1 : 0;
+    const max = next ? next.sampleIndex - 1 : this.waveform.sampleRate - 1;
+    
+    point.sampleIndex = Math.max(min, Math.min(max, Math.round(this.snapSample(sampleIndex))));
+    point.value = Math.max(-1, Math.min(1, this.snapValue(value)));
+  }
+  
+  /**
+   * Move a Bézier handle; handles cannot point back past their own point
+   */
+  moveHandle({ point, key }, sampleIndex, value) {
+    const dx = sampleIndex - point.sampleIndex;
+    point[key] = {
+      dx: key === 'handleOut' ? Math.max(0, dx) : Math.min(0, dx),
+      dy: value - point.value
+    };
+  }
+  
+  /**
+   * Select a control point (or none) and announce its segment type
+   */
+  selectPoint(point) {
+    if (point === this.selectedPoint) return;
+    
+    this.selectedPoint = point;
+    
+    const event = new CustomEvent('pointselect', {
+      detail: { segment: point ? point.segment : null }
+    });
+    this.canvas.dispatchEvent(event);
+  }
+  
+  /**
+   * Render points into the waveform and announce the change
+   * @private
+   */
+  applyPoints(focus = this.selectedPoint ? this.selectedPoint.sampleIndex : 0) {
+    const before = Float32Array.from(this.waveform.samples);
+    this.updateWaveformFromPoints();
+    this.applySymmetry(before, focus);
+    this.closeCycle();
+    this.render();
+    this.emitChange();
   }
   
   /**
    * Bind mouse and touch events
    */
   bindEvents() {
+    // Zoom and pan, ahead of the editing handlers
+    this.viewport.bind(this.canvas, {
+      size: () => ({ width: this.displayWidth, height: this.displayHeight }),
+      change: () => this.onViewChange(),
+      pinchStart: () => this.abortInteraction()
+    });
+    
     // Mouse events
     this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
     this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-    this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+    window.addEventListener('mouseup', this.handleMouseUp.bind(this));
     this.canvas.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
+    this.canvas.addEventListener('keydown', this.handleKeyDown.bind(this));
     
     // Touch events
     this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
@@ -113,16 +330,43 @@ export class TimedomainCanvas {
    */
   handleMouseDown(e) {
     const pos = this.getMousePos(e);
-    const point = this.findPointAtPosition(pos.x, pos.y);
     
-    if (point) {
+    // Second click of the curve tool fixes the bend
+    if (this.stroke && this.stroke.phase === 'bend') {
+      this.finishStroke();
+      return;
+    }
+    
+    if (this.tool === 'select') {
+      this.startSelection(pos, e.shiftKey);
+      return;
+    }
+    
+    if (this.tool !== 'pencil') {
+      this.startStroke(pos, e);
+      return;
+    }
+    
+    const handle = this.findHandleAtPosition(pos.x, pos.y);
+    const point = handle ? null : this.findPointAtPosition(pos.x, pos.y);
+    
+    if (handle) {
+      this.isDragging = true;
+      this.draggedHandle = handle;
+      this.canvas.classList.add('dragging');
+    } else if (point && e.altKey) {
+      this.deletePoint(point);
+    } else if (point) {
       this.isDragging = true;
       this.draggedPoint = point;
+      this.selectPoint(point);
       this.canvas.classList.add('dragging');
+      this.render();
+    } else if (e.shiftKey) {
+      this.addPoint(pos.x, pos.y);
     } else {
       // Start free drawing
-      this.isDrawing = true;
-      this.updateWaveformAtPosition(pos.x, pos.y);
+      this.startStroke(pos, e);
     }
   }
   
@@ -132,22 +376,36 @@ export class TimedomainCanvas {
   handleMouseMove(e) {
     const pos = this.getMousePos(e);
     
-    if (this.isDragging && this.draggedPoint) {
-      // Update dragged point
-      this.draggedPoint.value = this.screenToValue(pos.y);
+    if (this.isDragging && (this.draggedPoint || this.draggedHandle)) {
+      // Update dragged point or handle
+      const sampleIndex = this.screenToSample(pos.x);
+      const value = this.screenToValue(pos.y);
+      const before = Float32Array.from(this.waveform.samples);
+      if (this.draggedHandle) {
+        this.moveHandle(this.draggedHandle, sampleIndex, value);
+      } else {
+        this.movePoint(this.draggedPoint, sampleIndex, value);
+      }
       this.updateWaveformFromPoints();
+      this.applySymmetry(before, sampleIndex);
       this.render();
-      this.emitChange();
-    } else if (this.isDrawing) {
+      this.emitInput();
+    } else if (this.selectionAnchor !== null) {
+      this.extendSelection(pos);
+    } else if (this.isDrawing || (this.stroke && this.stroke.phase === 'bend')) {
       // Continue drawing
-      this.updateWaveformAtPosition(pos.x, pos.y);
-    } else {
+      this.continueStroke(pos, e);
+    } else if (this.tool === 'pencil') {
       // Update hover state
       const point = this.findPointAtPosition(pos.x, pos.y);
       if (point !== this.hoveredPoint) {
         this.hoveredPoint = point;
         this.render();
       }
+    } else {
+      // Follow with the brush outline
+      this.hoverPos = pos;
+      this.render();
     }
   }
   
@@ -155,21 +413,30 @@ export class TimedomainCanvas {
    * Handle mouse up
    */
   handleMouseUp(e) {
+    if (this.selectionAnchor !== null) {
+      this.selectionAnchor = null;
+      this.emitSelectionChange();
+    }
+    
     if (this.isDragging) {
       this.isDragging = false;
       this.draggedPoint = null;
+      this.draggedHandle = null;
       this.canvas.classList.remove('dragging');
-      this.waveform.ensureContinuity();
+      this.closeCycle();
       this.render();
       this.emitChange();
     }
     
     if (this.isDrawing) {
       this.isDrawing = false;
-      this.waveform.ensureContinuity();
-      this.initializeControlPoints();
-      this.render();
-      this.emitChange();
+      
+      // A curve is bent by moving the mouse before it is fixed
+      if (this.stroke.tool === 'curve' && this.stroke.end) {
+        this.stroke.phase = 'bend';
+        return;
+      }
+      this.finishStroke();
     }
   }
   
@@ -178,9 +445,27 @@ export class TimedomainCanvas {
    */
   handleMouseLeave(e) {
     this.hoveredPoint = null;
+    this.hoverPos = null;
     this.render();
   }
   
+  /**
+   * Delete the selected point, cancel a curve being bent, or select all or nothing
+   */
+  handleKeyDown(e) {
+    if (e.key === 'Escape' && this.stroke) {
+      this.cancelStroke();
+    } else if (e.key === 'Escape' && this.selection) {
+      this.setSelection(null);
+    } else if ((e.ctrlKey || e.metaKey) && e.key === 'a') {
+      e.preventDefault();
+      this.setSelection({ start: 0, end: this.waveform.sampleRate });
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedPoint) {
+      e.preventDefault();
+      this.deletePoint(this.selectedPoint);
+    }
+  }
+  
   /**
    * Handle touch start
    */
@@ -250,77 +535,388 @@ export class TimedomainCanvas {
   }
   
   /**
-   * Update waveform at screen position (for drawing)
+   * Find a visible Bézier handle at position
    */
-  updateWaveformAtPosition(x, y) {
-    const sampleIndex = Math.floor(this.screenToSample(x));
-    const value = this.screenToValue(y);
+  findHandleAtPosition(x, y) {
+    const hitRadius = this.handleRadius + 4;
     
-    if (sampleIndex >= 0 && sampleIndex < this.waveform.sampleRate) {
-      this.waveform.setSample(sampleIndex, value);
-      
-      // Also set neighboring samples for smoother drawing
-      const neighbors = 2;
-      for (let i = -neighbors; i <= neighbors; i++) {
-        const neighborIndex = sampleIndex + i;
-        if (neighborIndex >= 0 && neighborIndex < this.waveform.sampleRate) {
-          const weight = 1 - Math.abs(i) / (neighbors + 1);
-          const currentValue = this.waveform.getSample(neighborIndex);
-          this.waveform.setSample(neighborIndex, currentValue * (1 - weight) + value * weight);
-        }
+    for (const handle of this.visibleHandles()) {
+      const dx = x - handle.x;
+      const dy = y - handle.y;
+      if (Math.sqrt(dx * dx + dy * dy) <= hitRadius) {
+        return { point: handle.point, key: handle.key };
       }
-      
-      this.render();
     }
+    
+    return null;
   }
   
   /**
-   * Update waveform from control points using interpolation
+   * Handles of the selected point's Bézier segments, in screen coordinates
+   * @private
    */
-  updateWaveformFromPoints() {
-    for (let i = 0; i < this.waveform.sampleRate; i++) {
-      const value = this.interpolatePointsAt(i);
-      this.waveform.setSample(i, value);
+  visibleHandles() {
+    const point = this.selectedPoint;
+    if (!point) return [];
+    
+    const points = this.controlPoints;
+    const size = this.waveform.sampleRate;
+    const index = points.indexOf(point);
+    const prevIndex = (index - 1 + points.length) % points.length;
+    const handles = [];
+    
+    if (point.segment === 'bezier') {
+      const { handleOut } = ControlCurve.segmentHandles(points, index, size);
+      handles.push({ point, key: 'handleOut', offset: handleOut });
+    }
+    if (points[prevIndex].segment === 'bezier') {
+      const { handleIn } = ControlCurve.segmentHandles(points, prevIndex, size);
+      handles.push({ point, key: 'handleIn', offset: handleIn });
+    }
+    
+    return handles.map(handle => ({
+      ...handle,
+      x: this.sampleToScreen(point.sampleIndex + handle.offset.dx),
+      y: this.valueToScreen(point.value + handle.offset.dy)
+    }));
+  }
+  
+  /**
+   * Select drawing tool, abandoning a curve being bent
+   * @param {string} tool - One of DRAWING_TOOLS
+   */
+  setTool(tool) {
+    if (!DRAWING_TOOLS.includes(tool)) {
+      throw new Error(`Unknown drawing tool: ${tool}`);
+    }
+    
+    if (this.stroke) {
+      this.cancelStroke();
     }
+    this.tool = tool;
+    this.hoveredPoint = null;
+    this.render();
   }
   
   /**
-   * Interpolate control points at sample index
+   * Set brush radius and strength
+   * @param {Object} brush - {radius} in pixels, {strength} 0 to 1
    */
-  interpolatePointsAt(sampleIndex) {
-    // Find surrounding control points
-    let before = this.controlPoints[0];
-    let after = this.controlPoints[this.controlPoints.length - 1];
+  setBrush(brush) {
+    this.brush = { ...this.brush, ...brush };
+    this.render();
+  }
+  
+  /**
+   * Begin a stroke with the current tool
+   * @private
+   */
+  startStroke(pos, e) {
+    pos = this.snapStrokePosition(pos);
+    this.isDrawing = true;
+    this.stroke = {
+      tool: this.tool,
+      start: pos,
+      last: pos,
+      end: null,
+      base: Float32Array.from(this.waveform.samples),
+      phase: 'drag'
+    };
+    this.continueStroke(pos, e);
+  }
+  
+  /**
+   * Apply the stroke's tool at a new position
+   * @private
+   */
+  continueStroke(pos, e) {
+    pos = this.snapStrokePosition(pos);
+    const stroke = this.stroke;
+    const waveform = this.waveform;
+    const x = this.screenToSample(pos.x);
+    const y = this.screenToValue(pos.y);
+    const startX = this.screenToSample(stroke.start.x);
+    const startY = this.screenToValue(stroke.start.y);
+    const radius = (this.brush.radius / this.displayWidth) * this.viewport.span;
     
-    for (let i = 0; i < this.controlPoints.length - 1; i++) {
-      if (this.controlPoints[i].sampleIndex <= sampleIndex && 
-          this.controlPoints[i + 1].sampleIndex >= sampleIndex) {
-        before = this.controlPoints[i];
-        after = this.controlPoints[i + 1];
+    // Lines and curves are redrawn over the stroke's starting samples each time
+    const before = ['line', 'curve'].includes(stroke.tool) ? stroke.base : Float32Array.from(waveform.samples);
+    
+    switch (stroke.tool) {
+      case 'pencil':
+        // Join to the previous position so fast strokes leave no gaps
+        WaveformBrush.line(waveform, this.screenToSample(stroke.last.x), this.screenToValue(stroke.last.y), x, y);
+        break;
+      case 'line':
+        waveform.samples.set(stroke.base);
+        WaveformBrush.line(waveform, startX, startY, x, y);
+        break;
+      case 'curve': {
+        waveform.samples.set(stroke.base);
+        if (stroke.phase === 'drag') {
+          stroke.end = pos.x !== stroke.start.x ? pos : null;
+          WaveformBrush.line(waveform, startX, startY, x, y);
+        } else {
+          // Control point placed so the curve's midpoint passes through the cursor
+          const endX = this.screenToSample(stroke.end.x);
+          const endY = this.screenToValue(stroke.end.y);
+          WaveformBrush.curve(waveform, startX, startY,
+            2 * x - (startX + endX) / 2, 2 * y - (startY + endY) / 2, endX, endY);
+        }
         break;
       }
+      case 'smooth':
+        WaveformBrush.smooth(waveform, x, radius, this.brush.strength);
+        break;
+      case 'amplify':
+        WaveformBrush.amplify(waveform, x, radius, (e.altKey ? -0.1 : 0.1) * this.brush.strength);
+        break;
+      case 'noise':
+        WaveformBrush.noise(waveform, x, radius, 0.1 * this.brush.strength);
+        break;
+    }
+    
+    this.applySymmetry(before, x);
+    
+    stroke.last = pos;
+    this.hoverPos = pos;
+    this.render();
+    this.emitInput();
+  }
+  
+  /**
+   * End the stroke as one change
+   * @private
+   */
+  finishStroke() {
+    this.stroke = null;
+    this.closeCycle();
+    this.refitControlPoints();
+    this.render();
+    this.emitChange();
+  }
+  
+  /**
+   * Undo the stroke in progress
+   * @private
+   */
+  cancelStroke() {
+    this.waveform.samples.set(this.stroke.base);
+    this.stroke = null;
+    this.isDrawing = false;
+    this.render();
+    this.emitInput();
+  }
+  
+  /**
+   * Begin selecting at a position, or extend the selection to it with Shift
+   * @private
+   */
+  startSelection(pos, extend) {
+    const sample = this.screenToBoundary(pos.x);
+    
+    if (extend && this.selection) {
+      // Keep the end further from the click
+      const { start, end } = this.selection;
+      this.selectionAnchor = Math.abs(sample - start) > Math.abs(sample - end) ? start : end;
+    } else {
+      this.selectionAnchor = sample;
     }
     
-    // Linear interpolation
-    const range = after.sampleIndex - before.sampleIndex;
-    if (range === 0) return before.value;
+    this.extendSelection(pos);
+  }
+  
+  /**
+   * Stretch the selection from its anchor to a position
+   * @private
+   */
+  extendSelection(pos) {
+    const sample = this.screenToBoundary(pos.x);
+    this.selection = {
+      start: Math.min(this.selectionAnchor, sample),
+      end: Math.max(this.selectionAnchor, sample)
+    };
+    this.render();
+  }
+  
+  /**
+   * Select a range of samples, or nothing
+   * @param {{start: number, end: number}|null} selection - Range, end exclusive
+   */
+  setSelection(selection) {
+    const size = this.waveform.sampleRate;
+    this.selection = selection && {
+      start: Math.max(0, Math.min(size, selection.start)),
+      end: Math.max(0, Math.min(size, selection.end))
+    };
+    this.render();
+    this.emitSelectionChange();
+  }
+  
+  /**
+   * Samples region operations apply to: the selection, or the whole cycle
+   * when nothing is selected
+   * @returns {{start: number, end: number}} Range, end exclusive
+   */
+  getRegion() {
+    if (this.selection && this.selection.end > this.selection.start) {
+      return { ...this.selection };
+    }
+    return { start: 0, end: this.waveform.sampleRate };
+  }
+  
+  /**
+   * Where pasted data goes: the selection, or the empty selection's position
+   * @returns {{start: number, end: number}} Range, end exclusive
+   */
+  getPasteTarget() {
+    return this.selection ? { ...this.selection } : { start: 0, end: 0 };
+  }
+  
+  /**
+   * Edit samples in place as one change
+   * @param {Function} operation - Called with (waveform, start, end); may
+   *   return a new {start, end} to select
+   * @param {{start: number, end: number}} range - Samples to edit
+   */
+  applyToRegion(operation, range = this.getRegion()) {
+    const before = Float32Array.from(this.waveform.samples);
+    const selection = operation(this.waveform, range.start, range.end);
+    this.applySymmetry(before, (range.start + range.end) / 2);
     
-    const t = (sampleIndex - before.sampleIndex) / range;
-    return before.value * (1 - t) + after.value * t;
+    this.closeCycle();
+    this.refitControlPoints();
+    if (selection) {
+      this.setSelection(selection);
+    } else {
+      this.render();
+    }
+    this.emitChange();
+  }
+  
+  /**
+   * Hold further edits to a symmetry mode
+   * @param {Object} symmetry - {mode, repeats}
+   */
+  setSymmetry(symmetry) {
+    this.symmetry = { ...this.symmetry, ...symmetry };
+    this.render();
+  }
+  
+  /**
+   * Copy the samples an edit changed to their symmetric images
+   * @private
+   * @param {Float32Array} before - Samples before the edit
+   * @param {number} focus - Edit position, which wins where images disagree
+   */
+  applySymmetry(before, focus) {
+    Symmetry.propagate(this.waveform, before, this.symmetry, focus);
+  }
+  
+  /**
+   * Make the cycle loop after an edit
+   * Symmetry modes tie the last sample to their own image of it, which
+   * matching it to the first would break, so only free cycles are closed
+   * @private
+   */
+  closeCycle() {
+    if (this.symmetry.mode === 'none') {
+      this.waveform.ensureContinuity();
+    }
+  }
+  
+  /**
+   * Nearest boundary between samples to a screen X
+   * @private
+   */
+  screenToBoundary(x) {
+    return Math.max(0, Math.min(this.waveform.sampleRate, Math.round(this.snapSample(this.screenToSample(x)))));
+  }
+  
+  /**
+   * Set snap divisions
+   * @param {Object} snap - {x} divisions per cycle, {y} divisions from -1 to 1; 0 turns snapping off
+   */
+  setSnap(snap) {
+    this.snap = { ...this.snap, ...snap };
+    this.render();
+  }
+  
+  /**
+   * Nearest vertical grid line to a sample position
+   * @param {number} sample - Position in samples
+   * @returns {number} Snapped position
+   */
+  snapSample(sample) {
+    if (!this.snap.x) return sample;
+    
+    const step = this.waveform.sampleRate / this.snap.x;
+    return Math.round(sample / step) * step;
+  }
+  
+  /**
+   * Nearest horizontal grid line to a value
+   * @param {number} value - Sample value
+   * @returns {number} Snapped value
+   */
+  snapValue(value) {
+    if (!this.snap.y) return value;
+    
+    const step = 2 / this.snap.y;
+    return Math.round((value + 1) / step) * step - 1;
+  }
+  
+  /**
+   * Snap a screen position for the tools that draw to the grid
+   * @private
+   */
+  snapStrokePosition(pos) {
+    if (!['pencil', 'line', 'curve'].includes(this.tool)) return pos;
+    
+    return {
+      x: this.sampleToScreen(this.snapSample(this.screenToSample(pos.x))),
+      y: this.valueToScreen(this.snapValue(this.screenToValue(pos.y)))
+    };
+  }
+  
+  /**
+   * Pin a waveform to compare against, or remove it
+   * Tables of another size are stretched to the cycle
+   * @param {Waveform|null} waveform - Reference waveform
+   */
+  setReference(waveform) {
+    this.reference = waveform;
+    this.render();
+  }
+  
+  /**
+   * Show the result of an operation over the waveform, or stop showing it
+   * @param {Waveform|null} waveform - Preview waveform
+   */
+  setPreview(waveform) {
+    this.preview = waveform;
+    this.render();
+  }
+  
+  /**
+   * Update waveform from control points using each segment's interpolation
+   */
+  updateWaveformFromPoints() {
+    this.waveform.samples.set(ControlCurve.render(this.controlPoints, this.waveform.sampleRate));
   }
   
   /**
    * Convert sample index to screen X coordinate
    */
   sampleToScreen(sampleIndex) {
-    return (sampleIndex / this.waveform.sampleRate) * this.displayWidth;
+    return this.viewport.toScreen(sampleIndex, this.displayWidth);
   }
   
   /**
    * Convert screen X coordinate to sample index
    */
   screenToSample(x) {
-    return (x / this.displayWidth) * this.waveform.sampleRate;
+    return this.viewport.fromScreen(x, this.displayWidth);
   }
   
   /**
@@ -352,11 +948,24 @@ export class TimedomainCanvas {
     // Draw grid
     this.drawGrid();
     
-    // Draw waveform
+    // Draw selection and symmetry axes behind the waveform
+    this.drawSelection();
+    this.drawSymmetryAxes();
+    
+    // Draw reference, then waveform
+    this.drawReference();
     this.drawWaveform();
+    this.drawPreview();
+    
+    // Draw control points, or the brush outline
+    if (this.tool === 'pencil') {
+      this.drawControlPoints();
+    } else {
+      this.drawBrush();
+    }
     
-    // Draw control points
-    this.drawControlPoints();
+    // Whole cycle overview while zoomed in
+    this.viewport.drawMinimap(ctx, w, h, this.colors, rect => this.drawOverview(rect));
   }
   
   /**
@@ -376,18 +985,25 @@ export class TimedomainCanvas {
     ctx.lineTo(w, h / 2);
     ctx.stroke();
     
-    // Vertical lines (every 1/8th)
-    for (let i = 1; i < 8; i++) {
-      const x = (i / 8) * w;
-      ctx.beginPath();
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, h);
-      ctx.stroke();
+    // Vertical lines (every 1/8th of the cycle, or every snap division)
+    const columns = this.snap.x || 8;
+    const columnWidth = (w / this.viewport.span) * (this.waveform.sampleRate / columns);
+    if (columnWidth >= 4) {
+      for (let i = 1; i < columns; i++) {
+        const x = this.sampleToScreen((i / columns) * this.waveform.sampleRate);
+        if (x < 0 || x > w) continue;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, h);
+        ctx.stroke();
+      }
     }
     
-    // Horizontal lines (±0.5, ±1.0)
-    [0.25, 0.75].forEach(ratio => {
-      const y = h * ratio;
+    // Horizontal lines (±0.625, or every snap division)
+    const rows = this.snap.y
+      ? Array.from({ length: this.snap.y + 1 }, (_, i) => this.valueToScreen((i / this.snap.y) * 2 - 1))
+      : [h * 0.25, h * 0.75];
+    rows.forEach(y => {
       ctx.beginPath();
       ctx.moveTo(0, y);
       ctx.lineTo(w, y);
@@ -395,6 +1011,68 @@ export class TimedomainCanvas {
     });
   }
   
+  /**
+   * Shade the selected samples, or mark the paste position
+   */
+  drawSelection() {
+    if (!this.selection) return;
+    
+    const ctx = this.ctx;
+    const h = this.displayHeight;
+    const x0 = this.sampleToScreen(this.selection.start);
+    const x1 = this.sampleToScreen(this.selection.end);
+    
+    if (x1 > x0) {
+      ctx.fillStyle = this.colors.controlPointHover;
+      ctx.globalAlpha = 0.15;
+      ctx.fillRect(x0, 0, x1 - x0, h);
+      ctx.globalAlpha = 1;
+    }
+    
+    ctx.strokeStyle = this.colors.controlPointHover;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x0, 0);
+    ctx.lineTo(x0, h);
+    if (x1 > x0) {
+      ctx.moveTo(x1, 0);
+      ctx.lineTo(x1, h);
+    }
+    ctx.stroke();
+  }
+  
+  /**
+   * Draw dashed lines where the symmetry mode reflects or repeats the cycle
+   */
+  drawSymmetryAxes() {
+    const size = this.waveform.sampleRate;
+    const { mode, repeats } = this.symmetry;
+    let axes = [];
+    
+    if (mode === 'mirror' || mode === 'odd') {
+      axes = [size / 2];
+    } else if (mode === 'quarter') {
+      axes = [size / 4, size / 2, (size * 3) / 4];
+    } else if (mode === 'repeat') {
+      axes = Array.from({ length: repeats - 1 }, (_, i) => ((i + 1) * size) / repeats);
+    }
+    
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.strokeStyle = this.colors.controlPoint;
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    for (const axis of axes) {
+      const x = this.sampleToScreen(axis);
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, this.displayHeight);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+  
   /**
    * Draw waveform line
    */
@@ -436,6 +1114,107 @@ export class TimedomainCanvas {
     }
     
     ctx.stroke();
+    
+    // Individual samples once they are far enough apart to pick out
+    const pixelsPerSample = w / this.viewport.span;
+    if (pixelsPerSample >= 8) {
+      ctx.fillStyle = this.colors.waveformLine;
+      const first = Math.max(0, Math.floor(this.viewport.start));
+      const last = Math.min(this.waveform.sampleRate - 1, Math.ceil(this.viewport.end));
+      
+      for (let i = first; i <= last; i++) {
+        ctx.beginPath();
+        ctx.arc(this.sampleToScreen(i), this.valueToScreen(this.waveform.samples[i]), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }
+  
+  /**
+   * Draw the reference waveform as a faint line
+   */
+  drawReference() {
+    if (!this.reference) return;
+    
+    const ctx = this.ctx;
+    const scale = this.reference.sampleRate / this.waveform.sampleRate;
+    
+    ctx.save();
+    ctx.strokeStyle = this.colors.waveformLine;
+    ctx.globalAlpha = 0.3;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    
+    for (let x = 0; x <= this.displayWidth; x++) {
+      const y = this.valueToScreen(this.reference.interpolate(this.screenToSample(x) * scale));
+      if (x === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    
+    ctx.stroke();
+    ctx.restore();
+  }
+  
+  /**
+   * Draw the pending operation's result as a dashed line
+   */
+  drawPreview() {
+    if (!this.preview) return;
+    
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.strokeStyle = this.colors.controlPointHover;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([6, 3]);
+    ctx.beginPath();
+    
+    // Stepped, so held and quantised levels show as they will sound
+    const first = Math.max(0, Math.floor(this.viewport.start));
+    const last = Math.min(this.preview.sampleRate - 1, Math.ceil(this.viewport.end));
+    const step = Math.max(1, Math.floor(this.viewport.span / this.displayWidth));
+    
+    for (let i = first; i <= last; i += step) {
+      const x0 = this.sampleToScreen(i);
+      const x1 = this.sampleToScreen(i + step);
+      const y = this.valueToScreen(this.preview.samples[i]);
+      if (i === first) {
+        ctx.moveTo(x0, y);
+      } else {
+        ctx.lineTo(x0, y);
+      }
+      ctx.lineTo(x1, y);
+    }
+    
+    ctx.stroke();
+    ctx.restore();
+  }
+  
+  /**
+   * Draw the whole cycle into the minimap
+   */
+  drawOverview(rect) {
+    const ctx = this.ctx;
+    const size = this.waveform.sampleRate;
+    
+    ctx.strokeStyle = this.colors.waveformLine;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    
+    for (let x = 0; x <= rect.width; x++) {
+      const value = this.waveform.interpolate((x / rect.width) * size);
+      const y = rect.y + rect.height / 2 - value * rect.height * 0.4;
+      
+      if (x === 0) {
+        ctx.moveTo(rect.x + x, y);
+      } else {
+        ctx.lineTo(rect.x + x, y);
+      }
+    }
+    
+    ctx.stroke();
   }
   
   /**
@@ -444,33 +1223,142 @@ export class TimedomainCanvas {
   drawControlPoints() {
     const ctx = this.ctx;
     
+    // Bézier handles of the selected point
+    for (const handle of this.visibleHandles()) {
+      ctx.strokeStyle = this.colors.controlPointHover;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(this.sampleToScreen(handle.point.sampleIndex), this.valueToScreen(handle.point.value));
+      ctx.lineTo(handle.x, handle.y);
+      ctx.stroke();
+      
+      ctx.fillStyle = this.colors.controlPointHover;
+      ctx.fillRect(handle.x - this.handleRadius, handle.y - this.handleRadius,
+        this.handleRadius * 2, this.handleRadius * 2);
+    }
+    
     for (const point of this.controlPoints) {
       const x = this.sampleToScreen(point.sampleIndex);
       const y = this.valueToScreen(point.value);
       const isHovered = point === this.hoveredPoint;
+      const isSelected = point === this.selectedPoint;
       
       // Point circle
-      ctx.fillStyle = isHovered ? this.colors.controlPointHover : this.colors.controlPoint;
+      ctx.fillStyle = isHovered || isSelected ? this.colors.controlPointHover : this.colors.controlPoint;
       ctx.beginPath();
       ctx.arc(x, y, this.controlPointRadius, 0, Math.PI * 2);
       ctx.fill();
       
-      // Point outline
-      ctx.strokeStyle = this.colors.canvasBg;
+      // Point outline, ringed when selected
+      ctx.strokeStyle = isSelected ? this.colors.waveformLine : this.colors.canvasBg;
       ctx.lineWidth = 2;
       ctx.stroke();
     }
   }
   
+  /**
+   * Draw brush outline at the cursor
+   */
+  drawBrush() {
+    if (!this.hoverPos || !['smooth', 'amplify', 'noise'].includes(this.tool)) return;
+    
+    const ctx = this.ctx;
+    ctx.strokeStyle = this.colors.controlPointHover;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(this.hoverPos.x, this.hoverPos.y, this.brush.radius, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  
   /**
    * Update waveform and re-render
    */
   updateFromWaveform(waveform) {
     this.waveform = waveform;
-    this.initializeControlPoints();
+    
+    // A new table size invalidates the visible range and the selection
+    if (waveform.sampleRate !== this.viewport.total) {
+      this.viewport.reset(waveform.sampleRate);
+      this.emitViewChange();
+      this.selection = null;
+      this.emitSelectionChange();
+    }
+    
+    this.refitControlPoints();
     this.render();
   }
   
+  /**
+   * Zoom around the middle of the view
+   * @param {number} factor - Magnification, above 1 zooms in
+   */
+  zoomBy(factor) {
+    const { start, end } = this.viewport;
+    this.viewport.zoomAt((start + end) / 2, factor);
+    this.onViewChange();
+  }
+  
+  /**
+   * Show the whole cycle
+   */
+  fitView() {
+    this.viewport.fit();
+    this.onViewChange();
+  }
+  
+  /**
+   * Redraw after zooming or panning
+   * @private
+   */
+  onViewChange() {
+    this.render();
+    this.emitViewChange();
+  }
+  
+  /**
+   * Stop a stroke or drag when a pinch takes over the touch
+   * @private
+   */
+  abortInteraction() {
+    this.selectionAnchor = null;
+    if (this.stroke) {
+      this.cancelStroke();
+    }
+    if (this.isDragging) {
+      this.handleMouseUp({});
+    }
+  }
+  
+  /**
+   * Emit visible range change event
+   */
+  emitViewChange() {
+    const event = new CustomEvent('viewchange', {
+      detail: { start: this.viewport.start, end: this.viewport.end, total: this.viewport.total }
+    });
+    this.canvas.dispatchEvent(event);
+  }
+  
+  /**
+   * Emit selection change event
+   */
+  emitSelectionChange() {
+    const event = new CustomEvent('selectionchange', {
+      detail: { selection: this.selection && { ...this.selection } }
+    });
+    this.canvas.dispatchEvent(event);
+  }
+  
+  /**
+   * Emit live input event while drawing or dragging
+   */
+  emitInput() {
+    const event = new CustomEvent('waveforminput', {
+      detail: { waveform: this.waveform }
+    });
+    this.canvas.dispatchEvent(event);
+  }
+  
   /**
    * Emit change event
    */
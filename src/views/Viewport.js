@@ -0,0 +1,339 @@
+/**
+ * Height of the overview strip shown while zoomed in (pixels)
+ */
+export const MINIMAP_HEIGHT = 24;
+
+/**
+ * Viewport
+ * Visible horizontal range of a canvas, in content units (samples or harmonics)
+ *
+ * Holds zoom and pan state and turns wheel, pinch and minimap gestures into
+ * view changes, so both editor canvases navigate the same way.
+ */
+export class Viewport {
+  /**
+   * @param {number} total - Content length
+   * @param {number} minSpan - Smallest visible range
+   */
+  constructor(total, minSpan = 1) {
+    this.total = total;
+    this.minSpan = minSpan;
+    this.start = 0;
+    this.span = total;
+    this.pinch = null;
+  }
+
+  /**
+   * End of the visible range
+   */
+  get end() {
+    return this.start + this.span;
+  }
+
+  /**
+   * Whether only part of the content is visible
+   */
+  get isZoomed() {
+    return this.span < this.total;
+  }
+
+  /**
+   * Change content length and show a range from its start
+   * @param {number} total - Content length
+   * @param {number} span - Visible range (defaults to everything)
+   */
+  reset(total, span = total) {
+    this.total = total;
+    this.setView(0, span);
+  }
+
+  /**
+   * Show everything
+   */
+  fit() {
+    this.setView(0, this.total);
+  }
+
+  /**
+   * Set visible range, kept within the content
+   * @param {number} start - First visible position
+   * @param {number} span - Visible range
+   */
+  setView(start, span) {
+    this.span = Math.max(Math.min(this.minSpan, this.total), Math.min(this.total, span));
+    this.start = Math.max(0, Math.min(this.total - this.span, start));
+  }
+
+  /**
+   * Zoom keeping one position fixed on screen
+   * @param {number} anchor - Content position to keep in place
+   * @param {number} factor - Magnification, above 1 zooms in
+   */
+  zoomAt(anchor, factor) {
+    const ratio = (anchor - this.start) / this.span;
+    const span = this.span / factor;
+    this.setView(anchor - ratio * span, span);
+  }
+
+  /**
+   * Move the visible range
+   * @param {number} delta - Distance in content units
+   */
+  panBy(delta) {
+    this.setView(this.start + delta, this.span);
+  }
+
+  /**
+   * Content position to screen X
+   * @param {number} position - Content position
+   * @param {number} width - Canvas width (pixels)
+   */
+  toScreen(position, width) {
+    return ((position - this.start) / this.span) * width;
+  }
+
+  /**
+   * Screen X to content position
+   * @param {number} x - Screen X
+   * @param {number} width - Canvas width (pixels)
+   */
+  fromScreen(x, width) {
+    return this.start + (x / width) * this.span;
+  }
+
+  /**
+   * Zoom around the cursor with the wheel (trackpad pinch arrives as
+   * Ctrl+wheel), or pan with horizontal scroll or Shift+wheel
+   * @param {WheelEvent} e - Wheel event
+   * @param {number} x - Cursor X in the canvas
+   * @param {number} width - Canvas width (pixels)
+   */
+  applyWheel(e, x, width) {
+    const horizontal = e.shiftKey ? e.deltaY : e.deltaX;
+
+    if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+      this.panBy((horizontal / width) * this.span);
+    } else {
+      this.zoomAt(this.fromScreen(x, width), Math.exp(-e.deltaY * (e.ctrlKey ? 0.01 : 0.002)));
+    }
+  }
+
+  /**
+   * Begin a two-finger pinch
+   * @param {number} x1 - First touch X in the canvas
+   * @param {number} x2 - Second touch X in the canvas
+   * @param {number} width - Canvas width (pixels)
+   */
+  startPinch(x1, x2, width) {
+    this.pinch = {
+      distance: Math.max(1, Math.abs(x2 - x1)),
+      anchor: this.fromScreen((x1 + x2) / 2, width),
+      span: this.span
+    };
+  }
+
+  /**
+   * Follow a pinch: the content under the fingers stays under them
+   * @param {number} x1 - First touch X in the canvas
+   * @param {number} x2 - Second touch X in the canvas
+   * @param {number} width - Canvas width (pixels)
+   */
+  movePinch(x1, x2, width) {
+    if (!this.pinch) return;
+
+    const span = this.pinch.span * (this.pinch.distance / Math.max(1, Math.abs(x2 - x1)));
+    const mid = (x1 + x2) / 2;
+    this.setView(this.pinch.anchor - (mid / width) * span, span);
+  }
+
+  /**
+   * End a pinch
+   */
+  endPinch() {
+    this.pinch = null;
+  }
+
+  /**
+   * Handle navigation gestures on a canvas before its own editing handlers:
+   * wheel, middle-button or Space+drag panning, two-finger pinch, and
+   * clicking or dragging on the minimap
+   * @param {HTMLCanvasElement} canvas - Canvas to navigate
+   * @param {Object} callbacks - {size() -> {width, height}, change(), pinchStart()}
+   */
+  bind(canvas, callbacks) {
+    let drag = null; // {mode: 'pan' | 'minimap', lastX}
+    let spaceHeld = false;
+
+    const position = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    // Capture listeners on the canvas run before its editing listeners
+    canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.applyWheel(e, position(e).x, callbacks.size().width);
+      callbacks.change();
+    }, { passive: false, capture: true });
+
+    canvas.addEventListener('mousedown', (e) => {
+      const { x, y } = position(e);
+      const { width, height } = callbacks.size();
+
+      if (e.button === 1 || (e.button === 0 && spaceHeld)) {
+        drag = { mode: 'pan', lastX: x };
+      } else if (e.button === 0 && this.isOnMinimap(x, y, width, height)) {
+        drag = { mode: 'minimap' };
+        this.centerOnMinimap(x, width);
+        callbacks.change();
+      } else {
+        return;
+      }
+
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }, { capture: true });
+
+    canvas.addEventListener('dblclick', (e) => {
+      const { x, y } = position(e);
+      const { width, height } = callbacks.size();
+
+      // Double-click on the minimap shows everything
+      if (this.isOnMinimap(x, y, width, height)) {
+        e.stopImmediatePropagation();
+        this.fit();
+        callbacks.change();
+      }
+    }, { capture: true });
+
+    window.addEventListener('mousemove', (e) => {
+      if (!drag) return;
+
+      const { x } = position(e);
+      const { width } = callbacks.size();
+
+      if (drag.mode === 'pan') {
+        this.panBy(-((x - drag.lastX) / width) * this.span);
+        drag.lastX = x;
+      } else {
+        this.centerOnMinimap(x, width);
+      }
+      callbacks.change();
+    });
+
+    window.addEventListener('mouseup', () => {
+      drag = null;
+    });
+
+    window.addEventListener('keydown', (e) => {
+      if (e.code === 'Space' && !['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(e.target.tagName)) {
+        spaceHeld = true;
+      }
+    });
+    window.addEventListener('keyup', (e) => {
+      if (e.code === 'Space') {
+        spaceHeld = false;
+      }
+    });
+    window.addEventListener('blur', () => {
+      spaceHeld = false;
+    });
+
+    canvas.addEventListener('touchstart', (e) => {
+      if (e.touches.length !== 2) return;
+
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      callbacks.pinchStart();
+
+      const [a, b] = [position(e.touches[0]), position(e.touches[1])];
+      this.startPinch(a.x, b.x, callbacks.size().width);
+    }, { passive: false, capture: true });
+
+    canvas.addEventListener('touchmove', (e) => {
+      if (!this.pinch) return;
+
+      e.preventDefault();
+      e.stopImmediatePropagation();
+
+      if (e.touches.length === 2) {
+        const [a, b] = [position(e.touches[0]), position(e.touches[1])];
+        this.movePinch(a.x, b.x, callbacks.size().width);
+        callbacks.change();
+      }
+    }, { passive: false, capture: true });
+
+    canvas.addEventListener('touchend', (e) => {
+      if (!this.pinch) return;
+
+      // Lifting one finger ends the pinch without starting a stroke
+      e.stopImmediatePropagation();
+      if (e.touches.length === 0) {
+        this.endPinch();
+      }
+    }, { capture: true });
+  }
+
+  /**
+   * Minimap strip along the bottom of a canvas
+   * @param {number} width - Canvas width (pixels)
+   * @param {number} height - Canvas height (pixels)
+   * @returns {{x: number, y: number, width: number, height: number}} Strip bounds
+   */
+  minimapRect(width, height) {
+    return { x: 0, y: height - MINIMAP_HEIGHT, width, height: MINIMAP_HEIGHT };
+  }
+
+  /**
+   * Whether a point is on the minimap (only shown while zoomed in)
+   */
+  isOnMinimap(x, y, width, height) {
+    return this.isZoomed && y >= this.minimapRect(width, height).y;
+  }
+
+  /**
+   * Centre the view on a minimap position
+   * @param {number} x - X on the minimap
+   * @param {number} width - Minimap width (pixels)
+   */
+  centerOnMinimap(x, width) {
+    this.setView((x / width) * this.total - this.span / 2, this.span);
+  }
+
+  /**
+   * Draw the minimap: content overview with the visible range outlined
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} width - Canvas width (pixels)
+   * @param {number} height - Canvas height (pixels)
+   * @param {Object} colors - {canvasBg, gridLine, waveformLine}
+   * @param {Function} drawContent - Draws the overview into the given rect
+   */
+  drawMinimap(ctx, width, height, colors, drawContent) {
+    if (!this.isZoomed) return;
+
+    const rect = this.minimapRect(width, height);
+
+    ctx.save();
+    ctx.fillStyle = colors.canvasBg;
+    ctx.globalAlpha = 0.9;
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.globalAlpha = 1;
+
+    drawContent(rect);
+
+    ctx.strokeStyle = colors.gridLine;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1);
+
+    // Visible range
+    const x0 = (this.start / this.total) * rect.width;
+    const x1 = (this.end / this.total) * rect.width;
+    ctx.fillStyle = colors.waveformLine;
+    ctx.globalAlpha = 0.15;
+    ctx.fillRect(x0, rect.y, Math.max(2, x1 - x0), rect.height);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = colors.waveformLine;
+    ctx.strokeRect(x0 + 0.5, rect.y + 0.5, Math.max(2, x1 - x0) - 1, rect.height - 1);
+    ctx.restore();
+  }
+}